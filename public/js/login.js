@@ -0,0 +1,33 @@
+// Login form for the dashboard
+document.getElementById('loginForm').addEventListener('submit', async function (event) {
+  event.preventDefault();
+
+  const button = document.getElementById('loginBtn');
+  const errorBox = document.getElementById('loginError');
+  button.disabled = true;
+  errorBox.classList.add('d-none');
+
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('username').value.trim(),
+        password: document.getElementById('password').value
+      })
+    });
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Login failed');
+    }
+
+    // The session cookie is set by the server
+    window.location.href = '/';
+  } catch (error) {
+    errorBox.textContent = error.message;
+    errorBox.classList.remove('d-none');
+  } finally {
+    button.disabled = false;
+  }
+});
@@ -3,6 +3,11 @@ let map;
 let onuMarkers = [];
 let odbMarkers = [];
 let antLines = [];
+let antLinesByOnu = new Map();
+let odbRegistry = null; // ODB records from /api/odbs keyed by name
+let incidentLayers = [];
+let incidentReloadTimer;
+let changeReloadTimer;
 let currentFilters = {};
 let statusVisibility = {
   online: true,
@@ -13,19 +18,58 @@ let statusVisibility = {
 let showAntlines = true;
 let autoRefreshInterval;
 let apiConfigured = false;
+let eventSource;
+let activeRefreshJobs = new Map();
+let streamConnected = false;
+let currentAccount = localStorage.getItem('account') || ''; // SmartOLT account (branch), '' = first
+let currentUser = null; // Logged-in user from /api/auth/me
+let recentEvents = {
+  los: [],
+  powerFail: []
+};
 
 // API Base URL
 const API_BASE = '/api';
 
+// Add the selected account (branch) to an API URL
+function withAccount(url) {
+  if (!currentAccount) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}account=${encodeURIComponent(currentAccount)}`;
+}
+
+// Send the user to the login page whenever the session has expired
+const nativeFetch = window.fetch.bind(window);
+window.fetch = async (...args) => {
+  const response = await nativeFetch(...args);
+  if (response.status === 401) {
+    window.location.href = '/login.html';
+  }
+  return response;
+};
+
 // Initialize application
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
+  if (!(await loadCurrentUser())) return;
+
+  loadAccounts();
   initializeMap();
   initializeEventListeners();
   loadOLTsList();
   loadOnuData();
   startAutoRefresh();
+  startEventStream();
 });
 
+// Escape text for use inside HTML markup and attributes
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Initialize Leaflet map
 function initializeMap() {
   map = L.map('map').setView([-7.5489, 110.8277], 13); // Default to Jombang coordinates
@@ -47,6 +91,38 @@ function initializeEventListeners() {
     loadOnuData();
   });
 
+  // "Refresh ONU Status" in ODB popups (the ODB name is read from
+  // data-odb rather than spliced into an inline handler)
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.odb-refresh-btn');
+    if (button) {
+      refreshOdbStatuses(button.dataset.odb);
+    }
+  });
+
+  // Incident action buttons in the footer panel, same idea with data-incident
+  const incidentActions = {
+    acknowledge: acknowledgeIncident,
+    assign: assignIncident,
+    notes: addIncidentNote,
+    resolve: resolveIncident
+  };
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.incident-action-btn');
+    if (button && incidentActions[button.dataset.action]) {
+      incidentActions[button.dataset.action](button.dataset.incident);
+    }
+  });
+
+  // Inventory change cards focus their ONU, read from data-onu
+  document.addEventListener('click', (e) => {
+    const card = e.target.closest('.change-card');
+    if (card) {
+      focusOnOnu(card.dataset.onu);
+    }
+  });
+
   // Apply filters button
   document.getElementById('applyFiltersBtn').addEventListener('click', () => {
     applyFilters();
@@ -77,13 +153,103 @@ function initializeEventListeners() {
     showAntlines = e.target.checked;
     toggleAntlines();
   });
-  testApiConnection();
+  // Connection details are admin-only
+  if (hasRole('admin')) {
+    testApiConnection();
+  }
+}
+
+// Load the logged-in user; viewers do not see operator actions
+async function loadCurrentUser() {
+  try {
+    const response = await fetch(`${API_BASE}/auth/me`);
+    const data = await response.json();
+
+    if (!data.status) return false;
+
+    currentUser = data.data;
+    document.body.dataset.role = currentUser.role;
+
+    if (currentUser.auth_enabled) {
+      document.getElementById('currentUser').textContent = `${currentUser.username} (${currentUser.role})`;
+      document.getElementById('userMenu').classList.remove('d-none');
+    }
+
+    return true;
+  } catch (error) {
+    console.error('Error loading current user:', error);
+    return false;
+  }
+}
+
+function hasRole(role) {
+  const roles = ['viewer', 'operator', 'admin'];
+  return !!currentUser && roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+async function logout() {
+  await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+  window.location.href = '/login.html';
+}
+
+// Fill the branch selector; hidden when only one account is configured
+async function loadAccounts() {
+  try {
+    const response = await fetch(`${API_BASE}/accounts`);
+    const data = await response.json();
+
+    if (!data.status || data.data.length < 2) return;
+
+    if (currentAccount && !data.data.some(account => account.id === currentAccount)) {
+      localStorage.removeItem('account');
+      currentAccount = '';
+    }
+
+    const select = document.getElementById('accountSelect');
+    data.data.forEach(account => {
+      const option = document.createElement('option');
+      option.value = account.id;
+      option.textContent = account.name;
+      select.appendChild(option);
+    });
+    select.value = currentAccount || data.data[0].id;
+    select.parentElement.classList.remove('d-none');
+
+    loadAllAccountsSummary();
+  } catch (error) {
+    console.error('Error loading accounts:', error);
+  }
+}
+
+// Switch branch: every view, filter and the live stream belong to one account
+function changeAccount(accountId) {
+  localStorage.setItem('account', accountId);
+  window.location.reload();
+}
+
+// Totals across all branches, shown next to the selector
+async function loadAllAccountsSummary() {
+  try {
+    const response = await fetch(`${API_BASE}/statistics?account=all`);
+    const data = await response.json();
+
+    if (!data.status) return;
+
+    const stats = data.data;
+    const summary = document.getElementById('allAccountsSummary');
+    summary.textContent = `All branches: ${stats.online}/${stats.total} online`;
+    summary.title = Object.entries(stats.by_account)
+      .map(([name, counts]) => `${name}: ${counts.online}/${counts.total} online`)
+      .join('\n');
+  } catch (error) {
+    console.error('Error loading all-branch statistics:', error);
+  }
 }
 
 // Load OLTs list for filter
 async function loadOLTsList() {
   try {
-    const response = await fetch(`${API_BASE}/olts`);
+    const response = await fetch(withAccount(`${API_BASE}/olts`));
     const data = await response.json();
 
     if (data.status && data.response) {
@@ -125,7 +291,7 @@ async function loadOnuData() {
   try {
     // Build query string
     const queryParams = new URLSearchParams(currentFilters).toString();
-    const url = `${API_BASE}/onus/gps${queryParams ? '?' + queryParams : ''}`;
+    const url = withAccount(`${API_BASE}/onus/gps${queryParams ? '?' + queryParams : ''}`);
 
     const response = await fetch(url);
     const data = await response.json();
@@ -223,18 +389,8 @@ function addOnuMarkers(onus) {
     const lat = parseFloat(onu.latitude);
     const lng = parseFloat(onu.longitude);
 
-    // Create custom icon
-    const iconHtml = `<div class="onu-marker ${getStatusClass(onu.status)}"></div>`;
-    const icon = L.divIcon({
-      html: iconHtml,
-      className: 'custom-marker',
-      iconSize: [20, 20],
-      iconAnchor: [10, 10],
-      popupAnchor: [0, -10]
-    });
-
     // Create marker
-    const marker = L.marker([lat, lng], { icon: icon });
+    const marker = L.marker([lat, lng], { icon: createOnuIcon(onu.status, onu.signal_level) });
 
     // Create popup content
     const popupContent = createOnuPopup(onu);
@@ -263,7 +419,7 @@ function addOdbMarkersAndAntlines(odbGroups) {
   const groups = Array.isArray(odbGroups) ? odbGroups : Object.values(odbGroups);
 
   groups.forEach(group => {
-    if (!group.onus || group.onus.length === 0 || !group.avgLat || !group.avgLng) {
+    if (!group.onus || group.onus.length === 0 || !group.lat || !group.lng) {
       return;
     }
 
@@ -277,7 +433,7 @@ function addOdbMarkersAndAntlines(odbGroups) {
       popupAnchor: [0, -12]
     });
 
-    const odbMarker = L.marker([group.avgLat, group.avgLng], { icon: odbIcon });
+    const odbMarker = L.marker([group.lat, group.lng], { icon: odbIcon });
 
     const odbPopupContent = `
             <div class="popup-header">
@@ -286,8 +442,23 @@ function addOdbMarkersAndAntlines(odbGroups) {
             <div class="popup-info">
                 <div class="popup-info-row">
                     <span class="popup-info-label">Total ONUs:</span>
-                    <span class="popup-info-value">${group.onus.length}</span>
+                    <span class="popup-info-value">${group.onus.length}${group.odb && group.odb.capacity ? ` / ${group.odb.capacity} ports` : ''}</span>
                 </div>
+                ${group.odb && group.odb.zone_name ? `
+                <div class="popup-info-row">
+                    <span class="popup-info-label">Zone:</span>
+                    <span class="popup-info-value">${group.odb.zone_name}</span>
+                </div>
+                ` : ''}
+                <div class="popup-info-row">
+                    <span class="popup-info-label">Location:</span>
+                    <span class="popup-info-value">${group.locationSource === 'registry' ? 'ODB coordinates' : 'Estimated (ONU centroid)'}</span>
+                </div>
+            </div>
+            <div class="popup-actions">
+                <button class="btn-popup btn-popup-primary odb-refresh-btn requires-operator" data-odb="${escapeHtml(group.odbName || group.odb_name)}">
+                    <i class="fas fa-sync-alt"></i> Refresh ONU Status
+                </button>
             </div>
         `;
 
@@ -307,24 +478,11 @@ function addOdbMarkersAndAntlines(odbGroups) {
       if (isNaN(lat) || isNaN(lng)) return;
 
       // Color based on status
-      let color;
-      switch (onu.status) {
-        case 'Online':
-          color = '#28a745';
-          break;
-        case 'LOS':
-          color = '#dc3545';
-          break;
-        case 'Power Fail':
-          color = '#ffc107';
-          break;
-        default:
-          color = '#6c757d';
-      }
+      const color = getStatusColor(onu.status);
 
       // Create antline
       const antLine = L.polyline.antPath(
-        [[group.avgLat, group.avgLng], [lat, lng]],
+        [[group.lat, group.lng], [lat, lng]],
         {
           color: color,
           weight: 2,
@@ -337,6 +495,7 @@ function addOdbMarkersAndAntlines(odbGroups) {
 
       antLine.addTo(map);
       antLines.push(antLine);
+      antLinesByOnu.set(onu.unique_external_id, antLine);
     });
   });
 
@@ -407,7 +566,7 @@ async function showOnuDetails(externalId) {
   modal.show();
 
   try {
-    const response = await fetch(`${API_BASE}/onus/${externalId}`);
+    const response = await fetch(withAccount(`${API_BASE}/onus/${externalId}`));
     const data = await response.json();
 
     if (!data.status) {
@@ -416,6 +575,7 @@ async function showOnuDetails(externalId) {
 
     const onu = data.data;
     content.innerHTML = createOnuDetailContent(onu);
+    loadSignalChart(externalId);
 
   } catch (error) {
     console.error('Error loading ONU details:', error);
@@ -497,6 +657,14 @@ function createOnuDetailContent(onu) {
                 <span class="detail-label">Signal Value:</span>
                 <span class="detail-value">${onu.signal.onu_signal_value || 'N/A'}</span>
             </div>
+            <div class="detail-row">
+                <span class="detail-label">ONU RX Power:</span>
+                <span class="detail-value">${formatRxPower(onu.rx_power, onu.signal_level)}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">OLT RX Power:</span>
+                <span class="detail-value">${onu.olt_rx_power !== null && onu.olt_rx_power !== undefined ? `${onu.olt_rx_power} dBm` : 'N/A'}</span>
+            </div>
             ${onu.signal.onu_signal_1310 ? `
             <div class="detail-row">
                 <span class="detail-label">1310nm:</span>
@@ -512,6 +680,15 @@ function createOnuDetailContent(onu) {
         </div>
         ` : ''}
 
+        <div class="detail-section">
+            <div class="detail-section-title">
+                <i class="fas fa-chart-line"></i> Signal History (7 days)
+            </div>
+            <div id="signalChart" class="signal-chart">
+                <div class="text-muted small">Loading signal history...</div>
+            </div>
+        </div>
+
         ${onu.service_ports && onu.service_ports.length > 0 ? `
         <div class="detail-section">
             <div class="detail-section-title">
@@ -540,10 +717,165 @@ function createOnuDetailContent(onu) {
     `;
 }
 
+// Download a CSV / XLSX export using the current filters
+function exportData(dataset, format) {
+  const queryParams = new URLSearchParams(currentFilters).toString();
+  window.location.href = withAccount(`${API_BASE}/export/${dataset}.${format}${queryParams ? `?${queryParams}` : ''}`);
+  return false;
+}
+
+// Download the network map for QGIS / Google Earth
+function exportGeo(format) {
+  const queryParams = new URLSearchParams(currentFilters).toString();
+  window.location.href = withAccount(`${API_BASE}/export/${format}${queryParams ? `?${queryParams}` : ''}`);
+  return false;
+}
+
+// Upload a GeoJSON / KML file with corrected ONU and ODB coordinates
+async function importCoordinates(input) {
+  const file = input.files[0];
+  input.value = '';
+  if (!file) return;
+
+  const format = /\.kml$/i.test(file.name) ? 'kml' : 'geojson';
+
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/import/${format}`), {
+      method: 'POST',
+      headers: {
+        'Content-Type': format === 'kml' ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json'
+      },
+      body: await file.text()
+    });
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Import failed');
+    }
+
+    const result = data.data;
+    const skipped = result.unknown.length + result.invalid.length;
+    showNotification(
+      `Updated ${result.onus_updated} ONUs and ${result.odbs_updated} ODBs${skipped ? `, skipped ${skipped} points` : ''}`,
+      skipped ? 'warning' : 'success'
+    );
+
+    odbRegistry = null;
+    loadOnuData();
+  } catch (error) {
+    console.error('Error importing coordinates:', error);
+    showNotification('Import failed: ' + error.message, 'error');
+  }
+}
+
+// Load signal readings for the detail modal chart
+async function loadSignalChart(externalId) {
+  const container = document.getElementById('signalChart');
+
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/onus/${encodeURIComponent(externalId)}/signal-history`));
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Failed to load signal history');
+    }
+
+    container.innerHTML = renderSignalChart(data.data);
+  } catch (error) {
+    console.error('Error loading signal history:', error);
+    container.innerHTML = `<div class="text-danger small">${error.message}</div>`;
+  }
+}
+
+// Render signal readings as an SVG line chart with threshold bands and
+// status transitions overlaid
+function renderSignalChart(history) {
+  const readings = history.readings;
+
+  if (readings.length === 0) {
+    return '<div class="text-muted small">No signal readings recorded yet</div>';
+  }
+
+  const width = 700;
+  const height = 220;
+  const pad = { top: 10, right: 10, bottom: 24, left: 44 };
+  const { warning, critical } = history.thresholds;
+
+  const values = readings
+    .flatMap(r => [r.rx_power, r.olt_rx_power])
+    .filter(value => value !== null);
+  const yMin = Math.floor(Math.min(...values, critical - 3));
+  const yMax = Math.ceil(Math.max(...values, warning + 5));
+  const tMin = new Date(history.from).getTime();
+  const tMax = new Date(history.to).getTime();
+
+  const x = time => pad.left + (new Date(time).getTime() - tMin) / (tMax - tMin) * (width - pad.left - pad.right);
+  const y = dbm => pad.top + (yMax - dbm) / (yMax - yMin) * (height - pad.top - pad.bottom);
+
+  const line = (key, color, dash) => {
+    const points = readings
+      .filter(r => r[key] !== null)
+      .map(r => [x(r.timestamp).toFixed(1), y(r[key]).toFixed(1)]);
+
+    if (points.length === 0) return '';
+
+    return `
+      <polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" stroke="${color}"
+        stroke-width="2" ${dash ? 'stroke-dasharray="5,3"' : ''} />
+      ${points.length === 1 ? `<circle cx="${points[0][0]}" cy="${points[0][1]}" r="3" fill="${color}" />` : ''}
+    `;
+  };
+
+  const band = (top, bottom, color) => `
+    <rect x="${pad.left}" y="${y(top)}" width="${width - pad.left - pad.right}"
+      height="${Math.max(y(bottom) - y(top), 0)}" fill="${color}" />
+  `;
+
+  const yTicks = [];
+  for (let dbm = Math.floor(yMax / 5) * 5; dbm >= yMin; dbm -= 5) {
+    yTicks.push(dbm);
+  }
+
+  const xTicks = [0, 0.5, 1].map(f => new Date(tMin + (tMax - tMin) * f));
+
+  const transitions = history.status_changes.map(change => `
+    <line x1="${x(change.timestamp)}" x2="${x(change.timestamp)}" y1="${pad.top}" y2="${height - pad.bottom}"
+      stroke="${getStatusColor(change.new_status)}" stroke-width="2" stroke-dasharray="2,2">
+      <title>${change.old_status} → ${change.new_status} (${new Date(change.timestamp).toLocaleString('id-ID')})</title>
+    </line>
+  `).join('');
+
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="signal-chart-svg" preserveAspectRatio="none">
+      ${band(yMax, warning, 'rgba(40, 167, 69, 0.08)')}
+      ${band(warning, critical, 'rgba(253, 126, 20, 0.15)')}
+      ${band(critical, yMin, 'rgba(220, 53, 69, 0.15)')}
+      ${yTicks.map(dbm => `
+        <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(dbm)}" y2="${y(dbm)}" stroke="#dee2e6" />
+        <text x="${pad.left - 4}" y="${y(dbm) + 4}" text-anchor="end" font-size="11" fill="#6c757d">${dbm}</text>
+      `).join('')}
+      ${xTicks.map((date, i) => `
+        <text x="${x(date)}" y="${height - 6}" font-size="11" fill="#6c757d"
+          text-anchor="${['start', 'middle', 'end'][i]}">${date.toLocaleDateString('id-ID')}</text>
+      `).join('')}
+      ${transitions}
+      ${line('rx_power', '#0d6efd', false)}
+      ${line('olt_rx_power', '#6f42c1', true)}
+    </svg>
+    <div class="signal-chart-legend small text-muted">
+      <span><span class="legend-line" style="background: #0d6efd"></span> ONU RX (1490nm)</span>
+      <span><span class="legend-line dashed" style="border-color: #6f42c1"></span> OLT RX (1310nm)</span>
+      <span><span class="legend-band" style="background: rgba(253, 126, 20, 0.4)"></span> Warning &lt; ${warning} dBm</span>
+      <span><span class="legend-band" style="background: rgba(220, 53, 69, 0.4)"></span> Critical &lt; ${critical} dBm</span>
+      <span><i class="fas fa-grip-lines-vertical"></i> Status changes (${history.status_changes.length})</span>
+    </div>
+  `;
+}
+
 // Load status history
 async function loadStatusHistory() {
   try {
-    const response = await fetch(`${API_BASE}/history`);
+    const response = await fetch(withAccount(`${API_BASE}/history`));
     const data = await response.json();
 
     if (!data.status) {
@@ -551,12 +883,14 @@ async function loadStatusHistory() {
     }
 
     const history = data.data;
+    recentEvents.los = history.recent_los;
+    recentEvents.powerFail = history.recent_power_fail;
 
     // Update LOS events
-    updateEventList('recentLosContent', 'losEventCount', history.recent_los, 'los');
+    updateEventList('recentLosContent', 'losEventCount', recentEvents.los, 'los');
 
     // Update Power Fail events
-    updateEventList('recentPowerFailContent', 'powerFailEventCount', history.recent_power_fail, 'power-fail');
+    updateEventList('recentPowerFailContent', 'powerFailEventCount', recentEvents.powerFail, 'power-fail');
 
   } catch (error) {
     console.error('Error loading status history:', error);
@@ -626,10 +960,15 @@ function calculateStatistics(onus) {
     online: 0,
     los: 0,
     powerFail: 0,
-    offline: 0
+    offline: 0,
+    weakSignal: 0
   };
 
   onus.forEach(onu => {
+    if (getSignalClass(onu.status, onu.signal_level)) {
+      stats.weakSignal++;
+    }
+
     switch (onu.status) {
       case 'Online':
         stats.online++;
@@ -655,6 +994,8 @@ function updateStatistics(stats) {
   document.getElementById('losCount').textContent = `${stats.los} LOS`;
   document.getElementById('powerFailCount').textContent = `${stats.powerFail} Power Fail`;
   document.getElementById('offlineCount').textContent = `${stats.offline} Offline`;
+  document.getElementById('weakSignalCount').innerHTML =
+    `<i class="fas fa-signal"></i> ${stats.weakSignal || 0} Weak`;
 }
 
 // Filter markers based on status visibility
@@ -714,6 +1055,7 @@ function clearMarkers() {
   onuMarkers = [];
   odbMarkers = [];
   antLines = [];
+  antLinesByOnu = new Map();
 }
 
 // Get status CSS class
@@ -727,6 +1069,46 @@ function getStatusClass(status) {
   return classMap[status] || 'offline';
 }
 
+// Get status color (matches OnuService.getStatusColor)
+function getStatusColor(status) {
+  const colors = {
+    'Online': '#28a745',
+    'LOS': '#dc3545',
+    'Power Fail': '#ffc107',
+    'Offline': '#6c757d'
+  };
+  return colors[status] || '#6c757d';
+}
+
+// Create ONU marker icon for a status
+function createOnuIcon(status, signalLevel) {
+  return L.divIcon({
+    html: `<div class="onu-marker ${getStatusClass(status)} ${getSignalClass(status, signalLevel)}"></div>`,
+    className: 'custom-marker',
+    iconSize: [20, 20],
+    iconAnchor: [10, 10],
+    popupAnchor: [0, -10]
+  });
+}
+
+// Ring class for Online ONUs with weak RX power
+function getSignalClass(status, signalLevel) {
+  if (status !== 'Online') return '';
+  if (signalLevel === 'critical') return 'weak-signal critical';
+  if (signalLevel === 'warning') return 'weak-signal warning';
+  return '';
+}
+
+// Format RX power with its threshold level
+function formatRxPower(rxPower, signalLevel) {
+  if (rxPower === null || rxPower === undefined) return 'N/A';
+
+  const badge = signalLevel === 'critical' ? 'bg-danger' :
+    signalLevel === 'warning' ? 'bg-warning text-dark' : 'bg-success';
+
+  return `${rxPower} dBm <span class="badge ${badge}">${signalLevel}</span>`;
+}
+
 // Show/hide loading overlay
 function showLoading(show) {
   const overlay = document.getElementById('loadingOverlay');
@@ -750,6 +1132,8 @@ function showNotification(message, type = 'info') {
     toast.classList.add('bg-danger', 'text-white');
   } else if (type === 'success') {
     toast.classList.add('bg-success', 'text-white');
+  } else if (type === 'warning') {
+    toast.classList.add('bg-warning', 'text-dark');
   } else {
     toast.classList.add('bg-info', 'text-white');
   }
@@ -782,13 +1166,450 @@ function getTimeAgo(date) {
 
 // Auto refresh
 function startAutoRefresh() {
-  // Refresh every 5 minutes
+  // Refresh every 5 minutes, only as a fallback while the live stream is down
   autoRefreshInterval = setInterval(() => {
+    if (streamConnected) return;
     console.log('Auto-refreshing ONU data...');
     loadOnuData();
   }, 5 * 60 * 1000);
 }
 
+// Subscribe to live status changes from the server
+function startEventStream() {
+  if (!window.EventSource) {
+    console.warn('EventSource not supported, falling back to auto refresh');
+    return;
+  }
+
+  eventSource = new EventSource(withAccount(`${API_BASE}/stream`));
+
+  let reconnecting = false;
+
+  eventSource.addEventListener('ready', () => {
+    // Resync after a reconnect, since events may have been missed
+    if (reconnecting) {
+      loadOnuData();
+    }
+    reconnecting = false;
+    streamConnected = true;
+  });
+
+  eventSource.addEventListener('status_change', (e) => {
+    handleStatusChange(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('statistics', (e) => {
+    handleStatisticsUpdate(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('refresh_progress', (e) => {
+    handleRefreshProgress(JSON.parse(e.data));
+  });
+
+  eventSource.addEventListener('signal_degraded', (e) => {
+    handleSignalDegraded(JSON.parse(e.data));
+  });
+
+  ['incident_opened', 'incident_updated', 'incident_resolved'].forEach(name => {
+    eventSource.addEventListener(name, () => scheduleIncidentReload());
+  });
+
+  eventSource.addEventListener('inventory_change', () => scheduleChangeReload());
+
+  eventSource.onerror = () => {
+    // EventSource reconnects by itself; auto refresh covers the gap
+    reconnecting = true;
+    streamConnected = false;
+  };
+}
+
+// Apply a pushed status change without reloading the map
+function handleStatusChange(event) {
+  const markerData = onuMarkers.find(m => m.onu.unique_external_id === event.unique_external_id);
+
+  if (markerData) {
+    markerData.onu.status = event.new_status;
+    markerData.onu.status_color = event.status_color;
+    markerData.status = event.new_status;
+    markerData.marker.setIcon(createOnuIcon(event.new_status, markerData.onu.signal_level));
+    markerData.marker.setPopupContent(createOnuPopup(markerData.onu));
+
+    const antLine = antLinesByOnu.get(event.unique_external_id);
+    if (antLine) {
+      antLine.setStyle({ color: getStatusColor(event.new_status) });
+    }
+
+    filterMarkers();
+    updateStatistics(calculateStatistics(onuMarkers.map(m => m.onu)));
+  }
+
+  if (event.new_status === 'LOS') {
+    recentEvents.los = [event, ...recentEvents.los].slice(0, 20);
+    updateEventList('recentLosContent', 'losEventCount', recentEvents.los, 'los');
+  } else if (event.new_status === 'Power Fail') {
+    recentEvents.powerFail = [event, ...recentEvents.powerFail].slice(0, 20);
+    updateEventList('recentPowerFailContent', 'powerFailEventCount', recentEvents.powerFail, 'power-fail');
+  }
+}
+
+// Re-flag a marker whose RX power crossed a worse threshold
+function handleSignalDegraded(event) {
+  const markerData = onuMarkers.find(m => m.onu.unique_external_id === event.unique_external_id);
+
+  if (markerData) {
+    markerData.onu.rx_power = event.rx_power;
+    markerData.onu.olt_rx_power = event.olt_rx_power;
+    markerData.onu.signal_level = event.new_level;
+    markerData.marker.setIcon(createOnuIcon(markerData.onu.status, event.new_level));
+    markerData.marker.setPopupContent(createOnuPopup(markerData.onu));
+    updateStatistics(calculateStatistics(onuMarkers.map(m => m.onu)));
+  }
+
+  showNotification(`${event.name}: signal ${event.new_level} (${event.rx_power} dBm)`, 'warning');
+}
+
+// Reload incidents once a burst of incident events has settled
+function scheduleIncidentReload() {
+  clearTimeout(incidentReloadTimer);
+  incidentReloadTimer = setTimeout(loadIncidents, 1000);
+}
+
+// Load active incidents and highlight them on the map
+async function loadIncidents() {
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/incidents?active=true`));
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Failed to load incidents');
+    }
+
+    drawIncidents(data.data);
+    updateIncidentList(data.data);
+  } catch (error) {
+    console.error('Error loading incidents:', error);
+  }
+}
+
+// Render active incidents in the footer panel
+function updateIncidentList(incidents) {
+  const content = document.getElementById('incidentContent');
+  document.getElementById('incidentCount').textContent = incidents.length;
+
+  if (incidents.length === 0) {
+    content.innerHTML = `
+            <div class="text-center text-muted py-4">
+                <i class="fas fa-inbox fa-2x mb-2"></i>
+                <p>No active incidents</p>
+            </div>
+        `;
+    return;
+  }
+
+  content.innerHTML = incidents.map(incident => `
+            <div class="event-card incident ${escapeHtml(incident.state)}">
+                <div class="event-card-header">
+                    <div class="event-card-title">
+                        <i class="fas fa-bolt"></i> ${escapeHtml(incident.description)}
+                    </div>
+                    <div class="event-card-time">
+                        <i class="far fa-clock"></i> ${getTimeAgo(new Date(incident.started_at))}
+                    </div>
+                </div>
+                <div class="event-card-info">
+                    <span class="event-card-badge ${incident.state === 'acknowledged' ? 'bg-primary' : 'bg-danger'} text-white">
+                        ${escapeHtml(incident.state)}
+                    </span>
+                    <span class="event-card-badge bg-light text-dark">
+                        ${escapeHtml(incident.down_count)}/${escapeHtml(incident.affected_count)} ONUs down
+                    </span>
+                    ${incident.assigned_to ? `
+                    <span class="event-card-badge bg-secondary text-white">
+                        <i class="fas fa-user"></i> ${escapeHtml(incident.assigned_to)}
+                    </span>
+                    ` : ''}
+                    <div class="incident-actions requires-operator">
+                        ${incident.state === 'open' ? `
+                        <button class="btn btn-outline-primary incident-action-btn" data-action="acknowledge" data-incident="${escapeHtml(incident.id)}">Ack</button>
+                        ` : ''}
+                        <button class="btn btn-outline-secondary incident-action-btn" data-action="assign" data-incident="${escapeHtml(incident.id)}">Assign</button>
+                        <button class="btn btn-outline-secondary incident-action-btn" data-action="notes" data-incident="${escapeHtml(incident.id)}">Note</button>
+                        <button class="btn btn-outline-success incident-action-btn" data-action="resolve" data-incident="${escapeHtml(incident.id)}">Resolve</button>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+}
+
+// Reload network changes once a burst of inventory events has settled
+function scheduleChangeReload() {
+  clearTimeout(changeReloadTimer);
+  changeReloadTimer = setTimeout(loadChanges, 1000);
+}
+
+// Load inventory changes of the last 7 days
+async function loadChanges() {
+  try {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const response = await fetch(withAccount(`${API_BASE}/changes?since=${encodeURIComponent(since)}&limit=50`));
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Failed to load network changes');
+    }
+
+    updateChangeList(data.data);
+  } catch (error) {
+    console.error('Error loading network changes:', error);
+  }
+}
+
+// One line describing what changed (plain text, escape before rendering)
+function describeChange(change) {
+  const before = change.before || {};
+  const after = change.after || {};
+  const pon = values => `${values.olt_id}/${values.board}/${values.port}/${values.onu}`;
+
+  switch (change.type) {
+    case 'provisioned':
+      return `New on ${after.odb_name || 'no ODB'} (PON ${pon(after)})`;
+    case 'removed':
+      return `Removed from ${before.odb_name || 'no ODB'} (PON ${pon(before)})`;
+    case 'reprovisioned':
+      return `Re-added as ${after.unique_external_id}, PON ${pon(before)} → ${pon(after)}`;
+    case 'port_changed':
+      return `PON ${pon(before)} → ${pon(after)}`;
+    case 'odb_changed':
+      return `ODB ${before.odb_name || '-'}:${before.odb_port || '-'} → ${after.odb_name || '-'}:${after.odb_port || '-'}`;
+    case 'location_changed':
+      return before.latitude === null ? 'Coordinates added' :
+        after.latitude === null ? 'Coordinates cleared' : 'Location moved';
+    default:
+      return change.type;
+  }
+}
+
+// Render inventory changes in the footer panel
+function updateChangeList(changes) {
+  const content = document.getElementById('changeContent');
+  document.getElementById('changeCount').textContent = changes.length;
+
+  if (changes.length === 0) {
+    content.innerHTML = `
+            <div class="text-center text-muted py-4">
+                <i class="fas fa-inbox fa-2x mb-2"></i>
+                <p>No recent network changes</p>
+            </div>
+        `;
+    return;
+  }
+
+  content.innerHTML = changes.map(change => `
+            <div class="event-card change change-card" data-onu="${escapeHtml(change.unique_external_id)}">
+                <div class="event-card-header">
+                    <div class="event-card-title">
+                        <i class="fas fa-exchange-alt"></i> ${escapeHtml(change.name || change.sn || change.unique_external_id)}
+                    </div>
+                    <div class="event-card-time">
+                        <i class="far fa-clock"></i> ${getTimeAgo(new Date(change.detected_at))}
+                    </div>
+                </div>
+                <div class="event-card-info">
+                    <span class="event-card-badge ${change.type === 'removed' ? 'bg-danger text-white' : 'bg-info text-dark'}">
+                        ${escapeHtml(change.type.replace('_', ' '))}
+                    </span>
+                    <br>
+                    <small class="text-muted">
+                        ${escapeHtml(describeChange(change))}
+                    </small>
+                </div>
+            </div>
+        `).join('');
+}
+
+// Operator name used for incident actions, remembered in the browser.
+// With a login the server records the username instead.
+function getOperatorName() {
+  if (currentUser && currentUser.username) {
+    return currentUser.username;
+  }
+
+  let name = localStorage.getItem('operatorName');
+
+  if (!name) {
+    name = prompt('Your name (for the incident log):');
+    if (name) {
+      localStorage.setItem('operatorName', name);
+    }
+  }
+
+  return name || null;
+}
+
+// Send an incident action and reload the panel
+async function postIncidentAction(incidentId, action, body) {
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/incidents/${incidentId}/${action}`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || `Failed to ${action} incident`);
+    }
+
+    loadIncidents();
+  } catch (error) {
+    console.error(`Error in incident ${action}:`, error);
+    showNotification(error.message, 'error');
+  }
+}
+
+function acknowledgeIncident(incidentId) {
+  const note = prompt('Acknowledgement note (optional):');
+  if (note === null) return;
+  postIncidentAction(incidentId, 'acknowledge', { by: getOperatorName(), note });
+}
+
+function assignIncident(incidentId) {
+  const assignee = prompt('Assign to technician:');
+  if (!assignee) return;
+  postIncidentAction(incidentId, 'assign', { assignee, by: getOperatorName() });
+}
+
+function addIncidentNote(incidentId) {
+  const text = prompt('Note:');
+  if (!text) return;
+  postIncidentAction(incidentId, 'notes', { text, by: getOperatorName() });
+}
+
+function resolveIncident(incidentId) {
+  const note = prompt('Resolution note (optional):');
+  if (note === null) return;
+  postIncidentAction(incidentId, 'resolve', { by: getOperatorName(), note });
+}
+
+// Draw a circle around the ONUs of each multi-ONU incident
+function drawIncidents(incidents) {
+  incidentLayers.forEach(layer => map.removeLayer(layer));
+  incidentLayers = [];
+
+  const levelColors = {
+    olt: '#6f42c1',
+    pon_port: '#fd7e14',
+    odb: '#dc3545'
+  };
+
+  incidents
+    .filter(incident => incident.level !== 'onu')
+    .forEach(incident => {
+      const ids = new Set(incident.onus.map(onu => onu.unique_external_id));
+      const points = onuMarkers
+        .filter(m => ids.has(m.onu.unique_external_id))
+        .map(m => m.marker.getLatLng());
+
+      if (points.length === 0) return;
+
+      const center = L.latLngBounds(points).getCenter();
+      const radius = Math.max(...points.map(point => center.distanceTo(point))) + 75;
+
+      const circle = L.circle(center, {
+        radius: radius,
+        color: levelColors[incident.level],
+        weight: 2,
+        dashArray: '6 6',
+        fillOpacity: 0.08
+      });
+
+      circle.bindPopup(`
+            <div class="popup-header">
+                <i class="fas fa-bolt"></i> ${escapeHtml(incident.description)}
+            </div>
+            <div class="popup-info">
+                <div class="popup-info-row">
+                    <span class="popup-info-label">Suspected fault:</span>
+                    <span class="popup-info-value">${escapeHtml(incident.level.replace('_', ' ').toUpperCase())}</span>
+                </div>
+                <div class="popup-info-row">
+                    <span class="popup-info-label">Down:</span>
+                    <span class="popup-info-value">${escapeHtml(incident.down_count)} / ${escapeHtml(incident.affected_count)} ONUs</span>
+                </div>
+                <div class="popup-info-row">
+                    <span class="popup-info-label">Started:</span>
+                    <span class="popup-info-value">${getTimeAgo(new Date(incident.started_at))}</span>
+                </div>
+            </div>
+        `);
+      circle.bindTooltip(escapeHtml(incident.description));
+      circle.addTo(map);
+      incidentLayers.push(circle);
+    });
+}
+
+// Refresh the status of every ONU under one ODB without a full reload
+async function refreshOdbStatuses(odbName) {
+  const externalIds = onuMarkers
+    .filter(m => m.onu.odb_name === odbName)
+    .map(m => m.onu.unique_external_id);
+
+  if (externalIds.length === 0) {
+    showNotification(`No ONUs found under ${odbName}`, 'info');
+    return;
+  }
+
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/onus/refresh-status`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ external_ids: externalIds })
+    });
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Failed to start status refresh');
+    }
+
+    activeRefreshJobs.set(data.data.id, odbName);
+    showNotification(`Refreshing ${externalIds.length} ONUs under ${odbName}...`, 'info');
+  } catch (error) {
+    console.error('Error refreshing ODB statuses:', error);
+    showNotification(error.message, 'error');
+  }
+}
+
+// Report progress of status refresh jobs started from this page
+function handleRefreshProgress(job) {
+  const odbName = activeRefreshJobs.get(job.id);
+  if (!odbName) return;
+
+  if (job.state === 'completed') {
+    activeRefreshJobs.delete(job.id);
+    showNotification(
+      `${odbName}: ${job.total} ONUs refreshed, ${job.changed} changed` +
+      (job.failed ? `, ${job.failed} failed` : ''),
+      job.failed ? 'error' : 'success'
+    );
+  } else if (job.state === 'running' && job.completed > 0) {
+    showNotification(`${odbName}: refreshed ${job.completed}/${job.total} ONUs`, 'info');
+  }
+}
+
+// Notify about network-wide changes reported after each poll
+function handleStatisticsUpdate(stats) {
+  const delta = stats.delta || {};
+  const changes = [];
+
+  if (delta.los) changes.push(`${delta.los > 0 ? '+' : ''}${delta.los} LOS`);
+  if (delta.power_fail) changes.push(`${delta.power_fail > 0 ? '+' : ''}${delta.power_fail} Power Fail`);
+  if (delta.offline) changes.push(`${delta.offline > 0 ? '+' : ''}${delta.offline} Offline`);
+
+  if (changes.length > 0) {
+    showNotification(`Network update: ${changes.join(', ')}`, delta.los > 0 ? 'error' : 'info');
+  }
+}
+
 // Stop auto refresh
 function stopAutoRefresh() {
   if (autoRefreshInterval) {
@@ -833,10 +1654,43 @@ function groupOnusByOdb(onus) {
       group.avgLat = validOnus.reduce((sum, onu) => sum + parseFloat(onu.latitude), 0) / validOnus.length;
       group.avgLng = validOnus.reduce((sum, onu) => sum + parseFloat(onu.longitude), 0) / validOnus.length;
     }
+
+    // Prefer the real ODB location, fall back to the ONU centroid
+    const odb = odbRegistry ? odbRegistry.get(group.odbName) : null;
+    group.odb = odb || null;
+
+    if (odb && odb.has_coordinates) {
+      group.lat = odb.latitude;
+      group.lng = odb.longitude;
+      group.locationSource = 'registry';
+    } else {
+      group.lat = group.avgLat;
+      group.lng = group.avgLng;
+      group.locationSource = 'centroid';
+    }
   });
 
   // Filter out groups with no valid coordinates
-  return Object.values(groups).filter(group => group.avgLat !== 0 && group.avgLng !== 0);
+  return Object.values(groups).filter(group => group.lat !== 0 && group.lng !== 0);
+}
+
+// Load ODB registry (real ODB coordinates) once per page load
+async function loadOdbRegistry() {
+  if (odbRegistry) return;
+
+  try {
+    const response = await fetch(withAccount(`${API_BASE}/odbs`));
+    const data = await response.json();
+
+    if (!data.status) {
+      throw new Error(data.error || 'Failed to load ODBs');
+    }
+
+    odbRegistry = new Map(data.data.map(odb => [odb.name, odb]));
+  } catch (error) {
+    // Markers fall back to ONU centroids
+    console.error('Error loading ODB registry:', error);
+  }
 }
 
 // Add ONU markers to map
@@ -856,18 +1710,8 @@ function addOnuMarkers(onus) {
       return;
     }
 
-    // Create custom icon
-    const iconHtml = `<div class="onu-marker ${getStatusClass(onu.status)}"></div>`;
-    const icon = L.divIcon({
-      html: iconHtml,
-      className: 'custom-marker',
-      iconSize: [20, 20],
-      iconAnchor: [10, 10],
-      popupAnchor: [0, -10]
-    });
-
     // Create marker
-    const marker = L.marker([lat, lng], { icon: icon });
+    const marker = L.marker([lat, lng], { icon: createOnuIcon(onu.status, onu.signal_level) });
 
     // Create popup content
     const popupContent = createOnuPopup(onu);
@@ -900,6 +1744,12 @@ function createOnuPopup(onu) {
                 <span class="popup-info-label">Signal:</span>
                 <span class="popup-info-value">${onu.signal || 'N/A'}</span>
             </div>
+            ${onu.signal_level && onu.signal_level !== 'unknown' ? `
+            <div class="popup-info-row">
+                <span class="popup-info-label">RX Power:</span>
+                <span class="popup-info-value">${formatRxPower(onu.rx_power !== null ? onu.rx_power : onu.olt_rx_power, onu.signal_level)}</span>
+            </div>
+            ` : ''}
             ${onu.signal_1310 ? `
             <div class="popup-info-row">
                 <span class="popup-info-label">Signal 1310:</span>
@@ -954,7 +1804,7 @@ function createOnuPopup(onu) {
 // Tambahkan fungsi-fungsi baru
 async function testApiConnection() {
   try {
-    const response = await fetch(`${API_BASE}/test-connection`);
+    const response = await fetch(withAccount(`${API_BASE}/test-connection`));
     const data = await response.json();
 
     if (data.status) {
@@ -977,12 +1827,11 @@ async function showConfigDebug(config) {
   console.group('🔧 API Configuration Debug');
   console.log('Base URL:', config?.baseUrl || 'Not set');
   console.log('API Key Configured:', config?.apiKeySet || false);
-  console.log('API Key Prefix:', config?.apiKeyPrefix || 'NOT SET');
   console.groupEnd();
 
   // Try to get more debug info
   try {
-    const response = await fetch(`${API_BASE}/debug/config`);
+    const response = await fetch(withAccount(`${API_BASE}/debug/config`));
     const debugData = await response.json();
 
     if (debugData.status) {
@@ -1024,6 +1873,40 @@ function closeApiStatusBanner() {
   banner.style.display = 'none';
 }
 
+// Show how old stale (last known good) data is instead of an error
+function showDataAge(data) {
+  const badge = document.getElementById('dataAgeBadge');
+
+  if (!data.stale || !data.fetched_at) {
+    badge.classList.add('d-none');
+    return;
+  }
+
+  const minutes = Math.max(Math.round((Date.now() - new Date(data.fetched_at).getTime()) / 60000), 0);
+  document.getElementById('dataAgeText').textContent = `Data is ${minutes} minute${minutes === 1 ? '' : 's'} old`;
+  badge.title = data.next_refresh_possible_at ?
+    `Fetched ${new Date(data.fetched_at).toLocaleString()}. Next refresh possible at ${new Date(data.next_refresh_possible_at).toLocaleTimeString()}` :
+    `Fetched ${new Date(data.fetched_at).toLocaleString()}`;
+  badge.classList.remove('d-none');
+}
+
+// Warn while SmartOLT is failing and the map shows cached data
+let upstreamBannerShown = false;
+
+function showUpstreamState(data) {
+  if (data.degraded) {
+    const upstream = data.upstream || {};
+    const retry = upstream.retry_at ? ` Next attempt at ${new Date(upstream.retry_at).toLocaleTimeString()}.` : '';
+
+    showApiStatusBanner('warning', 'SmartOLT unreachable - showing cached data',
+      `${upstream.last_error || 'SmartOLT API is not responding.'}${retry}`);
+    upstreamBannerShown = true;
+  } else if (upstreamBannerShown) {
+    closeApiStatusBanner();
+    upstreamBannerShown = false;
+  }
+}
+
 // Update loadOnuData untuk cek API configuration dulu
 async function loadOnuData() {
   if (!apiConfigured) {
@@ -1038,7 +1921,7 @@ async function loadOnuData() {
   try {
     // Build query string
     const queryParams = new URLSearchParams(currentFilters).toString();
-    const url = `${API_BASE}/onus/gps${queryParams ? '?' + queryParams : ''}`;
+    const url = withAccount(`${API_BASE}/onus/gps${queryParams ? '?' + queryParams : ''}`);
 
     const response = await fetch(url);
     const data = await response.json();
@@ -1060,6 +1943,9 @@ async function loadOnuData() {
       throw new Error(errorMessage);
     }
 
+    showUpstreamState(data);
+    showDataAge(data);
+
     // Clear existing markers
     clearMarkers();
 
@@ -1074,6 +1960,7 @@ async function loadOnuData() {
     }
 
     // Group ONUs by ODB for antlines
+    await loadOdbRegistry();
     const odbGroups = groupOnusByOdb(onus);
 
     // Add markers and antlines
@@ -1083,8 +1970,10 @@ async function loadOnuData() {
     // Update statistics
     updateStatistics(calculateStatistics(onus));
 
-    // Load status history
+    // Load status history and highlight correlated incidents
     loadStatusHistory();
+    loadIncidents();
+    loadChanges();
 
     // Fit map to markers
     if (onuMarkers.length > 0) {
@@ -6,20 +6,109 @@ const path = require('path');
 const config = require('./config/api.config');
 const logger = require('./utils/logger');
 const RateLimiter = require('./utils/rateLimiter');
+const RateLimitStore = require('./services/rateLimitStore');
 const CacheService = require('./services/cacheService');
 const ApiService = require('./services/apiService');
+const RecordingStore = require('./services/recordingStore');
 const OnuService = require('./services/onuService');
+const HistoryStore = require('./services/historyStore');
+const SignalHistoryStore = require('./services/signalHistoryStore');
+const InventorySnapshotStore = require('./services/inventorySnapshotStore');
+const PollerService = require('./services/pollerService');
+const StreamService = require('./services/streamService');
+const OdbService = require('./services/odbService');
+const IncidentService = require('./services/incidentService');
+const IncidentStore = require('./services/incidentStore');
+const ChangeService = require('./services/changeService');
+const ChangeStore = require('./services/changeStore');
+const NotificationService = require('./services/notificationService');
+const { createChannels } = require('./services/notificationChannels');
+const ReportService = require('./services/reportService');
+const ExportService = require('./services/exportService');
+const CoordinateStore = require('./services/coordinateStore');
+const GeoService = require('./services/geoService');
+const AccountRegistry = require('./services/accountRegistry');
+const AuthService = require('./services/authService');
+const UserStore = require('./services/userStore');
+const { startMockSmartOlt } = require('./mock/mockSmartOlt');
 const createApiRoutes = require('./routes/api.routes');
+const createAccountRoutes = require('./routes/account.routes');
+const createAuthRoutes = require('./routes/auth.routes');
 
-// Initialize services
-const rateLimiter = new RateLimiter(config.rateLimit);
-const cacheService = new CacheService(config.cache);
-const apiService = new ApiService(config, rateLimiter);
-const onuService = new OnuService(apiService, cacheService, config);
+// Offline demo / development: serve SmartOLT from the bundled mock
+const mockReady = config.mock.enabled ? startMockSmartOlt(config.mock) : null;
+
+// Users and roles are shared by all accounts
+const authService = new AuthService(config.auth, new UserStore(config.auth));
+
+/**
+ * Build the services of one SmartOLT account
+ */
+function createAccountContext(accountConfig) {
+  const rateLimiter = new RateLimiter(accountConfig.rateLimit, new RateLimitStore(accountConfig.rateLimitState));
+  const cacheService = new CacheService(accountConfig.cache);
+  const recordingStore = new RecordingStore(accountConfig.recording);
+  const apiService = new ApiService(accountConfig, rateLimiter, recordingStore);
+  const historyStore = new HistoryStore(accountConfig.history);
+  const signalHistoryStore = new SignalHistoryStore(accountConfig.signalHistory);
+  const coordinateStore = new CoordinateStore(accountConfig.coordinates);
+  const snapshotStore = new InventorySnapshotStore(accountConfig.inventorySnapshots);
+  const onuService = new OnuService(
+    apiService,
+    cacheService,
+    accountConfig,
+    historyStore,
+    signalHistoryStore,
+    coordinateStore,
+    snapshotStore
+  );
+  onuService.restoreInventory();
+  const pollerService = new PollerService(onuService, rateLimiter, accountConfig.poller);
+  const streamService = new StreamService(onuService, accountConfig.stream);
+  const odbService = new OdbService(apiService, cacheService, accountConfig, coordinateStore);
+  const incidentStore = new IncidentStore(accountConfig.incidents);
+  const incidentService = new IncidentService(onuService, accountConfig.correlation, incidentStore);
+  const notificationService = new NotificationService(
+    onuService,
+    incidentService,
+    accountConfig.notifications,
+    createChannels(accountConfig.notifications)
+  );
+  const reportService = new ReportService(onuService, historyStore);
+  const exportService = new ExportService(onuService, historyStore);
+  const geoService = new GeoService(onuService, odbService, coordinateStore);
+  const changeService = new ChangeService(onuService, accountConfig.changes, new ChangeStore(accountConfig.changes));
+
+  streamService.forward(incidentService, ['incident_opened', 'incident_updated', 'incident_resolved']);
+  streamService.forward(changeService, ['inventory_change']);
+
+  const router = createApiRoutes(
+    onuService,
+    apiService,
+    rateLimiter,
+    streamService,
+    odbService,
+    incidentService,
+    notificationService,
+    reportService,
+    exportService,
+    geoService,
+    authService,
+    changeService
+  );
+
+  return { rateLimiter, cacheService, apiService, onuService, pollerService, streamService, router };
+}
+
+// Initialize services, one set per SmartOLT account
+const accountRegistry = new AccountRegistry(config, createAccountContext);
 
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, trust it for req.secure (secure session cookies)
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
 app.use(helmet({
   contentSecurityPolicy: false // Allow Leaflet to load
@@ -32,22 +121,28 @@ app.use(express.urlencoded({ extended: true }));
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
-// API routes
-app.use('/api', createApiRoutes(onuService, apiService, rateLimiter));
+// Login is the only API route open without a session
+app.use('/api/auth', createAuthRoutes(authService));
+app.use('/api', authService.authenticate());
+
+// API routes, served by the account selected with ?account=
+app.use('/api', createAccountRoutes(accountRegistry));
 
 // Test API connection endpoint
-app.get('/api/test-connection', async (req, res) => {
+app.get('/api/test-connection', authService.requireRole('admin'), async (req, res) => {
+  const account = accountRegistry.resolve(req.query.account);
+  const accountConfig = account.config;
+
   try {
-    const result = await apiService.testConnection();
+    const result = await account.apiService.testConnection();
 
     if (result.success) {
       res.json({
         status: true,
         message: result.message,
         config: {
-          baseUrl: config.apiBaseUrl,
-          apiKeySet: !!config.apiKey && config.apiKey !== 'your_api_key_here',
-          apiKeyPrefix: config.apiKey ? config.apiKey.substring(0, 10) + '...' : 'NOT SET'
+          baseUrl: accountConfig.apiBaseUrl,
+          apiKeySet: !!accountConfig.apiKey && accountConfig.apiKey !== 'your_api_key_here'
         }
       });
     } else {
@@ -55,9 +150,8 @@ app.get('/api/test-connection', async (req, res) => {
         status: false,
         error: result.message,
         config: {
-          baseUrl: config.apiBaseUrl,
-          apiKeySet: !!config.apiKey && config.apiKey !== 'your_api_key_here',
-          apiKeyPrefix: config.apiKey ? config.apiKey.substring(0, 10) + '...' : 'NOT SET'
+          baseUrl: accountConfig.apiBaseUrl,
+          apiKeySet: !!accountConfig.apiKey && accountConfig.apiKey !== 'your_api_key_here'
         }
       });
     }
@@ -67,45 +161,57 @@ app.get('/api/test-connection', async (req, res) => {
       status: false,
       error: error.message,
       config: {
-        baseUrl: config.apiBaseUrl,
-        apiKeySet: !!config.apiKey && config.apiKey !== 'your_api_key_here'
+        baseUrl: accountConfig.apiBaseUrl,
+        apiKeySet: !!accountConfig.apiKey && accountConfig.apiKey !== 'your_api_key_here'
       }
     });
   }
 });
 
 // Debug endpoint to check configuration
-app.get('/api/debug/config', (req, res) => {
+app.get('/api/debug/config', authService.requireRole('admin'), (req, res) => {
+  const accountConfig = accountRegistry.resolve(req.query.account).config;
+
   res.json({
     status: true,
     config: {
       nodeEnv: process.env.NODE_ENV,
-      apiBaseUrl: config.apiBaseUrl,
-      apiSubdomain: config.apiSubdomain,
-      apiKeyConfigured: !!config.apiKey && config.apiKey !== 'your_api_key_here',
-      apiKeyLength: config.apiKey ? config.apiKey.length : 0,
-      apiKeyPrefix: config.apiKey ? config.apiKey.substring(0, 10) + '...' : 'NOT SET',
+      account: accountConfig.account,
+      accounts: accountRegistry.list().map(account => account.id),
+      apiBaseUrl: accountConfig.apiBaseUrl,
+      apiSubdomain: accountConfig.apiSubdomain,
+      apiKeyConfigured: !!accountConfig.apiKey && accountConfig.apiKey !== 'your_api_key_here',
       port: config.port,
-      rateLimit: config.rateLimit,
+      rateLimit: accountConfig.rateLimit,
       cache: config.cache
     }
   });
 });
 
-// Health check
+// Health check; top-level figures are for the first account
 app.get('/health', (req, res) => {
-  const cacheStats = cacheService.getStats();
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    cache: cacheStats,
-    rateLimits: {
-      gps_remaining: rateLimiter.getRemainingCalls('gps'),
-      details_remaining: rateLimiter.getRemainingCalls('details')
-    },
+  const accounts = accountRegistry.all().map(account => ({
+    id: account.id,
+    name: account.name,
+    cache: account.cacheService.getStats(),
+    rateLimits: account.rateLimiter.getStatus(),
+    upstream: account.apiService.getUpstreamStatus(),
+    requests: account.apiService.getRequestStats(),
+    poller: account.pollerService.getStatus(),
+    stream: account.streamService.getStats(),
     config: {
-      apiConfigured: !!config.apiKey && config.apiKey !== 'your_api_key_here'
+      apiConfigured: !!account.config.apiKey && account.config.apiKey !== 'your_api_key_here',
+      recording: account.config.recording.mode
     }
+  }));
+
+  const { id, name, ...primary } = accounts[0];
+
+  res.json({
+    status: accounts.some(account => account.upstream.degraded) ? 'degraded' : 'ok',
+    timestamp: new Date().toISOString(),
+    ...primary,
+    accounts
   });
 });
 
@@ -129,27 +235,55 @@ app.use((req, res) => {
 
 // Test API connection on startup
 (async () => {
+  logger.info('Starting server...');
+
+  if (mockReady) {
+    try {
+      await mockReady;
+      logger.warn('⚠ Using the mock SmartOLT (MOCK_SMARTOLT=true); data is synthetic');
+    } catch (error) {
+      logger.error('Failed to start mock SmartOLT:', error.message);
+    }
+  }
+
   try {
-    logger.info('Starting server...');
-    logger.info(`API Base URL: ${config.apiBaseUrl}`);
-    logger.info(`API Key configured: ${!!config.apiKey && config.apiKey !== 'your_api_key_here'}`);
+    await authService.ensureAdmin();
+  } catch (error) {
+    logger.error('Failed to create the initial admin user:', error.message);
+  }
 
-    if (config.apiKey && config.apiKey !== 'your_api_key_here') {
-      logger.info('Testing API connection...');
-      const testResult = await apiService.testConnection();
+  if (!config.auth.enabled) {
+    logger.warn('⚠ Authentication is disabled (AUTH_ENABLED=false); do not expose this server');
+  }
 
-      if (testResult.success) {
-        logger.info('✓ API connection successful');
+  for (const account of accountRegistry.all()) {
+    try {
+      const apiKey = account.config.apiKey;
+
+      logger.info(`[${account.id}] API Base URL: ${account.config.apiBaseUrl}`);
+      logger.info(`[${account.id}] API Key configured: ${!!apiKey && apiKey !== 'your_api_key_here'}`);
+
+      if (account.config.recording.mode === 'replay') {
+        logger.warn(`[${account.id}] ⚠ Replaying recorded responses from ${account.config.recording.dir}; SmartOLT is not called`);
+      } else if (apiKey && apiKey !== 'your_api_key_here') {
+        logger.info(`[${account.id}] Testing API connection...`);
+        const testResult = await account.apiService.testConnection();
+
+        if (testResult.success) {
+          logger.info(`[${account.id}] ✓ API connection successful`);
+        } else {
+          logger.warn(`[${account.id}] ✗ API connection failed:`, testResult.message);
+          logger.warn('Application will start but API calls may fail');
+        }
       } else {
-        logger.warn('✗ API connection failed:', testResult.message);
-        logger.warn('Application will start but API calls may fail');
+        logger.warn(`[${account.id}] ⚠ API Key not configured`);
+        logger.warn('Please set API_KEY in .env file or api_key in the accounts file');
       }
-    } else {
-      logger.warn('⚠ API Key not configured in .env file');
-      logger.warn('Please set API_KEY in .env file');
+    } catch (error) {
+      logger.error(`[${account.id}] Error during startup:`, error.message);
     }
-  } catch (error) {
-    logger.error('Error during startup:', error.message);
+
+    account.pollerService.start();
   }
 })();
 
@@ -1,20 +1,156 @@
 require('dotenv').config();
+const path = require('path');
+
+// MOCK_SMARTOLT=true runs against the bundled mock server (offline demo / development)
+const mockEnabled = process.env.MOCK_SMARTOLT === 'true';
+const mockPort = parseInt(process.env.MOCK_PORT) || 3900;
+const mockApiKey = 'mock-api-key';
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, mockEnabled ? '../../data/mock' : '../../data');
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
 
 module.exports = {
-  apiBaseUrl: process.env.API_BASE_URL,
-  apiKey: process.env.API_KEY,
-  apiSubdomain: process.env.API_SUBDOMAIN,
+  apiBaseUrl: mockEnabled ? `http://127.0.0.1:${mockPort}/api` : (process.env.API_BASE_URL ||
+    (process.env.API_SUBDOMAIN ? `https://${process.env.API_SUBDOMAIN}.smartolt.com/api` : undefined)),
+  apiKey: mockEnabled ? mockApiKey : process.env.API_KEY,
+  apiSubdomain: mockEnabled ? 'mock' : process.env.API_SUBDOMAIN,
   port: process.env.PORT || 3000,
+  // Hop count ("1"), "true", or addresses / subnets as Express accepts them
+  trustProxy: /^\d+$/.test(process.env.TRUST_PROXY || '') ? parseInt(process.env.TRUST_PROXY)
+    : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY || false,
+  dataDir,
+  accounts: {
+    file: mockEnabled ? null : (process.env.ACCOUNTS_FILE || path.join(dataDir, 'accounts.json'))
+  },
+  mock: {
+    enabled: mockEnabled,
+    host: '127.0.0.1',
+    port: mockPort,
+    apiKey: mockApiKey,
+    scenariosFile: process.env.MOCK_SCENARIOS_FILE,
+    network: {
+      seed: parseInt(process.env.MOCK_SEED) || 1,
+      olts: parseInt(process.env.MOCK_OLTS) || 2,
+      boards: parseInt(process.env.MOCK_BOARDS) || 1,
+      ports: parseInt(process.env.MOCK_PORTS) || 4,
+      odbsPerPort: parseInt(process.env.MOCK_ODBS_PER_PORT) || 4,
+      onusPerOdb: parseInt(process.env.MOCK_ONUS_PER_ODB) || 8
+    }
+  },
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    secret: process.env.AUTH_SECRET,
+    tokenTtl: parseInt(process.env.AUTH_TOKEN_TTL) || 43200,
+    usersFile: process.env.USERS_FILE || path.join(dataDir, 'users.json'),
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD,
+    maxAttempts: parseInt(process.env.AUTH_MAX_ATTEMPTS) || 5,
+    lockout: parseInt(process.env.AUTH_LOCKOUT) || 900
+  },
   cache: {
     ttl: {
       onuDetails: parseInt(process.env.CACHE_TTL_ONU_DETAILS) || 3600,
       onuStatus: parseInt(process.env.CACHE_TTL_ONU_STATUS) || 60,
-      gps: parseInt(process.env.CACHE_TTL_GPS) || 3600
+      gps: parseInt(process.env.CACHE_TTL_GPS) || 3600,
+      odbs: parseInt(process.env.CACHE_TTL_ODBS) || 3600
     }
   },
   rateLimit: {
-    apiDelay: parseInt(process.env.API_DELAY) || 8000,
+    apiDelay: parseInt(process.env.API_DELAY) || (mockEnabled ? 500 : 8000),
     gpsLimit: parseInt(process.env.GPS_API_LIMIT_PER_HOUR) || 3,
-    detailsLimit: parseInt(process.env.DETAILS_API_LIMIT_PER_HOUR) || 3
+    detailsLimit: parseInt(process.env.DETAILS_API_LIMIT_PER_HOUR) || 3,
+    policiesFile: process.env.RATE_LIMIT_POLICIES_FILE || path.join(dataDir, 'rate-limit-policies.json'),
+    maxQueue: parseInt(process.env.RATE_LIMIT_MAX_QUEUE) || 100
+  },
+  retry: {
+    attempts: parseInt(process.env.API_RETRY_ATTEMPTS) || 3,
+    baseDelay: parseInt(process.env.API_RETRY_BASE_DELAY) || 1000,
+    maxDelay: parseInt(process.env.API_RETRY_MAX_DELAY) || 15000,
+    maxRetryAfter: parseInt(process.env.API_RETRY_MAX_RETRY_AFTER) || 120
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetTimeout: parseInt(process.env.CIRCUIT_RESET_TIMEOUT) || 60
+  },
+  rateLimitState: {
+    file: process.env.RATE_LIMIT_STATE_FILE || path.join(dataDir, 'rate-limit-state.json')
+  },
+  poller: {
+    enabled: process.env.POLLER_ENABLED !== 'false',
+    interval: parseInt(process.env.POLL_INTERVAL) || 1200
+  },
+  refresh: {
+    maxBatch: parseInt(process.env.REFRESH_MAX_BATCH) || 100
+  },
+  correlation: {
+    window: parseInt(process.env.CORRELATION_WINDOW) || 300,
+    minOnusPerOdb: parseInt(process.env.CORRELATION_MIN_ONUS_PER_ODB) || 2,
+    minOdbsPerPort: parseInt(process.env.CORRELATION_MIN_ODBS_PER_PORT) || 2,
+    minPortsPerOlt: parseInt(process.env.CORRELATION_MIN_PORTS_PER_OLT) || 2,
+    maxResolved: parseInt(process.env.INCIDENT_MAX_RESOLVED) || 1000
+  },
+  incidents: {
+    file: process.env.INCIDENTS_FILE || path.join(dataDir, 'incidents.json')
+  },
+  coordinates: {
+    file: process.env.COORDINATES_FILE || path.join(dataDir, 'coordinate-overrides.json')
+  },
+  signal: {
+    warning: parseFloat(process.env.SIGNAL_WARNING_DBM) || -25,
+    critical: parseFloat(process.env.SIGNAL_CRITICAL_DBM) || -27
+  },
+  signalHistory: {
+    dir: process.env.SIGNAL_HISTORY_DIR || path.join(dataDir, 'signal-history'),
+    interval: parseInt(process.env.SIGNAL_HISTORY_INTERVAL) || 3600,
+    minDelta: parseFloat(process.env.SIGNAL_HISTORY_MIN_DELTA) || 0.5,
+    retentionDays: parseInt(process.env.SIGNAL_HISTORY_RETENTION_DAYS) || 30
+  },
+  stream: {
+    heartbeat: parseInt(process.env.STREAM_HEARTBEAT) || 25
+  },
+  recording: {
+    mode: process.env.API_RECORDING || 'off',
+    dir: process.env.RECORDINGS_DIR || path.join(dataDir, 'recordings'),
+    replayAt: process.env.REPLAY_AT,
+    maxPerKey: parseInt(process.env.RECORDING_MAX_PER_ENDPOINT) || 500
+  },
+  inventorySnapshots: {
+    dir: process.env.INVENTORY_SNAPSHOT_DIR || path.join(dataDir, 'inventory-snapshots'),
+    maxSnapshots: parseInt(process.env.INVENTORY_SNAPSHOT_MAX) || 500
+  },
+  changes: {
+    file: process.env.CHANGES_FILE || path.join(dataDir, 'inventory-changes.jsonl'),
+    minDistance: parseFloat(process.env.CHANGE_MIN_DISTANCE) || 10,
+    maxEvents: parseInt(process.env.CHANGES_MAX_EVENTS) || 10000
+  },
+  history: {
+    file: process.env.HISTORY_FILE || path.join(dataDir, 'status-history.jsonl')
+  },
+  notifications: {
+    rulesFile: process.env.NOTIFY_RULES_FILE || path.join(dataDir, 'notification-rules.json'),
+    defaultRule: {
+      name: 'default',
+      events: list(process.env.NOTIFY_EVENTS),
+      statuses: list(process.env.NOTIFY_STATUSES),
+      min_affected: parseInt(process.env.NOTIFY_MIN_AFFECTED) || 1,
+      quiet_hours: process.env.NOTIFY_QUIET_HOURS || null
+    },
+    webhook: {
+      url: process.env.NOTIFY_WEBHOOK_URL
+    },
+    telegram: {
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      chatId: process.env.TELEGRAM_CHAT_ID,
+      apiBase: process.env.TELEGRAM_API_BASE || 'https://api.telegram.org'
+    },
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: process.env.SMTP_FROM || 'onu-monitoring@localhost',
+      to: process.env.SMTP_TO
+    }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,359 @@
+const ZONE_NAMES = ['Kota', 'Utara', 'Selatan', 'Timur', 'Barat', 'Tengah'];
+const ONU_TYPES = ['HG8245H', 'F609', 'EG8141A5', 'HG8010H'];
+const METERS_PER_DEGREE = 111320;
+
+const STATUS_SCENARIOS = {
+  odb_cut: { status: 'LOS', target: ['odb'] },
+  port_down: { status: 'LOS', target: ['olt_id', 'board', 'port'] },
+  olt_down: { status: 'Offline', target: ['olt_id'] },
+  power_outage: { status: 'Power fail', target: [] }
+};
+const SCENARIO_TYPES = [...Object.keys(STATUS_SCENARIOS), 'flapping', 'signal_degradation', 'api_errors', 'latency'];
+const TARGET_KEYS = ['olt_id', 'board', 'port', 'zone', 'odb', 'onus'];
+
+/**
+ * Small seeded PRNG (mulberry32) so a seed always yields the same network
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Synthetic SmartOLT network for the mock server.
+ *
+ * OLTs, ODBs and ONUs are generated once from the seed. Scenarios (ODB
+ * cuts, outages, flapping, ...) are kept as time windows and applied when
+ * a record is read, so a scripted timeline needs no timers: an ONU's
+ * status is whatever its baseline and the scenarios active at that moment
+ * make it.
+ */
+class MockNetwork {
+  constructor(options = {}) {
+    this.options = {
+      seed: 1,
+      olts: 2,
+      boards: 1,
+      ports: 4,
+      odbsPerPort: 4,
+      onusPerOdb: 8,
+      center: { lat: -7.55, lng: 112.23 },
+      ...options
+    };
+    this.scenarios = new Map();
+    this.nextScenarioId = 1;
+
+    this.generate();
+  }
+
+  generate() {
+    const random = createRandom(this.options.seed);
+    const { center } = this.options;
+    const offset = (meters) => (random() - 0.5) * 2 * meters / METERS_PER_DEGREE;
+    const round = value => Math.round(value * 1e6) / 1e6;
+
+    this.olts = [];
+    this.odbs = [];
+    this.onus = [];
+
+    for (let o = 1; o <= this.options.olts; o++) {
+      const zoneName = `Zone ${ZONE_NAMES[(o - 1) % ZONE_NAMES.length]}${o > ZONE_NAMES.length ? ` ${o}` : ''}`;
+      const oltLat = center.lat + offset(4000);
+      const oltLng = center.lng + offset(4000);
+
+      this.olts.push({
+        id: String(o),
+        name: `OLT-${String(o).padStart(2, '0')}`,
+        ip: `10.10.${o}.1`,
+        olt_hardware_version: 'MA5608T',
+        zone_id: String(o),
+        zone_name: zoneName
+      });
+
+      for (let b = 0; b < this.options.boards; b++) {
+        for (let p = 0; p < this.options.ports; p++) {
+          let onuIndex = 0;
+
+          for (let k = 1; k <= this.options.odbsPerPort; k++) {
+            const odb = {
+              id: String(this.odbs.length + 1),
+              name: `ODB-${o}-${b}${p}-${String(k).padStart(2, '0')}`,
+              nr_of_ports: this.options.onusPerOdb > 8 ? 16 : 8,
+              latitude: round(oltLat + offset(1500)),
+              longitude: round(oltLng + offset(1500)),
+              zone_id: String(o),
+              zone_name: zoneName
+            };
+            this.odbs.push(odb);
+
+            for (let n = 1; n <= this.options.onusPerOdb; n++) {
+              onuIndex++;
+              const sn = `HWTC${Math.floor(random() * 0xFFFFFFFF).toString(16).padStart(8, '0').toUpperCase()}`;
+              const roll = random();
+              // Roughly 5% of ONUs have no GPS position
+              const hasGps = random() >= 0.05;
+
+              this.onus.push({
+                unique_external_id: `mock-${o}-${b}-${p}-${onuIndex}`,
+                sn,
+                olt_id: String(o),
+                olt_name: this.olts[o - 1].name,
+                board: String(b),
+                port: String(p),
+                onu: String(onuIndex),
+                onu_type_name: ONU_TYPES[Math.floor(random() * ONU_TYPES.length)],
+                name: `Pelanggan ${o}${b}${p}-${String(onuIndex).padStart(3, '0')}`,
+                zone_id: String(o),
+                zone_name: zoneName,
+                address: `Jl. Mock No. ${onuIndex}, ${zoneName}`,
+                odb_name: odb.name,
+                odb_port: String(n),
+                mode: 'Routing',
+                latitude: hasGps ? round(odb.latitude + offset(150)) : null,
+                longitude: hasGps ? round(odb.longitude + offset(150)) : null,
+                base_status: roll < 0.03 ? 'Offline' : (roll < 0.05 ? 'Power fail' : 'Online'),
+                base_rx: Math.round((-17 - random() * 9.5 - (random() < 0.03 ? 2 : 0)) * 100) / 100
+              });
+            }
+          }
+        }
+      }
+    }
+
+    this.onusById = new Map(this.onus.map(onu => [onu.unique_external_id, onu]));
+  }
+
+  /**
+   * Add a scenario.
+   *
+   * `at` delays the start and `duration` ends it (seconds); without a
+   * duration the scenario lasts until it is removed. Throws on unknown
+   * types or missing targets.
+   */
+  addScenario(spec, now = Date.now()) {
+    if (!SCENARIO_TYPES.includes(spec.type)) {
+      throw new Error(`Unknown scenario type: ${spec.type}. Use ${SCENARIO_TYPES.join(', ')}`);
+    }
+
+    const target = {};
+    TARGET_KEYS.forEach(key => {
+      if (spec[key] !== undefined && spec[key] !== null) {
+        target[key] = key === 'onus' ? [].concat(spec[key]).map(String) : String(spec[key]);
+      }
+    });
+
+    const required = STATUS_SCENARIOS[spec.type] ? STATUS_SCENARIOS[spec.type].target : [];
+    const missing = required.filter(key => target[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Scenario ${spec.type} needs ${missing.join(', ')}`);
+    }
+
+    const targeted = !['api_errors', 'latency'].includes(spec.type);
+    if (targeted && Object.keys(target).length === 0) {
+      throw new Error(`Scenario ${spec.type} needs a target (${TARGET_KEYS.join(', ')})`);
+    }
+
+    const start = now + (Number(spec.at) || 0) * 1000;
+    const scenario = {
+      id: String(this.nextScenarioId++),
+      type: spec.type,
+      target,
+      label: spec.label || null,
+      period: Number(spec.period) || 60,
+      delta: Number(spec.delta) || 5,
+      rate: spec.rate !== undefined ? Number(spec.rate) : 1,
+      http_status: Number(spec.http_status) || 500,
+      endpoints: spec.endpoints ? [].concat(spec.endpoints) : null,
+      delay: Number(spec.delay) || 2000,
+      starts_at: new Date(start).toISOString(),
+      ends_at: spec.duration ? new Date(start + Number(spec.duration) * 1000).toISOString() : null
+    };
+
+    this.scenarios.set(scenario.id, scenario);
+    return scenario;
+  }
+
+  removeScenario(id) {
+    return this.scenarios.delete(String(id));
+  }
+
+  clearScenarios() {
+    const count = this.scenarios.size;
+    this.scenarios.clear();
+    return count;
+  }
+
+  isActive(scenario, now = Date.now()) {
+    return Date.parse(scenario.starts_at) <= now &&
+      (!scenario.ends_at || Date.parse(scenario.ends_at) > now);
+  }
+
+  listScenarios(now = Date.now()) {
+    return [...this.scenarios.values()].map(scenario => ({
+      ...scenario,
+      active: this.isActive(scenario, now)
+    }));
+  }
+
+  activeScenarios(type, now = Date.now()) {
+    return [...this.scenarios.values()].filter(scenario =>
+      (!type || scenario.type === type) && this.isActive(scenario, now)
+    );
+  }
+
+  matchesTarget(onu, target) {
+    return (target.olt_id === undefined || onu.olt_id === target.olt_id) &&
+      (target.board === undefined || onu.board === target.board) &&
+      (target.port === undefined || onu.port === target.port) &&
+      (target.zone === undefined || onu.zone_name === target.zone) &&
+      (target.odb === undefined || onu.odb_name === target.odb) &&
+      (target.onus === undefined || target.onus.includes(onu.unique_external_id));
+  }
+
+  /**
+   * Status and RX power of an ONU at a given moment
+   */
+  stateOf(onu, now = Date.now()) {
+    let status = onu.base_status;
+    let rx = onu.base_rx;
+
+    for (const scenario of this.activeScenarios(null, now)) {
+      if (!this.matchesTarget(onu, scenario.target)) continue;
+
+      if (STATUS_SCENARIOS[scenario.type]) {
+        // A fibre cut hides the power state, so LOS wins over Power fail
+        if (status === 'Online' || scenario.type !== 'power_outage') {
+          status = STATUS_SCENARIOS[scenario.type].status;
+        }
+      } else if (scenario.type === 'flapping' && status === 'Online') {
+        // Each ONU flaps on its own phase so they don't all change at once
+        const phase = parseInt(onu.onu) * 7;
+        const elapsed = (now - Date.parse(scenario.starts_at)) / 1000 + phase;
+        if (Math.floor(elapsed / scenario.period) % 2 === 1) {
+          status = 'LOS';
+        }
+      } else if (scenario.type === 'signal_degradation') {
+        rx -= scenario.delta;
+      }
+    }
+
+    return { status, rx: Math.round(rx * 100) / 100 };
+  }
+
+  signalQuality(rx) {
+    if (rx >= -25) return 'Very good';
+    if (rx >= -27) return 'Warning';
+    return 'Critical';
+  }
+
+  /**
+   * ONU as returned by get_all_onus_details / get_onu_details
+   */
+  onuRecord(onu, now = Date.now()) {
+    const { status, rx } = this.stateOf(onu, now);
+    const online = status === 'Online';
+    const { base_status: baseStatus, base_rx: baseRx, ...fields } = onu;
+
+    return {
+      ...fields,
+      status,
+      administrative_status: 'Enabled',
+      signal: online ? this.signalQuality(rx) : '-',
+      signal_1310: online ? (rx - 2.1).toFixed(2) : null,
+      signal_1490: online ? rx.toFixed(2) : null,
+      latitude: onu.latitude === null ? null : String(onu.latitude),
+      longitude: onu.longitude === null ? null : String(onu.longitude),
+      service_ports: [
+        { service_port: '1', vlan: '100', upload_speed: '50M', download_speed: '50M' }
+      ]
+    };
+  }
+
+  /**
+   * ONUs matching the get_all_onus_details filters
+   */
+  findOnus(filters = {}, now = Date.now()) {
+    const target = {};
+    if (filters.olt_id !== undefined) target.olt_id = String(filters.olt_id);
+    if (filters.board !== undefined) target.board = String(filters.board);
+    if (filters.port !== undefined) target.port = String(filters.port);
+    if (filters.zone !== undefined) target.zone = String(filters.zone);
+    if (filters.odb !== undefined) target.odb = String(filters.odb);
+
+    return this.onus
+      .filter(onu => this.matchesTarget(onu, target))
+      .map(onu => this.onuRecord(onu, now));
+  }
+
+  getOnu(externalId, now = Date.now()) {
+    const onu = this.onusById.get(String(externalId));
+    return onu ? this.onuRecord(onu, now) : null;
+  }
+
+  getOnuBySn(sn, now = Date.now()) {
+    const onu = this.onus.find(item => item.sn === String(sn).toUpperCase());
+    return onu ? this.onuRecord(onu, now) : null;
+  }
+
+  /**
+   * Per-port ONU counts as returned by get_olt_pon_ports_details
+   */
+  ponPorts(oltId, now = Date.now()) {
+    const ports = new Map();
+
+    this.onus.filter(onu => onu.olt_id === String(oltId)).forEach(onu => {
+      const key = `${onu.board}/${onu.port}`;
+      if (!ports.has(key)) {
+        ports.set(key, { board: onu.board, pon_port: onu.port, onus_count: 0, online_onus_count: 0, admin_status: 'Enabled' });
+      }
+
+      const port = ports.get(key);
+      port.onus_count++;
+      if (this.stateOf(onu, now).status === 'Online') port.online_onus_count++;
+    });
+
+    return [...ports.values()];
+  }
+
+  /**
+   * Active api_errors scenario for an endpoint that fires on this request
+   */
+  failureFor(endpoint, now = Date.now()) {
+    return this.activeScenarios('api_errors', now).find(scenario =>
+      (!scenario.endpoints || scenario.endpoints.some(name => endpoint.includes(name))) &&
+      Math.random() < scenario.rate
+    ) || null;
+  }
+
+  latency(now = Date.now()) {
+    return this.activeScenarios('latency', now).reduce((total, scenario) => total + scenario.delay, 0);
+  }
+
+  summary(now = Date.now()) {
+    const statuses = {};
+    this.onus.forEach(onu => {
+      const { status } = this.stateOf(onu, now);
+      statuses[status] = (statuses[status] || 0) + 1;
+    });
+
+    return {
+      seed: this.options.seed,
+      olts: this.olts.length,
+      odbs: this.odbs.length,
+      onus: this.onus.length,
+      statuses,
+      scenarios: this.listScenarios(now)
+    };
+  }
+}
+
+MockNetwork.SCENARIO_TYPES = SCENARIO_TYPES;
+
+module.exports = MockNetwork;
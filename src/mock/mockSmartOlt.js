@@ -0,0 +1,237 @@
+const fs = require('fs');
+const express = require('express');
+const logger = require('../utils/logger');
+const MockNetwork = require('./mockNetwork');
+
+/**
+ * Mock SmartOLT HTTP API backed by a MockNetwork.
+ *
+ * Serves the endpoints ApiService uses under /api (X-Token checked like
+ * the real server) and a control API under /mock to inspect the network
+ * and add or remove failure scenarios while the app is running.
+ */
+function createMockSmartOlt(network, options = {}) {
+  const app = express();
+  const api = express.Router();
+
+  app.use(express.json());
+
+  api.use((req, res, next) => {
+    if (options.apiKey && req.get('X-Token') !== options.apiKey) {
+      return res.status(403).json({
+        status: false,
+        error: 'Invalid API key'
+      });
+    }
+
+    next();
+  });
+
+  // Scripted slowness and failures
+  api.use((req, res, next) => {
+    const failure = network.failureFor(req.path);
+    const delay = network.latency();
+
+    setTimeout(() => {
+      if (failure) {
+        return res.status(failure.http_status).json({
+          status: false,
+          error: `Mock failure (scenario ${failure.id})`
+        });
+      }
+
+      next();
+    }, delay);
+  });
+
+  const notFound = (res, what) => res.status(404).json({
+    status: false,
+    error: `${what} not found`
+  });
+
+  api.get('/system/get_olts', (req, res) => {
+    res.json({ status: true, response: network.olts });
+  });
+
+  api.get('/system/get_odbs', (req, res) => {
+    res.json({ status: true, response: network.odbs });
+  });
+
+  api.get('/system/get_odb/:id', (req, res) => {
+    const odb = network.odbs.find(item => item.id === req.params.id);
+    if (!odb) return notFound(res, 'ODB');
+
+    res.json({ status: true, response: odb });
+  });
+
+  api.get('/system/get_olt_pon_ports_details/:oltId', (req, res) => {
+    if (!network.olts.some(olt => olt.id === req.params.oltId)) return notFound(res, 'OLT');
+
+    res.json({ status: true, response: network.ponPorts(req.params.oltId) });
+  });
+
+  api.get('/onu/get_all_onus_details', (req, res) => {
+    res.json({ status: true, onus: network.findOnus(req.query) });
+  });
+
+  api.get('/onu/get_all_onus_gps_coordinates', (req, res) => {
+    res.json({
+      status: true,
+      onus: network.findOnus(req.query)
+        .filter(onu => onu.latitude !== null)
+        .map(onu => ({
+          unique_external_id: onu.unique_external_id,
+          latitude: onu.latitude,
+          longitude: onu.longitude
+        }))
+    });
+  });
+
+  api.get('/onu/get_onus_statuses', (req, res) => {
+    res.json({
+      status: true,
+      response: network.findOnus(req.query).map(onu => ({
+        unique_external_id: onu.unique_external_id,
+        sn: onu.sn,
+        status: onu.status
+      }))
+    });
+  });
+
+  api.get('/onu/get_onu_status/:id', (req, res) => {
+    const onu = network.getOnu(req.params.id);
+    if (!onu) return notFound(res, 'ONU');
+
+    res.json({ status: true, onu_status: onu.status });
+  });
+
+  api.get('/onu/get_onu_details/:id', (req, res) => {
+    const onu = network.getOnu(req.params.id);
+    if (!onu) return notFound(res, 'ONU');
+
+    res.json({ status: true, onu_details: onu });
+  });
+
+  api.get('/onu/get_onu_signal/:id', (req, res) => {
+    const onu = network.getOnu(req.params.id);
+    if (!onu) return notFound(res, 'ONU');
+
+    res.json({
+      status: true,
+      onu_signal: onu.signal,
+      onu_signal_value: onu.signal_1490 ? `${onu.signal_1490} dBm / ${onu.signal_1310} dBm` : '-',
+      onu_signal_1310: onu.signal_1310,
+      onu_signal_1490: onu.signal_1490
+    });
+  });
+
+  api.get('/onu/get_onu_administrative_status/:id', (req, res) => {
+    const onu = network.getOnu(req.params.id);
+    if (!onu) return notFound(res, 'ONU');
+
+    res.json({ status: true, onu_administrative_status: onu.administrative_status });
+  });
+
+  api.get('/onu/get_onus_details_by_sn/:sn', (req, res) => {
+    const onu = network.getOnuBySn(req.params.sn);
+    res.json({ status: true, onus: onu ? [onu] : [] });
+  });
+
+  api.use((req, res) => notFound(res, 'Endpoint'));
+
+  app.use('/api', api);
+
+  // Control API
+
+  app.get('/mock/network', (req, res) => {
+    res.json({ status: true, data: network.summary() });
+  });
+
+  app.get('/mock/scenarios', (req, res) => {
+    res.json({ status: true, data: network.listScenarios() });
+  });
+
+  app.post('/mock/scenarios', (req, res) => {
+    try {
+      const scenario = network.addScenario(req.body || {});
+      logger.info(`Mock SmartOLT: scenario ${scenario.id} (${scenario.type}) added`);
+
+      res.status(201).json({ status: true, data: scenario });
+    } catch (error) {
+      res.status(400).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  app.delete('/mock/scenarios/:id', (req, res) => {
+    if (!network.removeScenario(req.params.id)) {
+      return notFound(res, 'Scenario');
+    }
+
+    res.json({ status: true, message: `Scenario ${req.params.id} removed` });
+  });
+
+  app.delete('/mock/scenarios', (req, res) => {
+    const count = network.clearScenarios();
+    res.json({ status: true, message: `${count} scenarios removed` });
+  });
+
+  return app;
+}
+
+/**
+ * Read a scenario script: a JSON array of scenario specs whose `at` and
+ * `duration` are seconds after the mock starts
+ */
+function loadScenarios(network, file) {
+  const specs = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(specs)) {
+    throw new Error(`Scenario file ${file} must contain an array`);
+  }
+
+  const now = Date.now();
+  specs.forEach(spec => network.addScenario(spec, now));
+  logger.info(`Mock SmartOLT: loaded ${specs.length} scenarios from ${file}`);
+}
+
+/**
+ * Generate the network and listen. Resolves with { server, network, baseUrl }.
+ */
+function startMockSmartOlt(config) {
+  const network = new MockNetwork(config.network);
+
+  if (config.scenariosFile) {
+    loadScenarios(network, config.scenariosFile);
+  }
+
+  const app = createMockSmartOlt(network, { apiKey: config.apiKey });
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(config.port, config.host, () => {
+      const baseUrl = `http://${config.host}:${config.port}/api`;
+      const summary = network.summary();
+
+      logger.info(`Mock SmartOLT running at ${baseUrl} (${summary.olts} OLTs, ${summary.odbs} ODBs, ${summary.onus} ONUs)`);
+      resolve({ server, network, baseUrl });
+    });
+
+    server.on('error', reject);
+  });
+}
+
+module.exports = { createMockSmartOlt, startMockSmartOlt, loadScenarios };
+
+// Standalone: npm run mock
+if (require.main === module) {
+  const config = require('../config/api.config');
+
+  startMockSmartOlt(config.mock).then(({ baseUrl }) => {
+    logger.info(`Point the app at it with API_BASE_URL=${baseUrl} API_KEY=${config.mock.apiKey}`);
+  }).catch(error => {
+    logger.error('Failed to start mock SmartOLT:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,72 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Account selection for the API.
+ *
+ * Every /api request is served by the routes of the account given in
+ * ?account= (the first account when omitted). Only the account list and
+ * the ?account=all statistics span several accounts.
+ */
+function createAccountRoutes(accountRegistry) {
+  const router = express.Router();
+
+  // List configured accounts for the branch selector
+  router.get('/accounts', (req, res) => {
+    res.json({
+      status: true,
+      data: accountRegistry.list()
+    });
+  });
+
+  // Statistics aggregated across every account
+  router.get('/statistics', async (req, res, next) => {
+    if (req.query.account !== 'all') {
+      return next();
+    }
+
+    try {
+      const filters = {
+        olt_id: req.query.olt_id,
+        board: req.query.board,
+        port: req.query.port,
+        zone: req.query.zone
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      const stats = await accountRegistry.getStatistics(filters);
+
+      res.json({
+        status: true,
+        data: stats
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/statistics?account=all:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Hand everything else to the selected account
+  router.use((req, res, next) => {
+    const context = accountRegistry.resolve(req.query.account);
+
+    if (!context) {
+      return res.status(404).json({
+        status: false,
+        error: `Unknown account: ${req.query.account}`
+      });
+    }
+
+    context.router(req, res, next);
+  });
+
+  return router;
+}
+
+module.exports = createAccountRoutes;
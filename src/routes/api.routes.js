@@ -1,8 +1,40 @@
 const express = require('express');
-const router = express.Router();
 const logger = require('../utils/logger');
 
-function createApiRoutes(onuService, apiService, rateLimiter) {
+function createApiRoutes(
+  onuService,
+  apiService,
+  rateLimiter,
+  streamService,
+  odbService,
+  incidentService,
+  notificationService,
+  reportService,
+  exportService,
+  geoService,
+  authService,
+  changeService
+) {
+  const router = express.Router();
+
+  // Every route needs a login (checked before the account routes are
+  // reached); routes that change state or expose internals need more
+  const requireOperator = authService.requireRole('operator');
+  const requireAdmin = authService.requireRole('admin');
+
+  // While SmartOLT is failing, responses come from cache / the last
+  // snapshot; flag them so the map can say so
+  router.use((req, res, next) => {
+    if (apiService.isDegraded()) {
+      const upstream = apiService.getUpstreamStatus();
+      const json = res.json.bind(res);
+
+      res.set('X-Upstream-Degraded', upstream.state);
+      res.json = body => json(body && typeof body === 'object' && !Array.isArray(body) ?
+        { ...body, degraded: true, upstream } : body);
+    }
+    next();
+  });
 
   // Get all ONUs with details
   router.get('/onus', async (req, res) => {
@@ -25,6 +57,7 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
       res.json({
         status: true,
         count: onus.length,
+        ...onuService.getFreshness(),
         data: onus
       });
     } catch (error) {
@@ -55,6 +88,7 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
       res.json({
         status: true,
         count: onus.length,
+        ...onuService.getFreshness(),
         data: onus
       });
     } catch (error) {
@@ -114,14 +148,78 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
+  // Get signal readings of an ONU with its status transitions
+  router.get('/onus/:externalId/signal-history', async (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({
+          status: false,
+          error: 'Invalid date range. Use ISO 8601 dates for from/to'
+        });
+      }
+
+      const history = onuService.getSignalHistory(req.params.externalId, { from, to });
+
+      res.json({
+        status: true,
+        count: history.readings.length,
+        data: history
+      });
+    } catch (error) {
+      logger.error(`Error in GET /api/onus/${req.params.externalId}/signal-history:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get status history
+  // Without query parameters this returns the recent LOS / Power Fail lists
+  // used by the map footer; with any filter it queries the persisted events.
   router.get('/history', async (req, res) => {
     try {
-      const history = onuService.getStatusHistory();
+      const filters = {
+        from: req.query.from,
+        to: req.query.to,
+        unique_external_id: req.query.unique_external_id,
+        odb: req.query.odb,
+        olt_id: req.query.olt_id,
+        zone: req.query.zone,
+        type: req.query.type,
+        page: req.query.page,
+        limit: req.query.limit
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      if (Object.keys(filters).length === 0) {
+        return res.json({
+          status: true,
+          data: onuService.getStatusHistory()
+        });
+      }
+
+      try {
+        onuService.parseHistoryFilters(filters);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      const result = onuService.queryStatusHistory(filters);
 
       res.json({
         status: true,
-        data: history
+        count: result.events.length,
+        data: result.events,
+        pagination: result.pagination
       });
     } catch (error) {
       logger.error('Error in GET /api/history:', error);
@@ -132,6 +230,279 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
+  // Get correlated incidents
+  router.get('/incidents', async (req, res) => {
+    try {
+      const filters = {
+        active: req.query.active,
+        state: req.query.state,
+        level: req.query.level
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      const incidents = incidentService.getIncidents(filters);
+
+      res.json({
+        status: true,
+        count: incidents.length,
+        data: incidents
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/incidents:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get MTTA / MTTR for incidents started in a period
+  router.get('/incidents/metrics', async (req, res) => {
+    try {
+      const filters = {
+        from: req.query.from,
+        to: req.query.to
+      };
+
+      try {
+        incidentService.parseMetricsFilters(filters);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      const metrics = incidentService.getMetrics(filters);
+
+      res.json({
+        status: true,
+        data: metrics
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/incidents/metrics:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get single incident
+  router.get('/incidents/:id', async (req, res) => {
+    try {
+      const incident = incidentService.getIncident(req.params.id);
+
+      if (!incident) {
+        return res.status(404).json({
+          status: false,
+          error: 'Incident not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: incident
+      });
+    } catch (error) {
+      logger.error(`Error in GET /api/incidents/${req.params.id}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Acknowledge an incident
+  router.post('/incidents/:id/acknowledge', requireOperator, async (req, res) => {
+    try {
+      let incident;
+      try {
+        incident = incidentService.acknowledge(req.params.id, {
+          by: req.user.username || req.body.by,
+          note: req.body.note
+        });
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!incident) {
+        return res.status(404).json({
+          status: false,
+          error: 'Incident not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: incident
+      });
+    } catch (error) {
+      logger.error(`Error in POST /api/incidents/${req.params.id}/acknowledge:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Assign an incident to a technician
+  router.post('/incidents/:id/assign', requireOperator, async (req, res) => {
+    try {
+      let incident;
+      try {
+        incident = incidentService.assign(req.params.id, {
+          assignee: req.body.assignee,
+          by: req.user.username || req.body.by,
+          note: req.body.note
+        });
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!incident) {
+        return res.status(404).json({
+          status: false,
+          error: 'Incident not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: incident
+      });
+    } catch (error) {
+      logger.error(`Error in POST /api/incidents/${req.params.id}/assign:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Add a note to an incident
+  router.post('/incidents/:id/notes', requireOperator, async (req, res) => {
+    try {
+      let incident;
+      try {
+        incident = incidentService.addNote(req.params.id, {
+          by: req.user.username || req.body.by,
+          text: req.body.text
+        });
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!incident) {
+        return res.status(404).json({
+          status: false,
+          error: 'Incident not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: incident
+      });
+    } catch (error) {
+      logger.error(`Error in POST /api/incidents/${req.params.id}/notes:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Resolve an incident manually
+  router.post('/incidents/:id/resolve', requireOperator, async (req, res) => {
+    try {
+      let incident;
+      try {
+        incident = incidentService.resolve(req.params.id, {
+          by: req.user.username || req.body.by,
+          note: req.body.note
+        });
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!incident) {
+        return res.status(404).json({
+          status: false,
+          error: 'Incident not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: incident
+      });
+    } catch (error) {
+      logger.error(`Error in POST /api/incidents/${req.params.id}/resolve:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get notification channels, rules and recent deliveries
+  router.get('/notifications', requireOperator, async (req, res) => {
+    try {
+      res.json({
+        status: true,
+        data: notificationService.getStatus()
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/notifications:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Send a test notification to one channel (or all)
+  router.post('/notifications/test', requireOperator, async (req, res) => {
+    try {
+      let deliveries;
+      try {
+        deliveries = await notificationService.sendTest(req.body.channel || null);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        status: deliveries.length > 0 && deliveries.every(delivery => delivery.status === 'sent'),
+        data: deliveries
+      });
+    } catch (error) {
+      logger.error('Error in POST /api/notifications/test:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get OLTs list
   router.get('/olts', async (req, res) => {
     try {
@@ -146,7 +517,7 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
-  // Get ODBs list - NEW
+  // Get ODBs list with coordinates, capacity and zone
   router.get('/odbs', async (req, res) => {
     try {
       const filters = {
@@ -157,8 +528,13 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
         filters[key] === undefined && delete filters[key]
       );
 
-      const result = await apiService.getOdbsList(filters);
-      res.json(result);
+      const odbs = await odbService.getOdbs(filters);
+
+      res.json({
+        status: true,
+        count: odbs.length,
+        data: odbs
+      });
     } catch (error) {
       logger.error('Error in GET /api/odbs:', error);
       res.status(500).json({
@@ -168,24 +544,58 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
-  // Refresh specific ONU statuses - NEW
-  router.post('/onus/refresh-status', async (req, res) => {
+  // Get single ODB
+  router.get('/odbs/:id', async (req, res) => {
+    try {
+      const odb = await odbService.getOdbById(req.params.id);
+
+      if (!odb) {
+        return res.status(404).json({
+          status: false,
+          error: 'ODB not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: odb
+      });
+    } catch (error) {
+      logger.error(`Error in GET /api/odbs/${req.params.id}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Refresh specific ONU statuses
+  // Queues a background job; progress is pushed over /api/stream as
+  // 'refresh_progress' and can be polled via the job endpoint below.
+  router.post('/onus/refresh-status', requireOperator, async (req, res) => {
     try {
       const { external_ids } = req.body;
 
-      if (!external_ids || !Array.isArray(external_ids)) {
+      if (!external_ids || !Array.isArray(external_ids) || external_ids.length === 0) {
         return res.status(400).json({
           status: false,
           error: 'external_ids array is required'
         });
       }
 
-      const results = await onuService.refreshOnuStatuses(external_ids);
+      let job;
+      try {
+        job = onuService.refreshOnuStatuses(external_ids);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
 
-      res.json({
+      res.status(202).json({
         status: true,
-        count: results.length,
-        data: results
+        data: job
       });
     } catch (error) {
       logger.error('Error in POST /api/onus/refresh-status:', error);
@@ -196,15 +606,48 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
+  // Get progress of a status refresh job
+  router.get('/onus/refresh-status/:jobId', async (req, res) => {
+    try {
+      const job = onuService.getRefreshJob(req.params.jobId);
+
+      if (!job) {
+        return res.status(404).json({
+          status: false,
+          error: 'Refresh job not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error(`Error in GET /api/onus/refresh-status/${req.params.jobId}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Real-time stream of status changes and statistics (Server-Sent Events)
+  router.get('/stream', (req, res) => {
+    try {
+      streamService.addClient(req, res);
+    } catch (error) {
+      logger.error('Error in GET /api/stream:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get rate limiter stats
   router.get('/rate-limit-stats', async (req, res) => {
     try {
-      const stats = {
-        gps_remaining: rateLimiter.getRemainingCalls('gps'),
-        details_remaining: rateLimiter.getRemainingCalls('details'),
-        gps_limit: rateLimiter.gpsLimit,
-        details_limit: rateLimiter.detailsLimit
-      };
+      const stats = rateLimiter.getStatus();
 
       res.json({
         status: true,
@@ -219,6 +662,200 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
+  // Get Online ONUs with RX power below the warning/critical threshold
+  router.get('/signal/weak', async (req, res) => {
+    try {
+      const level = req.query.level;
+
+      if (level && !['warning', 'critical'].includes(level)) {
+        return res.status(400).json({
+          status: false,
+          error: 'Invalid level. Use warning or critical'
+        });
+      }
+
+      const filters = {
+        olt_id: req.query.olt_id,
+        board: req.query.board,
+        port: req.query.port,
+        zone: req.query.zone,
+        odb: req.query.odb
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      const onus = await onuService.getWeakSignalOnus(filters, level || null);
+
+      res.json({
+        status: true,
+        count: onus.length,
+        data: onus
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/signal/weak:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Availability / SLA report per ONU, ODB, OLT and zone
+  router.get('/reports/availability', async (req, res) => {
+    try {
+      const filters = {
+        from: req.query.from,
+        to: req.query.to,
+        olt_id: req.query.olt_id,
+        zone: req.query.zone,
+        odb: req.query.odb
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      try {
+        reportService.parsePeriod(filters);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      const report = await reportService.getAvailability(filters);
+
+      res.json({
+        status: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/reports/availability:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Download the network (ONUs, ODBs and ODB-ONU links) as GeoJSON / KML
+  router.get('/export/:format(geojson|kml)', async (req, res) => {
+    try {
+      const filters = {
+        olt_id: req.query.olt_id,
+        board: req.query.board,
+        port: req.query.port,
+        zone: req.query.zone,
+        odb: req.query.odb
+      };
+
+      Object.keys(filters).forEach(key =>
+        filters[key] === undefined && delete filters[key]
+      );
+
+      const file = await geoService.export(req.params.format, filters);
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`
+      });
+      res.send(file.body);
+    } catch (error) {
+      logger.error(`Error in GET /api/export/${req.params.format}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Import ONU / ODB coordinate corrections from GeoJSON / KML
+  router.post('/import/:format', requireOperator, express.text({ type: () => true, limit: '20mb' }), async (req, res) => {
+    try {
+      const format = req.params.format;
+
+      if (!['geojson', 'kml'].includes(format)) {
+        return res.status(400).json({
+          status: false,
+          error: 'Use /api/import/{geojson|kml}'
+        });
+      }
+
+      let points;
+      try {
+        points = geoService.parsePoints(format, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: `Invalid ${format} file: ${error.message}`
+        });
+      }
+
+      const result = await geoService.importCoordinates(points, format, {
+        dryRun: req.query.dry_run === 'true'
+      });
+
+      res.json({
+        status: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error in POST /api/import/${req.params.format}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Download the ONU list, statistics or status history as CSV / XLSX
+  router.get('/export/:dataset.:format', async (req, res) => {
+    try {
+      const { dataset, format } = req.params;
+      const filterKeys = {
+        onus: ['olt_id', 'board', 'port', 'zone', 'odb'],
+        statistics: ['olt_id', 'board', 'port', 'zone', 'odb'],
+        history: ['from', 'to', 'unique_external_id', 'odb', 'olt_id', 'zone', 'type']
+      };
+
+      if (!filterKeys[dataset] || !['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({
+          status: false,
+          error: 'Use /api/export/{onus|statistics|history}.{csv|xlsx}'
+        });
+      }
+
+      const filters = {};
+      filterKeys[dataset].forEach(key => {
+        if (req.query[key] !== undefined) filters[key] = req.query[key];
+      });
+
+      if ((filters.from && isNaN(Date.parse(filters.from))) || (filters.to && isNaN(Date.parse(filters.to)))) {
+        return res.status(400).json({
+          status: false,
+          error: 'Invalid date range. Use ISO 8601 dates for from/to'
+        });
+      }
+
+      const file = await exportService.export(dataset, format, filters);
+
+      res.set({
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${file.filename}"`
+      });
+      res.send(file.body);
+    } catch (error) {
+      logger.error(`Error in GET /api/export/${req.params.dataset}.${req.params.format}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
   // Get statistics
   router.get('/statistics', async (req, res) => {
     try {
@@ -248,16 +885,92 @@ function createApiRoutes(onuService, apiService, rateLimiter) {
     }
   });
 
+  // List the inventory snapshots kept on disk
+  router.get('/inventory/snapshots', async (req, res) => {
+    try {
+      const snapshots = onuService.listSnapshots();
+
+      res.json({
+        status: true,
+        count: snapshots.length,
+        data: snapshots
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/inventory/snapshots:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get one inventory snapshot by version
+  router.get('/inventory/snapshots/:version', async (req, res) => {
+    try {
+      const snapshot = onuService.getSnapshot(req.params.version);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          status: false,
+          error: 'Snapshot not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: snapshot
+      });
+    } catch (error) {
+      logger.error(`Error in GET /api/inventory/snapshots/${req.params.version}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Get inventory changes (provisioned, removed, moved) between snapshots
+  router.get('/changes', async (req, res) => {
+    try {
+      let filters;
+
+      try {
+        filters = changeService.parseQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      const result = changeService.query(filters);
+
+      res.json({
+        status: true,
+        count: result.events.length,
+        total: result.total,
+        latest: result.latest,
+        data: result.events
+      });
+    } catch (error) {
+      logger.error('Error in GET /api/changes:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
   // Debug endpoint untuk troubleshooting - NEW
-  router.get('/debug/onu-status/:externalId', async (req, res) => {
+  router.get('/debug/onu-status/:externalId', requireAdmin, async (req, res) => {
     try {
       const externalId = req.params.externalId;
 
       // Get raw data from all endpoints
       const [detailsResponse, statusResponse, signalResponse] = await Promise.all([
-        apiService.getOnuDetails(externalId).catch(e => ({ error: e.message })),
-        apiService.getOnuStatus(externalId).catch(e => ({ error: e.message })),
-        apiService.getOnuSignal(externalId).catch(e => ({ error: e.message }))
+        apiService.getOnuDetails(externalId, { priority: 'interactive' }).catch(e => ({ error: e.message })),
+        apiService.getOnuStatus(externalId, { priority: 'interactive' }).catch(e => ({ error: e.message })),
+        apiService.getOnuSignal(externalId, { priority: 'interactive' }).catch(e => ({ error: e.message }))
       ]);
 
       res.json({
@@ -0,0 +1,221 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+/**
+ * Login, logout and user management (admin only)
+ */
+function createAuthRoutes(authService) {
+  const router = express.Router();
+  const authenticate = authService.authenticate();
+  const requireAdmin = authService.requireRole('admin');
+
+  // Log in with username / password; sets the session cookie and returns the token
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+
+      if (!username || !password) {
+        return res.status(400).json({
+          status: false,
+          error: 'username and password are required'
+        });
+      }
+
+      let session;
+      try {
+        session = await authService.login(username, password, req.ip);
+      } catch (error) {
+        return res.status(429).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!session) {
+        return res.status(401).json({
+          status: false,
+          error: 'Invalid username or password'
+        });
+      }
+
+      authService.setCookie(req, res, session);
+
+      res.json({
+        status: true,
+        data: session
+      });
+    } catch (error) {
+      logger.error('Error in POST /api/auth/login:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // End every session of the current user
+  router.post('/logout', authenticate, (req, res) => {
+    authService.logout(req.user.username);
+    authService.clearCookie(res);
+
+    res.json({
+      status: true,
+      message: 'Logged out'
+    });
+  });
+
+  // Current user
+  router.get('/me', authenticate, (req, res) => {
+    res.json({
+      status: true,
+      data: {
+        ...req.user,
+        auth_enabled: authService.config.enabled
+      }
+    });
+  });
+
+  // Change own password
+  router.post('/password', authenticate, async (req, res) => {
+    try {
+      const { current_password: currentPassword, new_password: newPassword } = req.body || {};
+
+      let session;
+      try {
+        session = await authService.changePassword(req.user.username, currentPassword, newPassword);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!session) {
+        return res.status(400).json({
+          status: false,
+          error: 'Current password is incorrect'
+        });
+      }
+
+      // Other sessions ended with the password change; this one continues
+      authService.setCookie(req, res, session);
+
+      res.json({
+        status: true,
+        data: session
+      });
+    } catch (error) {
+      logger.error('Error in POST /api/auth/password:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // List users
+  router.get('/users', authenticate, requireAdmin, (req, res) => {
+    res.json({
+      status: true,
+      data: authService.listUsers()
+    });
+  });
+
+  // Create a user
+  router.post('/users', authenticate, requireAdmin, async (req, res) => {
+    try {
+      let user;
+      try {
+        user = await authService.createUser(req.body || {});
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      res.status(201).json({
+        status: true,
+        data: user
+      });
+    } catch (error) {
+      logger.error('Error in POST /api/auth/users:', error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Change a user's role and/or password
+  router.put('/users/:username', authenticate, requireAdmin, async (req, res) => {
+    try {
+      const { role, password } = req.body || {};
+
+      let user;
+      try {
+        user = await authService.updateUser(req.params.username, { role, password });
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!user) {
+        return res.status(404).json({
+          status: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        data: user
+      });
+    } catch (error) {
+      logger.error(`Error in PUT /api/auth/users/${req.params.username}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  // Delete a user
+  router.delete('/users/:username', authenticate, requireAdmin, (req, res) => {
+    try {
+      let deleted;
+      try {
+        deleted = authService.deleteUser(req.params.username);
+      } catch (error) {
+        return res.status(400).json({
+          status: false,
+          error: error.message
+        });
+      }
+
+      if (!deleted) {
+        return res.status(404).json({
+          status: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        status: true,
+        message: `User ${req.params.username} deleted`
+      });
+    } catch (error) {
+      logger.error(`Error in DELETE /api/auth/users/${req.params.username}:`, error);
+      res.status(500).json({
+        status: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+const subdomainUrl = subdomain => (subdomain ? `https://${subdomain}.smartolt.com/api` : undefined);
+
+/**
+ * SmartOLT accounts (one per branch / subdomain) and their services.
+ *
+ * Accounts come from the accounts file; without it the API_* settings form
+ * a single 'default' account. Every account gets its own context from
+ * createContext (API client, rate limiter, cache, stores, poller, routes),
+ * so quotas, caches and history never mix between branches. The 'default'
+ * account keeps its data in DATA_DIR, others in DATA_DIR/accounts/<id>.
+ */
+class AccountRegistry {
+  constructor(config, createContext) {
+    this.config = config;
+    this.contexts = new Map();
+
+    const accounts = AccountRegistry.loadAccounts(config);
+
+    accounts.forEach(account => {
+      const accountConfig = this.accountConfig(account, accounts.length > 1);
+      this.contexts.set(account.id, {
+        id: account.id,
+        name: account.name,
+        config: accountConfig,
+        ...createContext(accountConfig)
+      });
+    });
+
+    logger.info(`Configured ${accounts.length} SmartOLT account(s): ${accounts.map(a => a.id).join(', ')}`);
+  }
+
+  /**
+   * Read the accounts file, or fall back to the single API_* account
+   */
+  static loadAccounts(config) {
+    const file = config.accounts && config.accounts.file;
+
+    if (!file || !fs.existsSync(file)) {
+      return [{
+        id: 'default',
+        name: config.apiSubdomain || 'Default',
+        baseUrl: config.apiBaseUrl,
+        apiKey: config.apiKey,
+        subdomain: config.apiSubdomain
+      }];
+    }
+
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error(`Accounts file ${file} must contain a non-empty array`);
+    }
+
+    const seen = new Set();
+
+    return entries.map((entry, index) => {
+      if (!entry.id || !ID_PATTERN.test(entry.id)) {
+        throw new Error(`Account #${index + 1} in ${file} needs an id of letters, digits, - or _`);
+      }
+
+      if (seen.has(entry.id)) {
+        throw new Error(`Duplicate account id '${entry.id}' in ${file}`);
+      }
+      seen.add(entry.id);
+
+      const baseUrl = entry.base_url || subdomainUrl(entry.subdomain);
+      if (!baseUrl || !entry.api_key) {
+        throw new Error(`Account '${entry.id}' in ${file} needs base_url or subdomain, and api_key`);
+      }
+
+      return {
+        id: entry.id,
+        name: entry.name || entry.id,
+        baseUrl,
+        apiKey: entry.api_key,
+        subdomain: entry.subdomain || null,
+        rateLimit: entry.rate_limit || {}
+      };
+    });
+  }
+
+  /**
+   * Application config as seen by one account's services
+   */
+  accountConfig(account, labelled) {
+    const base = this.config;
+    const accountConfig = {
+      ...base,
+      account: { id: account.id, name: account.name },
+      apiBaseUrl: account.baseUrl,
+      apiKey: account.apiKey,
+      apiSubdomain: account.subdomain,
+      rateLimit: { ...base.rateLimit, ...account.rateLimit },
+      notifications: { ...base.notifications, label: labelled ? account.name : null }
+    };
+
+    if (account.id !== 'default') {
+      const dir = path.join(base.dataDir, 'accounts', account.id);
+      accountConfig.history = { ...base.history, file: path.join(dir, path.basename(base.history.file)) };
+      accountConfig.incidents = { ...base.incidents, file: path.join(dir, path.basename(base.incidents.file)) };
+      accountConfig.coordinates = { ...base.coordinates, file: path.join(dir, path.basename(base.coordinates.file)) };
+      accountConfig.signalHistory = { ...base.signalHistory, dir: path.join(dir, path.basename(base.signalHistory.dir)) };
+      accountConfig.recording = { ...base.recording, dir: path.join(dir, path.basename(base.recording.dir)) };
+      accountConfig.rateLimitState = { ...base.rateLimitState, file: path.join(dir, path.basename(base.rateLimitState.file)) };
+      accountConfig.inventorySnapshots = { ...base.inventorySnapshots, dir: path.join(dir, path.basename(base.inventorySnapshots.dir)) };
+      accountConfig.changes = { ...base.changes, file: path.join(dir, path.basename(base.changes.file)) };
+    }
+
+    return accountConfig;
+  }
+
+  all() {
+    return [...this.contexts.values()];
+  }
+
+  get(id) {
+    return this.contexts.get(String(id)) || null;
+  }
+
+  /**
+   * Context for an ?account= value; the first account when none is given
+   */
+  resolve(id) {
+    if (id === undefined || id === null || id === '') {
+      return this.all()[0];
+    }
+
+    return this.get(id);
+  }
+
+  /**
+   * Accounts for the branch selector. API keys are never included.
+   */
+  list() {
+    return this.all().map(context => ({
+      id: context.id,
+      name: context.name,
+      base_url: context.config.apiBaseUrl,
+      api_configured: !!context.config.apiKey && context.config.apiKey !== 'your_api_key_here'
+    }));
+  }
+
+  /**
+   * Statistics summed over all accounts.
+   *
+   * OLT, zone and ODB names are prefixed with the account name because
+   * branches may reuse them. Accounts that fail are listed with their
+   * error and left out of the totals.
+   */
+  async getStatistics(filters = {}) {
+    const results = await Promise.allSettled(
+      this.all().map(context => context.onuService.getStatistics(filters))
+    );
+
+    const labelled = this.contexts.size > 1;
+    const stats = {
+      total: 0,
+      online: 0,
+      los: 0,
+      power_fail: 0,
+      offline: 0,
+      with_gps: 0,
+      without_gps: 0,
+      weak_signal: { warning: 0, critical: 0 },
+      by_account: {},
+      by_olt: {},
+      by_zone: {},
+      by_odb: {},
+      accounts: []
+    };
+
+    this.all().forEach((context, index) => {
+      const result = results[index];
+
+      if (result.status === 'rejected') {
+        logger.error(`Statistics for account ${context.id} failed:`, result.reason);
+        stats.accounts.push({ id: context.id, name: context.name, status: false, error: result.reason.message });
+        return;
+      }
+
+      const accountStats = result.value;
+      stats.accounts.push({ id: context.id, name: context.name, status: true });
+
+      ['total', 'online', 'los', 'power_fail', 'offline', 'with_gps', 'without_gps'].forEach(key => {
+        stats[key] += accountStats[key];
+      });
+      stats.weak_signal.warning += accountStats.weak_signal.warning;
+      stats.weak_signal.critical += accountStats.weak_signal.critical;
+
+      stats.by_account[context.name] = {
+        total: accountStats.total,
+        online: accountStats.online,
+        offline: accountStats.total - accountStats.online
+      };
+
+      ['by_olt', 'by_zone', 'by_odb'].forEach(key => {
+        Object.entries(accountStats[key]).forEach(([name, counts]) => {
+          stats[key][labelled ? `${context.name} / ${name}` : name] = counts;
+        });
+      });
+    });
+
+    return stats;
+  }
+}
+
+module.exports = AccountRegistry;
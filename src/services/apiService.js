@@ -1,11 +1,27 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { PRIORITIES } = require('../utils/rateLimiter');
+
+// Transport errors worth retrying (axios sets these when no response came back)
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
 
 class ApiService {
-  constructor(config, rateLimiter) {
+  constructor(config, rateLimiter, recordingStore = null) {
     this.baseUrl = config.apiBaseUrl;
     this.apiKey = config.apiKey;
     this.rateLimiter = rateLimiter;
+    this.recordingStore = recordingStore;
+    this.retry = {
+      attempts: 3,
+      baseDelay: 1000,
+      maxDelay: 15000,
+      maxRetryAfter: 120,
+      ...config.retry
+    };
+    this.inflight = new Map(); // request key -> { promise, rank } of the pending makeRequest()
+    this.coalesced = 0;
+    this.breaker = new CircuitBreaker(config.circuitBreaker, config.account ? `SmartOLT ${config.account.id}` : 'SmartOLT');
 
     this.client = axios.create({
       baseURL: this.baseUrl,
@@ -22,7 +38,7 @@ class ApiService {
       (config) => {
         logger.debug(`API Request: ${config.method.toUpperCase()} ${config.url}`, {
           headers: {
-            'X-Token': this.apiKey ? `${this.apiKey.substring(0, 10)}...` : 'NOT SET'
+            'X-Token': this.apiKey ? 'configured' : 'NOT SET'
           }
         });
         return config;
@@ -52,12 +68,12 @@ class ApiService {
           // Handle specific error codes
           if (status === 403) {
             logger.error('403 Forbidden - Check API Key and permissions', {
-              apiKey: this.apiKey ? `${this.apiKey.substring(0, 10)}...` : 'NOT SET',
+              apiKey: this.apiKey ? 'configured' : 'NOT SET',
               url: url
             });
           } else if (status === 401) {
             logger.error('401 Unauthorized - Invalid API Key', {
-              apiKey: this.apiKey ? `${this.apiKey.substring(0, 10)}...` : 'NOT SET'
+              apiKey: this.apiKey ? 'configured' : 'NOT SET'
             });
           } else if (status === 429) {
             logger.error('429 Too Many Requests - Rate limit exceeded');
@@ -75,33 +91,69 @@ class ApiService {
     );
   }
 
-  async makeRequest(endpoint, params = {}, endpointType = 'normal') {
-    try {
-      // Validate API key
-      if (!this.apiKey || this.apiKey === 'your_api_key_here') {
-        throw new Error('Invalid API Key. Please configure API_KEY in .env file');
-      }
+  /**
+   * Call the API (live or from recordings) and return the response body.
+   * endpointType names a rate limit policy ('normal' picks it by endpoint);
+   * options.priority is interactive, normal or background.
+   *
+   * Concurrent calls for the same endpoint and params share one upstream
+   * request (and one rate limit slot); every caller gets its result or
+   * error, so treat the returned body as read-only. A caller only joins a
+   * call queued at the same or a higher priority: an operator never waits
+   * behind, or gets the drop error of, a background call. This covers every
+   * OnuService / OdbService lookup, since they all end up here.
+   */
+  makeRequest(endpoint, params = {}, endpointType = 'normal', options = {}) {
+    const key = this.requestKey(endpoint, params, endpointType);
+    const rank = this.priorityRank(options.priority);
+    const pending = this.inflight.get(key);
+
+    if (pending && pending.rank <= rank) {
+      this.coalesced++;
+      logger.debug(`Joining in-flight request ${key}`);
+      return pending.promise;
+    }
 
-      // Check rate limit for restricted endpoints
-      if (endpointType !== 'normal') {
-        const limitCheck = this.rateLimiter.canCallEndpoint(endpointType);
-        if (!limitCheck.allowed) {
-          throw new Error(
-            `Rate limit exceeded for ${endpointType}. Please wait ${limitCheck.waitMinutes} minutes.`
-          );
+    // Later callers join this one; the lower priority call still completes
+    // for its own callers
+    const entry = { rank };
+    entry.promise = this.sendRequest(endpoint, params, endpointType, options)
+      .finally(() => {
+        if (this.inflight.get(key) === entry) {
+          this.inflight.delete(key);
         }
-      }
+      });
 
-      // Wait for rate limiter
-      await this.rateLimiter.waitForNextCall();
+    this.inflight.set(key, entry);
+    return entry.promise;
+  }
 
-      // Make request
-      const response = await this.client.get(endpoint, { params });
+  /**
+   * Policy, endpoint and params with sorted keys, so { a, b } and { b, a } match
+   */
+  requestKey(endpoint, params = {}, endpointType = 'normal') {
+    const query = Object.keys(params)
+      .filter(name => params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map(name => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+      .join('&');
+
+    return `${endpointType} ${query ? `${endpoint}?${query}` : endpoint}`;
+  }
 
-      // Record call for restricted endpoints
-      if (endpointType !== 'normal') {
-        this.rateLimiter.recordCall(endpointType);
-      }
+  /**
+   * Queue rank of a priority, 0 = interactive (unknown counts as normal)
+   */
+  priorityRank(priority) {
+    const rank = PRIORITIES.indexOf(priority);
+    return rank === -1 ? PRIORITIES.indexOf('normal') : rank;
+  }
+
+  async sendRequest(endpoint, params, endpointType, options) {
+    try {
+      const response = this.recordingStore && this.recordingStore.replaying ?
+        this.replayResponse(endpoint, params) :
+        await this.fetchResponse(endpoint, params, endpointType, options);
 
       // Validate response
       if (!response.data) {
@@ -136,7 +188,7 @@ class ApiService {
 
       if (error.response?.status === 401) {
         throw new Error(
-          `401 Unauthorized: Invalid API Key. Current key starts with: ${this.apiKey?.substring(0, 10)}...`
+          '401 Unauthorized: Invalid API Key. Please check your API_KEY configuration'
         );
       }
 
@@ -145,6 +197,178 @@ class ApiService {
     }
   }
 
+  /**
+   * Live call, subject to the API key check, rate limits and the circuit
+   * breaker. Timeouts, network errors, 5xx and 429 are retried with
+   * jittered exponential backoff (429 waits for Retry-After instead).
+   * The whole call, retries included, counts once against the quota, so a
+   * flaky get_all_onus_details cannot use up the hourly details budget.
+   */
+  async fetchResponse(endpoint, params, endpointType, options = {}) {
+    // Validate API key
+    if (!this.apiKey || this.apiKey === 'your_api_key_here') {
+      throw new Error('Invalid API Key. Please configure API_KEY in .env file');
+    }
+
+    const call = { slotAcquired: false };
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.attemptRequest(endpoint, params, endpointType, options, call);
+      } catch (error) {
+        const delay = this.retryDelay(error, attempt);
+
+        if (delay === null) {
+          throw error;
+        }
+
+        logger.warn(`Retrying ${endpoint} in ${delay}ms (attempt ${attempt + 1}/${this.retry.attempts}): ${error.message}`);
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * One call to SmartOLT; the rate limiter slot is taken by the first
+   * attempt and reused by the retries (call.slotAcquired)
+   */
+  async attemptRequest(endpoint, params, endpointType, options, call = { slotAcquired: false }) {
+    if (!this.breaker.allowRequest()) {
+      const error = new Error(
+        `SmartOLT is unavailable (${this.breaker.failures} consecutive failures, last: ${this.breaker.lastError}). ` +
+        `Next attempt after ${new Date(this.breaker.retryAt()).toISOString()}`
+      );
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    // Wait for a slot in the rate limiter queue (counts against the quota)
+    if (!call.slotAcquired) {
+      try {
+        await this.rateLimiter.acquire(endpoint, endpointType, options);
+        call.slotAcquired = true;
+      } catch (error) {
+        this.breaker.release();
+        throw error;
+      }
+    }
+
+    // Make request
+    let response;
+    try {
+      response = await this.client.get(endpoint, { params });
+    } catch (error) {
+      if (this.isUpstreamFailure(error)) {
+        this.breaker.onFailure(error);
+      } else {
+        this.breaker.onSuccess();
+      }
+
+      if (error.response && this.recordingStore && this.recordingStore.recording) {
+        this.recordingStore.record(endpoint, params, error.response);
+      }
+      throw error;
+    }
+
+    this.breaker.onSuccess();
+
+    if (this.recordingStore && this.recordingStore.recording) {
+      this.recordingStore.record(endpoint, params, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Timeouts, network errors and 5xx count against the circuit breaker
+   */
+  isUpstreamFailure(error) {
+    if (error.response) {
+      return error.response.status >= 500;
+    }
+
+    return !!error.request || RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Milliseconds to wait before the next attempt, or null to give up
+   */
+  retryDelay(error, attempt) {
+    if (attempt >= this.retry.attempts || this.breaker.state === 'open') {
+      return null;
+    }
+
+    const status = error.response && error.response.status;
+
+    if (status === 429) {
+      const retryAfter = this.parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+
+      if (retryAfter !== null) {
+        return retryAfter <= this.retry.maxRetryAfter * 1000 ? retryAfter : null;
+      }
+    } else if (!this.isUpstreamFailure(error)) {
+      return null;
+    }
+
+    // Equal jitter: half the exponential step plus a random share of the rest
+    const step = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempt - 1));
+    return Math.round(step / 2 + Math.random() * step / 2);
+  }
+
+  /**
+   * Retry-After as delay seconds or an HTTP date, in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (/^\d+$/.test(String(value).trim())) {
+      return parseInt(value) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Whether SmartOLT is currently failing (responses may be served from cache)
+   */
+  isDegraded() {
+    return this.breaker.isDegraded();
+  }
+
+  getUpstreamStatus() {
+    return this.breaker.getStatus();
+  }
+
+  getRequestStats() {
+    return {
+      in_flight: this.inflight.size,
+      coalesced: this.coalesced
+    };
+  }
+
+  /**
+   * Recorded response; no network, API key or quota involved.
+   * Recorded HTTP errors are thrown the way axios throws them.
+   */
+  replayResponse(endpoint, params) {
+    const recording = this.recordingStore.replay(endpoint, params);
+
+    if (recording.status >= 400) {
+      const error = new Error(`Request failed with status code ${recording.status} (replayed)`);
+      error.response = { status: recording.status, headers: recording.headers, data: recording.data };
+      throw error;
+    }
+
+    return { status: recording.status, headers: recording.headers, data: recording.data };
+  }
+
   // Test API connection
   async testConnection() {
     try {
@@ -175,24 +399,24 @@ class ApiService {
     return this.makeRequest('/onu/get_onus_statuses', params);
   }
 
-  async getAllOnusDetails(params = {}) {
-    return this.makeRequest('/onu/get_all_onus_details', params, 'details');
+  async getAllOnusDetails(params = {}, options = {}) {
+    return this.makeRequest('/onu/get_all_onus_details', params, 'details', options);
   }
 
   async getAllOnusGpsCoordinates(params = {}) {
     return this.makeRequest('/onu/get_all_onus_gps_coordinates', params, 'gps');
   }
 
-  async getOnuStatus(onuExternalId) {
-    return this.makeRequest(`/onu/get_onu_status/${onuExternalId}`);
+  async getOnuStatus(onuExternalId, options = {}) {
+    return this.makeRequest(`/onu/get_onu_status/${onuExternalId}`, {}, 'normal', options);
   }
 
-  async getOnuDetails(onuExternalId) {
-    return this.makeRequest(`/onu/get_onu_details/${onuExternalId}`);
+  async getOnuDetails(onuExternalId, options = {}) {
+    return this.makeRequest(`/onu/get_onu_details/${onuExternalId}`, {}, 'normal', options);
   }
 
-  async getOnuSignal(onuExternalId) {
-    return this.makeRequest(`/onu/get_onu_signal/${onuExternalId}`);
+  async getOnuSignal(onuExternalId, options = {}) {
+    return this.makeRequest(`/onu/get_onu_signal/${onuExternalId}`, {}, 'normal', options);
   }
 
   // Supporting endpoints
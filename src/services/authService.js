@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const logger = require('../utils/logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const COOKIE_NAME = 'onu_token';
+
+const base64url = value => Buffer.from(value).toString('base64url');
+
+/**
+ * Local users, login and role checks.
+ *
+ * Roles are ordered viewer < operator < admin; a route guarded with
+ * requireRole('operator') is open to operators and admins. Passwords are
+ * hashed with scrypt. Tokens are HMAC-signed and sent either as a Bearer
+ * header or as an HttpOnly cookie (so EventSource and downloads work).
+ * The user is looked up on every request, so a role change applies
+ * immediately and a password change or logout ends older sessions.
+ */
+class AuthService {
+  constructor(config, userStore) {
+    this.config = config;
+    this.store = userStore;
+    this.users = new Map(userStore.load().map(user => [user.username, user]));
+    this.failedLogins = new Map(); // "username|ip" -> { count, lockedUntil }
+
+    if (config.secret) {
+      this.secret = config.secret;
+    } else {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      if (config.enabled) {
+        logger.warn('AUTH_SECRET is not set; sessions will end when the server restarts');
+      }
+    }
+  }
+
+  /**
+   * Create the first admin when no users exist yet
+   */
+  async ensureAdmin() {
+    if (!this.config.enabled || this.users.size > 0) {
+      return null;
+    }
+
+    const username = this.config.adminUsername;
+    let password = this.config.adminPassword;
+
+    if (password) {
+      logger.info(`Created admin user '${username}' from ADMIN_PASSWORD`);
+      return this.createUser({ username, password, role: 'admin' });
+    }
+
+    // The generated password must not reach the log files
+    password = crypto.randomBytes(9).toString('base64url');
+    const user = await this.createUser({ username, password, role: 'admin' });
+    const file = this.store.saveInitialPassword(username, password);
+
+    if (file) {
+      logger.warn(`Created admin user '${username}'; the generated password is in ${file} (readable by the owner only)`);
+    } else {
+      process.stdout.write(`Created admin user '${username}' with generated password: ${password}\n`);
+    }
+    logger.warn('Change it after logging in, or set ADMIN_PASSWORD before the first start');
+
+    return user;
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}. Use ${ROLES.join(', ')}`);
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  hasRole(user, role) {
+    return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  publicUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      created_at: user.created_at,
+      updated_at: user.updated_at
+    };
+  }
+
+  persist() {
+    this.store.save([...this.users.values()]);
+  }
+
+  listUsers() {
+    return [...this.users.values()].map(user => this.publicUser(user));
+  }
+
+  async createUser({ username, password, role = 'viewer' }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('Username must be 3-32 letters, digits, ".", "_" or "-"');
+    }
+
+    if (this.users.has(username)) {
+      throw new Error(`User ${username} already exists`);
+    }
+
+    this.validateRole(role);
+    this.validatePassword(password);
+
+    const now = new Date().toISOString();
+    const user = {
+      username,
+      role,
+      password_hash: await this.hashPassword(password),
+      session_version: 1,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.users.set(username, user);
+    this.persist();
+    logger.info(`User ${username} created with role ${role}`);
+
+    return this.publicUser(user);
+  }
+
+  /**
+   * Change role and/or password. Returns null for unknown users.
+   */
+  async updateUser(username, changes = {}) {
+    const user = this.users.get(username);
+    if (!user) return null;
+
+    if (changes.role !== undefined) {
+      this.validateRole(changes.role);
+      if (user.role === 'admin' && changes.role !== 'admin' && this.countAdmins() === 1) {
+        throw new Error('Cannot remove the last admin');
+      }
+    }
+
+    if (changes.password !== undefined) {
+      this.validatePassword(changes.password);
+      user.password_hash = await this.hashPassword(changes.password);
+      user.session_version++;
+
+      if (username === this.config.adminUsername) {
+        this.store.removeInitialPassword();
+      }
+    }
+
+    if (changes.role !== undefined) {
+      user.role = changes.role;
+    }
+
+    user.updated_at = new Date().toISOString();
+    this.persist();
+    logger.info(`User ${username} updated`);
+
+    return this.publicUser(user);
+  }
+
+  /**
+   * Change one's own password. Other sessions end; returns a new session
+   * for the caller, or null when the current password is wrong.
+   */
+  async changePassword(username, currentPassword, newPassword) {
+    const user = this.users.get(username);
+    if (!user || !(await this.verifyPassword(currentPassword, user.password_hash))) {
+      return null;
+    }
+
+    await this.updateUser(username, { password: newPassword });
+    return this.issueToken(user);
+  }
+
+  /**
+   * Remove a user. Returns false for unknown users.
+   */
+  deleteUser(username) {
+    const user = this.users.get(username);
+    if (!user) return false;
+
+    if (user.role === 'admin' && this.countAdmins() === 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+
+    this.users.delete(username);
+    this.persist();
+    logger.info(`User ${username} deleted`);
+
+    return true;
+  }
+
+  countAdmins() {
+    return [...this.users.values()].filter(user => user.role === 'admin').length;
+  }
+
+  /**
+   * Check credentials and return { token, user, expires_at }.
+   *
+   * After maxAttempts failures a username is locked for the lockout period
+   * from that client IP, which keeps password guessing slow once the map is
+   * reachable from outside the office without letting anyone lock a user
+   * out from everywhere.
+   */
+  async login(username, password, ip = '') {
+    const name = String(username || '');
+    const key = `${name}|${ip}`;
+    const failures = this.failedLogins.get(key);
+
+    if (failures && failures.lockedUntil > Date.now()) {
+      const minutes = Math.ceil((failures.lockedUntil - Date.now()) / 60000);
+      throw new Error(`Too many failed logins. Try again in ${minutes} minutes`);
+    }
+
+    const user = this.users.get(name);
+    const valid = user ? await this.verifyPassword(password, user.password_hash) : false;
+
+    if (!valid) {
+      const count = (failures ? failures.count : 0) + 1;
+      const locked = count >= this.config.maxAttempts;
+      this.failedLogins.set(key, {
+        count: locked ? 0 : count,
+        lockedUntil: locked ? Date.now() + this.config.lockout * 1000 : 0
+      });
+      this.pruneFailedLogins();
+      logger.warn(`Failed login for ${name} from ${ip || 'unknown address'}${locked ? ' (locked)' : ''}`);
+      return null;
+    }
+
+    this.failedLogins.delete(key);
+    logger.info(`User ${name} logged in`);
+
+    return this.issueToken(user);
+  }
+
+  /**
+   * Forget expired lockouts so the map cannot grow without bound
+   */
+  pruneFailedLogins(now = Date.now()) {
+    if (this.failedLogins.size <= 10000) return;
+
+    this.failedLogins.forEach((failures, key) => {
+      if (failures.lockedUntil <= now) {
+        this.failedLogins.delete(key);
+      }
+    });
+  }
+
+  issueToken(user) {
+    const expiresAt = Date.now() + this.config.tokenTtl * 1000;
+    const payload = base64url(JSON.stringify({ sub: user.username, ver: user.session_version, exp: expiresAt }));
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      user: this.publicUser(user),
+      expires_at: new Date(expiresAt).toISOString()
+    };
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Return the user of a valid token, or null
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      const user = this.users.get(claims.sub);
+
+      if (!user || claims.ver !== user.session_version || claims.exp < Date.now()) {
+        return null;
+      }
+
+      return user;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * End every session of a user
+   */
+  logout(username) {
+    const user = this.users.get(username);
+    if (!user) return;
+
+    user.session_version++;
+    this.persist();
+  }
+
+  tokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+      const [name, ...value] = cookie.trim().split('=');
+      if (name === COOKIE_NAME) {
+        return decodeURIComponent(value.join('='));
+      }
+    }
+
+    return null;
+  }
+
+  setCookie(req, res, session) {
+    res.cookie(COOKIE_NAME, session.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: new Date(session.expires_at)
+    });
+  }
+
+  clearCookie(res) {
+    res.clearCookie(COOKIE_NAME);
+  }
+
+  /**
+   * Middleware: reject requests without a valid login (401)
+   */
+  authenticate() {
+    return (req, res, next) => {
+      // Without auth everyone is an anonymous admin (trusted networks only)
+      if (!this.config.enabled) {
+        req.user = { username: null, role: 'admin' };
+        return next();
+      }
+
+      const user = this.verifyToken(this.tokenFromRequest(req));
+
+      if (!user) {
+        return res.status(401).json({
+          status: false,
+          error: 'Login required'
+        });
+      }
+
+      req.user = this.publicUser(user);
+      next();
+    };
+  }
+
+  /**
+   * Middleware: require at least the given role (403)
+   */
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!this.hasRole(req.user, role)) {
+        return res.status(403).json({
+          status: false,
+          error: `Requires ${role} role`
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
@@ -1,6 +1,13 @@
 const NodeCache = require('node-cache');
 const logger = require('../utils/logger');
 
+/**
+ * In-memory TTL cache.
+ *
+ * Values stored with remember() are also kept as a last-known-good copy
+ * that outlives the TTL (and flush), so an expired result can still be
+ * served, flagged stale, while SmartOLT cannot be called for a fresh one.
+ */
 class CacheService {
   constructor(config) {
     this.cache = new NodeCache({
@@ -8,6 +15,9 @@ class CacheService {
       checkperiod: 120
     });
     this.config = config;
+    this.lastKnownGood = new Map(); // key -> { value, fetched_at, expires_at }
+    this.maxLastKnownGood = config.maxLastKnownGood || 100;
+    this.revalidations = new Map(); // key -> pending background refresh
   }
 
   get(key) {
@@ -37,6 +47,70 @@ class CacheService {
     }
   }
 
+  /**
+   * set() and keep the value as the key's last-known-good copy. With an
+   * earlier fetchedAt (e.g. restored from disk) only the rest of the TTL
+   * is cached.
+   */
+  remember(key, value, ttl = null, fetchedAt = Date.now()) {
+    const actualTtl = ttl || this.config.ttl.onuStatus;
+    const remaining = Math.floor((fetchedAt + actualTtl * 1000 - Date.now()) / 1000);
+
+    // Re-insert so the oldest key is evicted first
+    this.lastKnownGood.delete(key);
+    this.lastKnownGood.set(key, {
+      value,
+      fetched_at: new Date(fetchedAt).toISOString(),
+      expires_at: new Date(fetchedAt + actualTtl * 1000).toISOString()
+    });
+
+    if (this.lastKnownGood.size > this.maxLastKnownGood) {
+      this.lastKnownGood.delete(this.lastKnownGood.keys().next().value);
+    }
+
+    return remaining > 0 ? this.set(key, value, remaining) : true;
+  }
+
+  /**
+   * Last value stored with remember(), expired or not:
+   * { value, fetched_at, expires_at, stale } or null
+   */
+  getLastKnownGood(key) {
+    const entry = this.lastKnownGood.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    return { ...entry, stale: Date.parse(entry.expires_at) <= Date.now() };
+  }
+
+  /**
+   * Run loader in the background and remember its result; concurrent
+   * calls for the same key share one refresh. Failures are logged, the
+   * last-known-good copy stays in place.
+   */
+  revalidate(key, loader) {
+    if (this.revalidations.has(key)) {
+      return this.revalidations.get(key);
+    }
+
+    const refresh = (async () => {
+      try {
+        logger.info(`Revalidating stale cache entry ${key}`);
+        return await loader();
+      } catch (error) {
+        logger.warn(`Background refresh of ${key} failed, keeping last known data: ${error.message}`);
+        return null;
+      } finally {
+        this.revalidations.delete(key);
+      }
+    })();
+
+    this.revalidations.set(key, refresh);
+    return refresh;
+  }
+
   del(key) {
     try {
       this.cache.del(key);
@@ -60,7 +134,11 @@ class CacheService {
   }
 
   getStats() {
-    return this.cache.getStats();
+    return {
+      ...this.cache.getStats(),
+      lastKnownGood: this.lastKnownGood.size,
+      revalidating: this.revalidations.size
+    };
   }
 }
 
@@ -0,0 +1,264 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { isValidCoordinate, distanceMeters } = require('../utils/geo');
+
+const CHANGE_TYPES = ['provisioned', 'removed', 'reprovisioned', 'port_changed', 'odb_changed', 'location_changed'];
+const PORT_FIELDS = ['olt_id', 'board', 'port', 'onu'];
+const ODB_FIELDS = ['odb_name', 'odb_port'];
+const PLACEMENT_FIELDS = [...PORT_FIELDS, ...ODB_FIELDS, 'zone_name', 'latitude', 'longitude'];
+
+/**
+ * Inventory change feed.
+ *
+ * Compares consecutive full inventories (OnuService 'inventory' events)
+ * and records what changed between them:
+ * - 'provisioned'      a new ONU appeared
+ * - 'removed'          an ONU disappeared
+ * - 'reprovisioned'    an ONU disappeared and its serial number came back
+ *                      under a new ID (deleted and added again)
+ * - 'port_changed'     moved to another OLT / board / PON port / ONU index
+ * - 'odb_changed'      moved to another ODB or ODB port
+ * - 'location_changed' coordinates moved by at least minDistance meters,
+ *                      were added or were cleared
+ *
+ * The first inventory after startup is compared with the snapshot restored
+ * from disk, so changes made while the server was down are caught too.
+ * Emits 'inventory_change' ({ detected_at, total, by_type }) per diff.
+ */
+class ChangeService extends EventEmitter {
+  constructor(onuService, config = {}, changeStore = null) {
+    super();
+    this.minDistance = config.minDistance !== undefined ? config.minDistance : 10;
+    this.maxEvents = config.maxEvents || 10000;
+    this.store = changeStore;
+    this.events = this.store ? this.store.load().slice(-this.maxEvents) : []; // Oldest first
+    this.previous = null; // Inventory the next one is compared with
+
+    if (onuService) {
+      this.previous = onuService.inventory || null;
+      onuService.on('inventory', snapshot => this.handleInventory(snapshot));
+    }
+  }
+
+  pick(onu, fields) {
+    const values = {};
+    fields.forEach(field => {
+      values[field] = onu[field] !== undefined ? onu[field] : null;
+    });
+    return values;
+  }
+
+  changed(before, after, fields) {
+    const normalize = value => (value === undefined || value === null ? '' : String(value));
+    return fields.some(field => normalize(before[field]) !== normalize(after[field]));
+  }
+
+  createEvent(type, onu, detectedAt, before, after) {
+    return {
+      id: crypto.randomUUID(),
+      type,
+      detected_at: detectedAt,
+      unique_external_id: onu.unique_external_id,
+      sn: onu.sn || null,
+      name: onu.name || null,
+      olt_id: onu.olt_id,
+      board: onu.board,
+      port: onu.port,
+      odb_name: onu.odb_name || null,
+      zone_name: onu.zone_name || null,
+      before,
+      after
+    };
+  }
+
+  /**
+   * Whether the location moved far enough to report
+   */
+  locationChanged(before, after) {
+    const hasBefore = isValidCoordinate(before.latitude, before.longitude);
+    const hasAfter = isValidCoordinate(after.latitude, after.longitude);
+
+    if (hasBefore !== hasAfter) {
+      return true;
+    }
+
+    return hasBefore &&
+      distanceMeters(before.latitude, before.longitude, after.latitude, after.longitude) >= this.minDistance;
+  }
+
+  /**
+   * Change events between two ONU lists
+   */
+  diff(previousOnus, currentOnus, detectedAt) {
+    const previous = new Map(previousOnus.map(onu => [onu.unique_external_id, onu]));
+    const current = new Map(currentOnus.map(onu => [onu.unique_external_id, onu]));
+    const removed = previousOnus.filter(onu => !current.has(onu.unique_external_id));
+    const removedBySn = new Map(removed.filter(onu => onu.sn).map(onu => [onu.sn, onu]));
+    const reprovisioned = new Set(); // IDs of removed ONUs that came back under a new ID
+    const events = [];
+
+    currentOnus.forEach(onu => {
+      const before = previous.get(onu.unique_external_id);
+
+      if (!before) {
+        const old = onu.sn ? removedBySn.get(onu.sn) : null;
+
+        if (old && !reprovisioned.has(old.unique_external_id)) {
+          reprovisioned.add(old.unique_external_id);
+          events.push(this.createEvent('reprovisioned', onu, detectedAt,
+            { unique_external_id: old.unique_external_id, ...this.pick(old, PLACEMENT_FIELDS) },
+            { unique_external_id: onu.unique_external_id, ...this.pick(onu, PLACEMENT_FIELDS) }));
+        } else {
+          events.push(this.createEvent('provisioned', onu, detectedAt, null, this.pick(onu, PLACEMENT_FIELDS)));
+        }
+        return;
+      }
+
+      if (this.changed(before, onu, PORT_FIELDS)) {
+        events.push(this.createEvent('port_changed', onu, detectedAt, this.pick(before, PORT_FIELDS), this.pick(onu, PORT_FIELDS)));
+      }
+
+      if (this.changed(before, onu, ODB_FIELDS)) {
+        events.push(this.createEvent('odb_changed', onu, detectedAt, this.pick(before, ODB_FIELDS), this.pick(onu, ODB_FIELDS)));
+      }
+
+      if (this.locationChanged(before, onu)) {
+        events.push(this.createEvent('location_changed', onu, detectedAt,
+          this.pick(before, ['latitude', 'longitude']), this.pick(onu, ['latitude', 'longitude'])));
+      }
+    });
+
+    removed
+      .filter(onu => !reprovisioned.has(onu.unique_external_id))
+      .forEach(onu => {
+        events.push(this.createEvent('removed', onu, detectedAt, this.pick(onu, PLACEMENT_FIELDS), null));
+      });
+
+    return events;
+  }
+
+  /**
+   * Diff a new inventory against the previous one and record the changes
+   */
+  handleInventory(snapshot) {
+    try {
+      if (!this.previous) {
+        this.previous = snapshot;
+        return [];
+      }
+
+      // An empty response is far more likely an upstream glitch than a
+      // network with every ONU deleted
+      if (snapshot.onus.length === 0 && this.previous.onus.length > 0) {
+        logger.warn('Empty inventory received, skipping the change diff');
+        return [];
+      }
+
+      const events = this.diff(this.previous.onus, snapshot.onus, snapshot.fetched_at);
+      this.previous = snapshot;
+
+      if (events.length === 0) {
+        return events;
+      }
+
+      this.events.push(...events);
+      this.events.splice(0, Math.max(this.events.length - this.maxEvents, 0));
+
+      if (this.store) {
+        this.store.append(events);
+      }
+
+      const byType = {};
+      events.forEach(event => {
+        byType[event.type] = (byType[event.type] || 0) + 1;
+      });
+
+      logger.info(`Inventory changes since the previous snapshot: ${JSON.stringify(byType)}`);
+      this.emit('inventory_change', { detected_at: snapshot.fetched_at, total: events.length, by_type: byType });
+
+      return events;
+    } catch (error) {
+      logger.error('Error diffing inventory:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Validate query parameters; throws on invalid input.
+   *
+   * since / until are ISO dates (since is exclusive, so the latest value
+   * of a previous response can be passed back), type is a comma separated
+   * list of change types, limit defaults to 200 (max 1000).
+   */
+  parseQuery(query = {}) {
+    const parseDate = (value, name) => {
+      if (value === undefined || value === '') return null;
+
+      const time = Date.parse(value);
+      if (isNaN(time)) {
+        throw new Error(`Invalid ${name} date. Use an ISO 8601 date`);
+      }
+      return time;
+    };
+
+    const types = query.type ? String(query.type).split(',').map(type => type.trim()) : null;
+    const unknown = types ? types.filter(type => !CHANGE_TYPES.includes(type)) : [];
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown change type: ${unknown.join(', ')}. Use ${CHANGE_TYPES.join(', ')}`);
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : 200;
+
+    if (isNaN(limit) || limit < 1) {
+      throw new Error('limit must be a positive number');
+    }
+
+    return {
+      since: parseDate(query.since, 'since'),
+      until: parseDate(query.until, 'until'),
+      types,
+      unique_external_id: query.unique_external_id,
+      olt_id: query.olt_id,
+      odb: query.odb,
+      zone: query.zone,
+      limit: Math.min(limit, 1000)
+    };
+  }
+
+  /**
+   * Change events matching parseQuery() output, newest first:
+   * { events, total, latest } where latest is the newest detected_at
+   * recorded so far (pass it as since to poll for newer changes)
+   */
+  query(filters) {
+    const matching = this.events.filter(event => {
+      const time = Date.parse(event.detected_at);
+
+      if (filters.since !== null && time <= filters.since) return false;
+      if (filters.until !== null && time > filters.until) return false;
+      if (filters.types && !filters.types.includes(event.type)) return false;
+      if (filters.unique_external_id && event.unique_external_id !== filters.unique_external_id &&
+        !(event.before && event.before.unique_external_id === filters.unique_external_id)) return false;
+      if (filters.olt_id && String(event.olt_id) !== String(filters.olt_id)) return false;
+      if (filters.odb && event.odb_name !== filters.odb &&
+        !(event.before && event.before.odb_name === filters.odb)) return false;
+      if (filters.zone && event.zone_name !== filters.zone) return false;
+
+      return true;
+    }).reverse();
+
+    const newest = this.events[this.events.length - 1];
+
+    return {
+      events: matching.slice(0, filters.limit),
+      total: matching.length,
+      latest: newest ? newest.detected_at : null
+    };
+  }
+}
+
+ChangeService.CHANGE_TYPES = CHANGE_TYPES;
+
+module.exports = ChangeService;
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Durable store for inventory change events.
+ *
+ * Events are appended as JSON lines, like the status history, so the
+ * audit trail of provisioning and field work survives restarts. Once the
+ * file holds 10% more than maxEvents it is compacted to the newest
+ * maxEvents, the same cap ChangeService keeps in memory.
+ */
+class ChangeStore {
+  constructor(config) {
+    this.file = config.file;
+    this.maxEvents = config.maxEvents || 10000;
+    this.count = 0; // Events in the file
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * All stored events, oldest first, skipping corrupted lines
+   */
+  load() {
+    const events = this.readEvents();
+    this.count = events.length;
+
+    if (this.count > this.maxEvents) {
+      this.prune(events);
+    }
+
+    logger.info(`Loaded ${events.length} inventory changes from ${this.file}`);
+    return events;
+  }
+
+  readEvents() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    const events = [];
+    let skipped = 0;
+
+    fs.readFileSync(this.file, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} corrupted lines in ${this.file}`);
+    }
+
+    return events;
+  }
+
+  append(events) {
+    if (events.length === 0) {
+      return true;
+    }
+
+    try {
+      fs.appendFileSync(this.file, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+      this.count += events.length;
+    } catch (error) {
+      logger.error('Failed to persist inventory changes:', error);
+      return false;
+    }
+
+    if (this.count > this.maxEvents * 1.1) {
+      this.prune();
+    }
+
+    return true;
+  }
+
+  /**
+   * Rewrite the file with only the newest maxEvents events
+   */
+  prune(events = this.readEvents()) {
+    const kept = events.slice(-this.maxEvents);
+
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, kept.map(event => JSON.stringify(event)).join('\n') + '\n');
+      fs.renameSync(tmpFile, this.file);
+      this.count = kept.length;
+      logger.info(`Pruned ${events.length - kept.length} inventory changes beyond the last ${this.maxEvents}`);
+    } catch (error) {
+      logger.error(`Failed to prune inventory changes ${this.file}:`, error);
+    }
+  }
+}
+
+module.exports = ChangeStore;
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Local coordinate corrections for ONUs and ODBs.
+ *
+ * Corrections imported from GeoJSON / KML are kept here instead of being
+ * written back to SmartOLT and are applied on top of the API coordinates.
+ * ONUs are keyed by unique_external_id, ODBs by name. The file is
+ * rewritten through a temporary file like the incident store.
+ */
+class CoordinateStore {
+  constructor(config) {
+    this.file = config.file;
+    this.overrides = { onus: {}, odbs: {} };
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.overrides = { onus: data.onus || {}, odbs: data.odbs || {} };
+      logger.info(`Loaded ${this.count()} coordinate corrections from ${this.file}`);
+    } catch (error) {
+      logger.error(`Failed to load coordinate corrections from ${this.file}:`, error);
+    }
+  }
+
+  save() {
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.overrides, null, 2));
+      fs.renameSync(tmpFile, this.file);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save coordinate corrections to ${this.file}:`, error);
+      return false;
+    }
+  }
+
+  count() {
+    return Object.keys(this.overrides.onus).length + Object.keys(this.overrides.odbs).length;
+  }
+
+  /**
+   * Correction for one ONU or ODB; type is 'onu' or 'odb'
+   */
+  get(type, key) {
+    return this.overrides[`${type}s`][key] || null;
+  }
+
+  /**
+   * Store corrections [{ type, key, latitude, longitude }] and persist them
+   */
+  setMany(corrections, source) {
+    const updatedAt = new Date().toISOString();
+
+    corrections.forEach(correction => {
+      this.overrides[`${correction.type}s`][correction.key] = {
+        latitude: correction.latitude,
+        longitude: correction.longitude,
+        source,
+        updated_at: updatedAt
+      };
+    });
+
+    return this.save();
+  }
+
+  /**
+   * Return the record with corrected coordinates, or the record itself
+   */
+  apply(type, key, record) {
+    const override = this.get(type, key);
+    if (!override) {
+      return record;
+    }
+
+    return {
+      ...record,
+      latitude: override.latitude,
+      longitude: override.longitude,
+      coordinates_source: 'override'
+    };
+  }
+}
+
+module.exports = CoordinateStore;
@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+const { toCsv, toXlsx } = require('../utils/exporter');
+
+const ONU_COLUMNS = [
+  { header: 'External ID', key: 'unique_external_id', width: 20 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'SN', key: 'sn', width: 18 },
+  { header: 'Status', key: 'status' },
+  { header: 'OLT ID', key: 'olt_id' },
+  { header: 'OLT', key: 'olt_name', width: 20 },
+  { header: 'Board', key: 'board' },
+  { header: 'Port', key: 'port' },
+  { header: 'ONU', key: 'onu' },
+  { header: 'ONU Type', key: 'onu_type_name', width: 18 },
+  { header: 'ODB', key: 'odb_name', width: 18 },
+  { header: 'Zone', key: 'zone_name', width: 18 },
+  { header: 'Latitude', key: 'latitude' },
+  { header: 'Longitude', key: 'longitude' },
+  { header: 'Signal', key: 'signal' },
+  { header: 'RX Power (dBm)', key: 'rx_power' },
+  { header: 'OLT RX Power (dBm)', key: 'olt_rx_power' },
+  { header: 'Signal Level', key: 'signal_level' }
+];
+
+const BREAKDOWN_COLUMNS = [
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Total', key: 'total' },
+  { header: 'Online', key: 'online' },
+  { header: 'Offline', key: 'offline' },
+  { header: 'Online %', value: row => (row.total ? Math.round(row.online / row.total * 1000) / 10 : null) }
+];
+
+const HISTORY_COLUMNS = [
+  { header: 'Timestamp', key: 'timestamp', width: 24 },
+  { header: 'External ID', key: 'unique_external_id', width: 20 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Old Status', key: 'old_status' },
+  { header: 'New Status', key: 'new_status' },
+  { header: 'OLT', value: row => row.olt_name || row.olt_id, width: 20 },
+  { header: 'Board', key: 'board' },
+  { header: 'Port', key: 'port' },
+  { header: 'ODB', key: 'odb_name', width: 18 },
+  { header: 'Zone', key: 'zone_name', width: 18 }
+];
+
+const BREAKDOWNS = [
+  { key: 'by_olt', name: 'By OLT' },
+  { key: 'by_zone', name: 'By Zone' },
+  { key: 'by_odb', name: 'By ODB' }
+];
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Builds CSV / XLSX downloads of the ONU list, statistics and status history
+ */
+class ExportService {
+  constructor(onuService, historyStore) {
+    this.onuService = onuService;
+    this.historyStore = historyStore;
+  }
+
+  /**
+   * Sheets for a dataset: 'onus', 'statistics' or 'history'
+   */
+  async buildSheets(dataset, filters = {}) {
+    switch (dataset) {
+      case 'onus': {
+        const onus = await this.onuService.getAllOnusWithDetails(filters);
+        return [{ name: 'ONUs', columns: ONU_COLUMNS, rows: onus }];
+      }
+
+      case 'statistics': {
+        const stats = await this.onuService.getStatistics(filters);
+        const summary = ['total', 'online', 'los', 'power_fail', 'offline', 'with_gps', 'without_gps']
+          .map(metric => ({ metric, value: stats[metric] }))
+          .concat([
+            { metric: 'weak_signal_warning', value: stats.weak_signal.warning },
+            { metric: 'weak_signal_critical', value: stats.weak_signal.critical }
+          ]);
+
+        return [
+          {
+            name: 'Summary',
+            columns: [{ header: 'Metric', key: 'metric', width: 24 }, { header: 'Value', key: 'value' }],
+            rows: summary
+          },
+          ...BREAKDOWNS.map(breakdown => ({
+            name: breakdown.name,
+            columns: BREAKDOWN_COLUMNS,
+            rows: Object.entries(stats[breakdown.key]).map(([name, counts]) => ({ name, ...counts }))
+          }))
+        ];
+      }
+
+      case 'history': {
+        if (!this.historyStore) {
+          throw new Error('Status history store is not configured');
+        }
+
+        return [{ name: 'Status History', columns: HISTORY_COLUMNS, rows: this.historyStore.filter(filters) }];
+      }
+
+      default:
+        throw new Error(`Unknown export dataset: ${dataset}`);
+    }
+  }
+
+  /**
+   * Render a dataset as { filename, contentType, body }.
+   *
+   * XLSX keeps every sheet; CSV has a single table, so the statistics
+   * breakdowns are combined with a Breakdown column.
+   */
+  async export(dataset, format, filters = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown export format: ${format}. Use csv or xlsx`);
+    }
+
+    const sheets = await this.buildSheets(dataset, filters);
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 13);
+    const filename = `${dataset}-${stamp}.${format}`;
+
+    let body;
+    if (format === 'xlsx') {
+      body = await toXlsx(sheets);
+    } else if (dataset === 'statistics') {
+      const breakdowns = sheets.slice(1);
+      body = toCsv(
+        [{ header: 'Breakdown', key: 'breakdown' }, ...BREAKDOWN_COLUMNS],
+        breakdowns.flatMap(sheet => sheet.rows.map(row => ({ breakdown: sheet.name, ...row })))
+      );
+    } else {
+      body = toCsv(sheets[0].columns, sheets[0].rows);
+    }
+
+    logger.info(`Exported ${dataset} as ${format} (${sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0)} rows)`);
+
+    return { filename, contentType: FORMATS[format], body };
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,351 @@
+const logger = require('../utils/logger');
+const { isValidCoordinate, toKml, parseKmlPlacemarks } = require('../utils/geo');
+
+const STATUS_STYLES = {
+  'Online': 'status-online',
+  'LOS': 'status-los',
+  'Power Fail': 'status-power-fail',
+  'Offline': 'status-offline'
+};
+
+const FORMATS = {
+  geojson: { extension: 'geojson', contentType: 'application/geo+json; charset=utf-8' },
+  kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8' }
+};
+
+/**
+ * GeoJSON / KML export of the network as drawn on the map, and import of
+ * coordinate corrections from the same formats.
+ *
+ * The export has one point per ONU, one point per ODB and an ODB → ONU
+ * line per ONU. ODBs are placed like the map does: at their registry
+ * coordinates when known, otherwise at the centroid of their ONUs.
+ */
+class GeoService {
+  constructor(onuService, odbService, coordinateStore) {
+    this.onuService = onuService;
+    this.odbService = odbService;
+    this.coordinateStore = coordinateStore;
+  }
+
+  /**
+   * ONUs with coordinates grouped under their ODBs
+   */
+  async buildNetwork(filters = {}) {
+    const onus = await this.onuService.getOnusWithGps(filters);
+
+    let registry = [];
+    try {
+      registry = await this.odbService.getOdbs();
+    } catch (error) {
+      // ODBs fall back to ONU centroids, as on the map
+      logger.warn(`ODB registry unavailable for geo export: ${error.message}`);
+    }
+
+    const registryByName = new Map(registry.map(odb => [odb.name, odb]));
+    const groups = new Map();
+
+    onus.forEach(onu => {
+      if (!onu.odb_name || onu.odb_name === 'Unknown ODB') return;
+
+      if (!groups.has(onu.odb_name)) {
+        groups.set(onu.odb_name, []);
+      }
+      groups.get(onu.odb_name).push(onu);
+    });
+
+    const odbs = [...groups.entries()].map(([name, members]) => {
+      const odb = registryByName.get(name);
+      const base = {
+        name,
+        capacity: odb ? odb.capacity : null,
+        zone_name: odb ? odb.zone_name : null,
+        onus: members
+      };
+
+      if (odb && odb.has_coordinates) {
+        return {
+          ...base,
+          latitude: odb.latitude,
+          longitude: odb.longitude,
+          location_source: odb.coordinates_source === 'override' ? 'override' : 'registry'
+        };
+      }
+
+      return {
+        ...base,
+        latitude: members.reduce((sum, onu) => sum + onu.latitude, 0) / members.length,
+        longitude: members.reduce((sum, onu) => sum + onu.longitude, 0) / members.length,
+        location_source: 'centroid'
+      };
+    });
+
+    return { onus, odbs };
+  }
+
+  onuProperties(onu) {
+    return {
+      feature_type: 'onu',
+      unique_external_id: onu.unique_external_id,
+      name: onu.name,
+      sn: onu.sn,
+      status: onu.status,
+      status_color: onu.status_color,
+      olt_id: onu.olt_id,
+      olt_name: onu.olt_name,
+      board: onu.board,
+      port: onu.port,
+      onu: onu.onu,
+      odb_name: onu.odb_name,
+      zone_name: onu.zone_name,
+      rx_power: onu.rx_power,
+      signal_level: onu.signal_level
+    };
+  }
+
+  odbProperties(odb) {
+    const counts = this.onuService.countStatuses(odb.onus);
+
+    return {
+      feature_type: 'odb',
+      name: odb.name,
+      zone_name: odb.zone_name,
+      capacity: odb.capacity,
+      onu_count: odb.onus.length,
+      online: counts.online,
+      los: counts.los,
+      power_fail: counts.power_fail,
+      offline: counts.offline,
+      location_source: odb.location_source
+    };
+  }
+
+  linkProperties(odb, onu) {
+    return {
+      feature_type: 'link',
+      odb_name: odb.name,
+      unique_external_id: onu.unique_external_id,
+      status: onu.status,
+      status_color: onu.status_color
+    };
+  }
+
+  toGeoJson(network) {
+    const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+    const features = [
+      ...network.onus.map(onu => ({
+        type: 'Feature',
+        geometry: point(onu.longitude, onu.latitude),
+        properties: this.onuProperties(onu)
+      })),
+      ...network.odbs.map(odb => ({
+        type: 'Feature',
+        geometry: point(odb.longitude, odb.latitude),
+        properties: this.odbProperties(odb)
+      })),
+      ...network.odbs.flatMap(odb => odb.onus.map(onu => ({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: [[odb.longitude, odb.latitude], [onu.longitude, onu.latitude]]
+        },
+        properties: this.linkProperties(odb, onu)
+      })))
+    ];
+
+    return { type: 'FeatureCollection', features };
+  }
+
+  toKml(network) {
+    const styles = Object.entries(STATUS_STYLES).map(([status, id]) => ({
+      id,
+      color: this.onuService.getStatusColor(status)
+    }));
+    styles.push({ id: 'odb', color: '#0d6efd' });
+
+    const styleFor = onu => STATUS_STYLES[onu.status] || STATUS_STYLES.Offline;
+
+    return toKml({
+      name: 'ONU Network',
+      styles,
+      folders: [
+        {
+          name: 'ONUs',
+          placemarks: network.onus.map(onu => ({
+            name: onu.name || onu.unique_external_id,
+            styleUrl: styleFor(onu),
+            data: this.onuProperties(onu),
+            point: [onu.longitude, onu.latitude]
+          }))
+        },
+        {
+          name: 'ODBs',
+          placemarks: network.odbs.map(odb => ({
+            name: odb.name,
+            styleUrl: 'odb',
+            data: this.odbProperties(odb),
+            point: [odb.longitude, odb.latitude]
+          }))
+        },
+        {
+          name: 'Links',
+          placemarks: network.odbs.flatMap(odb => odb.onus.map(onu => ({
+            name: `${odb.name} → ${onu.name || onu.unique_external_id}`,
+            styleUrl: styleFor(onu),
+            data: this.linkProperties(odb, onu),
+            line: [[odb.longitude, odb.latitude], [onu.longitude, onu.latitude]]
+          })))
+        }
+      ]
+    });
+  }
+
+  /**
+   * Render the network as { filename, contentType, body }
+   */
+  async export(format, filters = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown geo format: ${format}. Use geojson or kml`);
+    }
+
+    const network = await this.buildNetwork(filters);
+    const body = format === 'kml'
+      ? this.toKml(network)
+      : JSON.stringify(this.toGeoJson(network));
+
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 13);
+
+    logger.info(`Exported network as ${format} (${network.onus.length} ONUs, ${network.odbs.length} ODBs)`);
+
+    return {
+      filename: `network-${stamp}.${FORMATS[format].extension}`,
+      contentType: FORMATS[format].contentType,
+      body
+    };
+  }
+
+  /**
+   * Point features of an uploaded file as [{ properties, name, coordinates }].
+   * Lines and other geometries are ignored; throws on unreadable files.
+   */
+  parsePoints(format, body) {
+    if (format === 'geojson') {
+      const collection = typeof body === 'string' ? JSON.parse(body) : body;
+      const features = collection && collection.type === 'FeatureCollection' ? collection.features : [collection];
+
+      if (!Array.isArray(features) || !features.every(feature => feature && feature.type === 'Feature')) {
+        throw new Error('Not a GeoJSON Feature or FeatureCollection');
+      }
+
+      return features
+        .filter(feature => feature.geometry && feature.geometry.type === 'Point')
+        .map(feature => ({
+          properties: feature.properties || {},
+          name: (feature.properties || {}).name,
+          coordinates: feature.geometry.coordinates
+        }));
+    }
+
+    if (format === 'kml') {
+      return parseKmlPlacemarks(String(body))
+        .filter(placemark => placemark.geometry === 'Point')
+        .map(placemark => ({
+          properties: placemark.data,
+          name: placemark.data.name || placemark.name,
+          coordinates: placemark.coordinates[0] || []
+        }));
+    }
+
+    throw new Error(`Unknown geo format: ${format}. Use geojson or kml`);
+  }
+
+  /**
+   * Import coordinate corrections from parsed points (see parsePoints).
+   *
+   * Points are matched to ONUs by unique_external_id and to ODBs by name
+   * (feature_type 'odb'), so files exported here can be edited in QGIS or
+   * Google Earth and imported back. Points that were not moved are skipped
+   * so an unedited export does not pin every location; unknown points and
+   * invalid coordinates are reported. With dryRun nothing is saved.
+   */
+  async importCoordinates(points, format, options = {}) {
+    try {
+      const onus = await this.onuService.getAllOnusWithDetails();
+      const network = await this.buildNetwork();
+
+      let registry = [];
+      try {
+        registry = await this.odbService.getOdbs();
+      } catch (error) {
+        logger.warn(`ODB registry unavailable for geo import: ${error.message}`);
+      }
+
+      // Current position of every known ONU / ODB (null when it has none)
+      const known = {
+        onu: new Map(onus.map(onu => [String(onu.unique_external_id), onu])),
+        odb: new Map([
+          ...onus.filter(onu => onu.odb_name).map(onu => [onu.odb_name, null]),
+          ...registry.map(odb => [odb.name, odb.has_coordinates ? odb : null]),
+          ...network.odbs.map(odb => [odb.name, odb])
+        ])
+      };
+
+      const corrections = [];
+      const unknown = [];
+      const invalid = [];
+      let unchanged = 0;
+
+      points.forEach(point => {
+        const props = point.properties;
+        const isOdb = props.feature_type === 'odb';
+        const key = isOdb ? point.name : props.unique_external_id;
+        const [lng, lat] = (point.coordinates || []).map(Number);
+
+        if (!key) {
+          unknown.push(point.name || null);
+          return;
+        }
+
+        if (!isValidCoordinate(lat, lng)) {
+          invalid.push(String(key));
+          return;
+        }
+
+        const type = isOdb ? 'odb' : 'onu';
+        if (!known[type].has(String(key))) {
+          unknown.push(String(key));
+          return;
+        }
+
+        const current = known[type].get(String(key));
+        if (current && Math.abs(current.latitude - lat) < 1e-7 && Math.abs(current.longitude - lng) < 1e-7) {
+          unchanged++;
+          return;
+        }
+
+        corrections.push({ type, key: String(key), latitude: lat, longitude: lng });
+      });
+
+      if (!options.dryRun && corrections.length > 0) {
+        this.coordinateStore.setMany(corrections, format);
+        logger.info(`Imported ${corrections.length} coordinate corrections from ${format}`);
+      }
+
+      return {
+        format,
+        dry_run: !!options.dryRun,
+        points: points.length,
+        onus_updated: corrections.filter(c => c.type === 'onu').length,
+        odbs_updated: corrections.filter(c => c.type === 'odb').length,
+        unchanged,
+        unknown,
+        invalid
+      };
+    } catch (error) {
+      logger.error('Error in importCoordinates:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = GeoService;
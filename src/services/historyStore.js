@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Durable store for ONU status transitions.
+ *
+ * Every event is appended as one JSON line to the history file, so the
+ * file can be tailed, grepped or rotated with standard tools. The events
+ * are also kept in memory (oldest first) to answer queries quickly.
+ */
+class HistoryStore {
+  constructor(config) {
+    this.file = config.file;
+    this.events = [];
+
+    this.ensureDirectory();
+    this.load();
+  }
+
+  ensureDirectory() {
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Load existing events from disk, skipping corrupted lines
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    let skipped = 0;
+
+    lines.forEach(line => {
+      if (!line.trim()) return;
+
+      try {
+        this.events.push(JSON.parse(line));
+      } catch (error) {
+        skipped++;
+      }
+    });
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} corrupted lines in ${this.file}`);
+    }
+
+    logger.info(`Loaded ${this.events.length} status events from ${this.file}`);
+  }
+
+  /**
+   * Append a status change event
+   */
+  append(event) {
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(event) + '\n');
+      this.events.push(event);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to persist status event for ${event.unique_external_id}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Most recent events for a status type, newest first
+   */
+  recent(eventType, limit = 20) {
+    const result = [];
+
+    for (let i = this.events.length - 1; i >= 0 && result.length < limit; i--) {
+      if (this.events[i].new_status === eventType) {
+        result.push(this.events[i]);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the from / to filters into timestamps (null when not set);
+   * throws on invalid dates
+   */
+  parseRange(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid date range. Use ISO 8601 dates for from/to');
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * All events matching the filters, newest first.
+   *
+   * Supported filters: from, to (ISO dates), unique_external_id, odb,
+   * olt_id, zone, type (new status, comma separated).
+   */
+  filter(filters = {}) {
+    const { from, to } = this.parseRange(filters);
+
+    const types = filters.type ?
+      filters.type.split(',').map(type => type.trim().toLowerCase()) :
+      null;
+
+    return this.events.filter(event => {
+      const time = new Date(event.timestamp).getTime();
+
+      if (from !== null && time < from) return false;
+      if (to !== null && time > to) return false;
+      if (filters.unique_external_id && event.unique_external_id !== filters.unique_external_id) return false;
+      if (filters.odb && event.odb_name !== filters.odb) return false;
+      if (filters.olt_id && String(event.olt_id) !== String(filters.olt_id)) return false;
+      if (filters.zone && event.zone_name !== filters.zone) return false;
+      if (types && !types.includes(String(event.new_status).toLowerCase())) return false;
+
+      return true;
+    }).reverse();
+  }
+
+  /**
+   * Query events, newest first, paginated (page, limit) on top of filter()
+   */
+  query(filters = {}) {
+    const matches = this.filter(filters);
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+
+    const start = (page - 1) * limit;
+
+    return {
+      events: matches.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit)
+      }
+    };
+  }
+}
+
+module.exports = HistoryStore;
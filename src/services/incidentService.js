@@ -0,0 +1,576 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DOWN_STATUSES = ['LOS', 'Power Fail', 'Offline'];
+
+/**
+ * Correlates ONU status transitions into incidents.
+ *
+ * Down transitions on the same OLT that happen within the correlation
+ * window are grouped by their common infrastructure, and the incident gets
+ * the suspected fault level:
+ * - 'odb'      at least minOnusPerOdb ONUs behind the same ODB
+ * - 'pon_port' at least minOdbsPerPort affected ODBs on the same board/port
+ * - 'olt'      at least minPortsPerOlt affected PON ports on the same OLT
+ * - 'onu'      anything that does not correlate
+ *
+ * Incidents have a lifecycle: 'open' -> 'acknowledged' -> 'resolved'.
+ * They are opened automatically, resolved automatically once every ONU is
+ * back Online, and can be acknowledged, assigned, annotated and resolved
+ * by operators. Time-to-acknowledge and time-to-repair are derived from
+ * the timestamps.
+ *
+ * Listens to OnuService 'status_change' and 'inventory' events and emits
+ * 'incident_opened', 'incident_updated' and 'incident_resolved'.
+ */
+class IncidentService extends EventEmitter {
+  constructor(onuService, config, incidentStore = null) {
+    super();
+    this.window = config.window * 1000;
+    this.minOnusPerOdb = config.minOnusPerOdb;
+    this.minOdbsPerPort = config.minOdbsPerPort;
+    this.minPortsPerOlt = config.minPortsPerOlt;
+    this.maxResolved = config.maxResolved || 500;
+    this.store = incidentStore;
+    this.incidents = new Map();
+
+    if (this.store) {
+      this.store.load().forEach(incident => this.incidents.set(incident.id, incident));
+    }
+
+    if (onuService) {
+      onuService.on('status_change', event => this.handleStatusChange(event));
+      onuService.on('inventory', snapshot => this.reconcileWithInventory(snapshot));
+    }
+  }
+
+  isActive(incident) {
+    return incident.state !== 'resolved';
+  }
+
+  persist() {
+    if (this.store) {
+      this.store.save([...this.incidents.values()]);
+    }
+  }
+
+  handleStatusChange(event) {
+    try {
+      if (DOWN_STATUSES.includes(event.new_status)) {
+        this.handleDown(event);
+      } else if (event.new_status === 'Online') {
+        this.handleRecovery(event);
+      }
+    } catch (error) {
+      logger.error(`Incident correlation failed for ${event.unique_external_id}:`, error);
+    }
+  }
+
+  /**
+   * Mark members that are Online in the latest snapshot as recovered.
+   * Catches recoveries that produced no transition, e.g. across a restart.
+   */
+  reconcileWithInventory(snapshot) {
+    const statuses = new Map(snapshot.onus.map(onu => [onu.unique_external_id, onu.status]));
+
+    [...this.incidents.values()].filter(incident => this.isActive(incident)).forEach(incident => {
+      let changed = false;
+
+      incident.members.forEach(member => {
+        if (!member.recovered_at && statuses.get(member.unique_external_id) === 'Online') {
+          member.status = 'Online';
+          member.recovered_at = snapshot.fetched_at;
+          changed = true;
+        }
+      });
+
+      if (changed) {
+        this.afterRecovery(incident, snapshot.fetched_at);
+      }
+    });
+  }
+
+  /**
+   * Find the active incident an ONU belongs to
+   */
+  findActiveIncidentForOnu(externalId, includeRecovered = false) {
+    for (const incident of this.incidents.values()) {
+      if (!this.isActive(incident)) continue;
+
+      const member = incident.members.find(m =>
+        m.unique_external_id === externalId && (includeRecovered || !m.recovered_at)
+      );
+      if (member) {
+        return { incident, member };
+      }
+    }
+    return null;
+  }
+
+  handleDown(event) {
+    const existing = this.findActiveIncidentForOnu(event.unique_external_id, true);
+
+    // Already part of an open incident (e.g. LOS -> Offline, or flapping)
+    if (existing) {
+      existing.member.status = event.new_status;
+      existing.member.recovered_at = null;
+      existing.incident.last_event_at = event.timestamp;
+      this.persist();
+      this.emit('incident_updated', this.summarize(existing.incident));
+      return;
+    }
+
+    const eventTime = new Date(event.timestamp).getTime();
+    const oltKey = this.getOltKey(event);
+    const member = {
+      unique_external_id: event.unique_external_id,
+      name: event.name,
+      olt_id: event.olt_id,
+      olt_name: event.olt_name,
+      zone_name: event.zone_name,
+      odb_name: event.odb_name && event.odb_name !== 'Unknown' ? event.odb_name : null,
+      board: event.board,
+      port: event.port,
+      onu: event.onu,
+      status: event.new_status,
+      down_at: event.timestamp,
+      recovered_at: null
+    };
+
+    // Incidents that may merge with this event: same OLT, still in window
+    const candidates = [...this.incidents.values()].filter(incident =>
+      this.isActive(incident) &&
+      incident.olt_key === oltKey &&
+      new Date(incident.last_event_at).getTime() >= eventTime - this.window
+    );
+
+    const pool = [member];
+    candidates.forEach(incident => {
+      incident.members.forEach(m => pool.push(m));
+    });
+
+    this.groupMembers(pool).forEach(cluster => {
+      this.reconcile(cluster, candidates, oltKey, event.timestamp, member);
+    });
+
+    this.persist();
+  }
+
+  handleRecovery(event) {
+    const existing = this.findActiveIncidentForOnu(event.unique_external_id);
+    if (!existing) return;
+
+    const { incident, member } = existing;
+    member.status = 'Online';
+    member.recovered_at = event.timestamp;
+
+    this.afterRecovery(incident, event.timestamp);
+  }
+
+  /**
+   * Auto-resolve an incident once all of its ONUs have recovered
+   */
+  afterRecovery(incident, timestamp) {
+    if (incident.members.every(m => m.recovered_at)) {
+      this.closeIncident(incident, 'system', 'All ONUs back online', timestamp);
+    } else {
+      this.persist();
+      this.emit('incident_updated', this.summarize(incident));
+    }
+  }
+
+  closeIncident(incident, by, note, timestamp) {
+    incident.state = 'resolved';
+    incident.resolved_at = timestamp;
+    incident.resolved_by = by;
+    this.addTimelineEntry(incident, 'resolved', by, note, timestamp);
+
+    logger.info(`Incident ${incident.id} resolved by ${by} (${incident.level})`);
+
+    this.pruneResolved();
+    this.persist();
+    this.emit('incident_resolved', this.summarize(incident));
+  }
+
+  addTimelineEntry(incident, type, by, text, timestamp = new Date().toISOString()) {
+    incident.notes.push({
+      at: timestamp,
+      type,
+      by: by || null,
+      text: text || null
+    });
+  }
+
+  getOltKey(event) {
+    return String(event.olt_id || event.olt_name || 'unknown');
+  }
+
+  /**
+   * Partition down ONUs of one OLT into fault clusters
+   */
+  groupMembers(members) {
+    const groupBy = (items, keyFn) => items.reduce((groups, item) => {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+      return groups;
+    }, new Map());
+
+    const portClusters = [];
+    const clusters = [];
+
+    groupBy(members, m => `${m.board}/${m.port}`).forEach(portMembers => {
+      const odbGroups = [...groupBy(portMembers.filter(m => m.odb_name), m => m.odb_name).values()]
+        .filter(group => group.length >= this.minOnusPerOdb);
+
+      if (odbGroups.length >= this.minOdbsPerPort) {
+        portClusters.push(portMembers);
+        return;
+      }
+
+      odbGroups.forEach(group => clusters.push({ level: 'odb', members: group }));
+
+      const grouped = new Set(odbGroups.flat());
+      portMembers
+        .filter(m => !grouped.has(m))
+        .forEach(m => clusters.push({ level: 'onu', members: [m] }));
+    });
+
+    if (portClusters.length >= this.minPortsPerOlt) {
+      return [{ level: 'olt', members }];
+    }
+
+    portClusters.forEach(portMembers => clusters.push({ level: 'pon_port', members: portMembers }));
+    return clusters;
+  }
+
+  /**
+   * Apply a cluster to the incident list, merging incidents it absorbed
+   */
+  reconcile(cluster, candidates, oltKey, timestamp, newMember) {
+    const memberIds = new Set(cluster.members.map(m => m.unique_external_id));
+    const owners = candidates
+      .filter(incident => this.incidents.has(incident.id))
+      .filter(incident => incident.members.some(m => memberIds.has(m.unique_external_id)))
+      .sort((a, b) => new Date(a.started_at) - new Date(b.started_at));
+
+    // Nothing changed for clusters that neither contain the new ONU nor merge incidents
+    if (!memberIds.has(newMember.unique_external_id) && owners.length <= 1) {
+      return;
+    }
+
+    let incident = owners[0];
+    const isNew = !incident;
+
+    if (isNew) {
+      incident = {
+        id: crypto.randomUUID(),
+        olt_key: oltKey,
+        state: 'open',
+        started_at: timestamp,
+        acknowledged_at: null,
+        acknowledged_by: null,
+        assigned_to: null,
+        assigned_at: null,
+        resolved_at: null,
+        resolved_by: null,
+        notes: []
+      };
+      this.addTimelineEntry(incident, 'opened', 'system', null, timestamp);
+      this.incidents.set(incident.id, incident);
+    }
+
+    owners.slice(1).forEach(absorbed => {
+      // Keep the operator work done on the absorbed incident
+      if (!incident.acknowledged_at && absorbed.acknowledged_at) {
+        incident.state = 'acknowledged';
+        incident.acknowledged_at = absorbed.acknowledged_at;
+        incident.acknowledged_by = absorbed.acknowledged_by;
+      }
+      if (!incident.assigned_to && absorbed.assigned_to) {
+        incident.assigned_to = absorbed.assigned_to;
+        incident.assigned_at = absorbed.assigned_at;
+      }
+      incident.notes.push(...absorbed.notes.filter(note => note.type !== 'opened'));
+      this.addTimelineEntry(incident, 'merged', 'system', `Merged incident ${absorbed.id}`, timestamp);
+
+      this.incidents.delete(absorbed.id);
+      logger.info(`Incident ${absorbed.id} merged into ${incident.id}`);
+    });
+
+    incident.level = cluster.level;
+    incident.members = cluster.members;
+    incident.scope = this.buildScope(cluster);
+    incident.last_event_at = timestamp;
+
+    if (isNew) {
+      logger.info(`Incident ${incident.id} opened (${incident.level}, ${incident.members.length} ONUs)`);
+      this.emit('incident_opened', this.summarize(incident));
+    } else {
+      logger.info(`Incident ${incident.id} updated (${incident.level}, ${incident.members.length} ONUs)`);
+      this.emit('incident_updated', this.summarize(incident));
+    }
+  }
+
+  /**
+   * Describe where the suspected fault is
+   */
+  buildScope(cluster) {
+    const first = cluster.members[0];
+    const scope = {
+      olt_id: first.olt_id,
+      olt_name: first.olt_name
+    };
+
+    if (cluster.level === 'pon_port' || cluster.level === 'odb' || cluster.level === 'onu') {
+      scope.board = first.board;
+      scope.port = first.port;
+    }
+
+    if (cluster.level === 'odb' || cluster.level === 'onu') {
+      scope.odb_name = first.odb_name;
+    }
+
+    if (cluster.level === 'onu') {
+      scope.unique_external_id = first.unique_external_id;
+      scope.name = first.name;
+    }
+
+    return scope;
+  }
+
+  describeScope(incident) {
+    const { scope } = incident;
+    const olt = scope.olt_name || scope.olt_id || 'Unknown OLT';
+
+    switch (incident.level) {
+      case 'olt':
+        return `OLT ${olt}`;
+      case 'pon_port':
+        return `PON ${scope.board}/${scope.port} on ${olt}`;
+      case 'odb':
+        return `ODB ${scope.odb_name}`;
+      default:
+        return `ONU ${scope.name || scope.unique_external_id}`;
+    }
+  }
+
+  /**
+   * Seconds between two ISO timestamps, or null when either is missing
+   */
+  secondsBetween(start, end) {
+    if (!start || !end) return null;
+    return Math.round((new Date(end) - new Date(start)) / 1000);
+  }
+
+  summarize(incident) {
+    const statusCounts = {};
+    incident.members
+      .filter(m => !m.recovered_at)
+      .forEach(m => {
+        statusCounts[m.status] = (statusCounts[m.status] || 0) + 1;
+      });
+
+    return {
+      id: incident.id,
+      level: incident.level,
+      description: this.describeScope(incident),
+      scope: incident.scope,
+      state: incident.state,
+      active: this.isActive(incident),
+      affected_count: incident.members.length,
+      down_count: incident.members.filter(m => !m.recovered_at).length,
+      status_counts: statusCounts,
+      started_at: incident.started_at,
+      last_event_at: incident.last_event_at,
+      acknowledged_at: incident.acknowledged_at,
+      acknowledged_by: incident.acknowledged_by,
+      assigned_to: incident.assigned_to,
+      assigned_at: incident.assigned_at,
+      resolved_at: incident.resolved_at,
+      resolved_by: incident.resolved_by,
+      time_to_acknowledge: this.secondsBetween(incident.started_at, incident.acknowledged_at),
+      time_to_repair: this.secondsBetween(incident.started_at, incident.resolved_at),
+      notes: incident.notes,
+      onus: incident.members
+    };
+  }
+
+  /**
+   * Look up an incident that operators can still act on
+   */
+  getActiveIncident(id) {
+    const incident = this.incidents.get(id);
+
+    if (!incident) {
+      return null;
+    }
+
+    if (!this.isActive(incident)) {
+      throw new Error(`Incident ${id} is already resolved`);
+    }
+
+    return incident;
+  }
+
+  acknowledge(id, { by, note } = {}) {
+    const incident = this.getActiveIncident(id);
+    if (!incident) return null;
+
+    if (incident.acknowledged_at) {
+      throw new Error(`Incident ${id} is already acknowledged`);
+    }
+
+    const timestamp = new Date().toISOString();
+    incident.state = 'acknowledged';
+    incident.acknowledged_at = timestamp;
+    incident.acknowledged_by = by || null;
+    this.addTimelineEntry(incident, 'acknowledged', by, note, timestamp);
+
+    this.persist();
+    this.emit('incident_updated', this.summarize(incident));
+    return this.summarize(incident);
+  }
+
+  assign(id, { assignee, by, note } = {}) {
+    if (!assignee) {
+      throw new Error('assignee is required');
+    }
+
+    const incident = this.getActiveIncident(id);
+    if (!incident) return null;
+
+    const timestamp = new Date().toISOString();
+    incident.assigned_to = assignee;
+    incident.assigned_at = timestamp;
+    this.addTimelineEntry(incident, 'assigned', by, note ? `${assignee}: ${note}` : assignee, timestamp);
+
+    this.persist();
+    this.emit('incident_updated', this.summarize(incident));
+    return this.summarize(incident);
+  }
+
+  addNote(id, { by, text } = {}) {
+    if (!text) {
+      throw new Error('text is required');
+    }
+
+    const incident = this.incidents.get(id);
+    if (!incident) return null;
+
+    this.addTimelineEntry(incident, 'note', by, text);
+
+    this.persist();
+    this.emit('incident_updated', this.summarize(incident));
+    return this.summarize(incident);
+  }
+
+  resolve(id, { by, note } = {}) {
+    const incident = this.getActiveIncident(id);
+    if (!incident) return null;
+
+    this.closeIncident(incident, by || null, note, new Date().toISOString());
+    return this.summarize(incident);
+  }
+
+  /**
+   * Parse the from / to filters of getMetrics() into timestamps (null when
+   * not set); throws on invalid dates
+   */
+  parseMetricsFilters(filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid date range. Use ISO 8601 dates for from/to');
+    }
+
+    return { from, to };
+  }
+
+  /**
+   * Mean time to acknowledge / repair for incidents started in a period
+   */
+  getMetrics(filters = {}) {
+    const { from, to } = this.parseMetricsFilters(filters);
+
+    const average = values => values.length ?
+      Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) :
+      null;
+
+    const summarizeGroup = incidents => {
+      const summaries = incidents.map(incident => this.summarize(incident));
+      const ttas = summaries.map(i => i.time_to_acknowledge).filter(value => value !== null);
+      const ttrs = summaries.map(i => i.time_to_repair).filter(value => value !== null);
+
+      return {
+        count: summaries.length,
+        open: summaries.filter(i => i.active).length,
+        acknowledged: ttas.length,
+        resolved: ttrs.length,
+        mtta_seconds: average(ttas),
+        mttr_seconds: average(ttrs)
+      };
+    };
+
+    const incidents = [...this.incidents.values()].filter(incident => {
+      const started = new Date(incident.started_at).getTime();
+      return (from === null || started >= from) && (to === null || started <= to);
+    });
+
+    const byLevel = {};
+    ['olt', 'pon_port', 'odb', 'onu'].forEach(level => {
+      byLevel[level] = summarizeGroup(incidents.filter(incident => incident.level === level));
+    });
+
+    return {
+      ...summarizeGroup(incidents),
+      by_level: byLevel
+    };
+  }
+
+  /**
+   * List incidents, newest first
+   */
+  getIncidents(filters = {}) {
+    let incidents = [...this.incidents.values()];
+
+    if (filters.active !== undefined) {
+      const active = filters.active === true || filters.active === 'true';
+      incidents = incidents.filter(incident => this.isActive(incident) === active);
+    }
+
+    if (filters.state) {
+      incidents = incidents.filter(incident => incident.state === filters.state);
+    }
+
+    if (filters.level) {
+      incidents = incidents.filter(incident => incident.level === filters.level);
+    }
+
+    return incidents
+      .sort((a, b) => new Date(b.started_at) - new Date(a.started_at))
+      .map(incident => this.summarize(incident));
+  }
+
+  getIncident(id) {
+    const incident = this.incidents.get(id);
+    return incident ? this.summarize(incident) : null;
+  }
+
+  /**
+   * Drop the oldest resolved incidents beyond maxResolved
+   */
+  pruneResolved() {
+    const resolved = [...this.incidents.values()]
+      .filter(incident => !this.isActive(incident))
+      .sort((a, b) => new Date(a.resolved_at) - new Date(b.resolved_at));
+
+    resolved.slice(0, Math.max(resolved.length - this.maxResolved, 0)).forEach(incident => {
+      this.incidents.delete(incident.id);
+    });
+  }
+}
+
+module.exports = IncidentService;
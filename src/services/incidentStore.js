@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * JSON file persistence for incidents.
+ *
+ * Incidents change state after they are created, so unlike the status
+ * history they are not appended: the whole list is rewritten through a
+ * temporary file and renamed, which keeps the file intact on crashes.
+ */
+class IncidentStore {
+  constructor(config) {
+    this.file = config.file;
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    try {
+      const incidents = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      logger.info(`Loaded ${incidents.length} incidents from ${this.file}`);
+      return incidents;
+    } catch (error) {
+      logger.error(`Failed to load incidents from ${this.file}:`, error);
+      return [];
+    }
+  }
+
+  save(incidents) {
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(incidents, null, 2));
+      fs.renameSync(tmpFile, this.file);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save incidents to ${this.file}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = IncidentStore;
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const logger = require('../utils/logger');
+
+const FORMAT = 1;
+const FILE_PATTERN = /^inventory-v(\d+)-(.+)\.json\.gz$/;
+
+/**
+ * On-disk trail of full ONU inventory fetches.
+ *
+ * Every successful get_all_onus_details without filters is written as
+ * <dir>/inventory-v<version>-<timestamp>.json.gz, with versions counting up
+ * across restarts. The newest snapshot warms the cache on startup so a
+ * restart or deploy costs no details quota; older ones are kept (up to
+ * maxSnapshots) as a history of the inventory.
+ */
+class InventorySnapshotStore {
+  constructor(config) {
+    this.dir = config.dir;
+    this.maxSnapshots = config.maxSnapshots || 500;
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const latest = this.list()[0];
+    this.version = latest ? latest.version : 0;
+  }
+
+  /**
+   * Snapshot files, newest first: [{ version, fetched_at, file, size }]
+   */
+  list() {
+    return fs.readdirSync(this.dir)
+      .map(file => {
+        const match = file.match(FILE_PATTERN);
+        return match ? {
+          version: parseInt(match[1]),
+          fetched_at: match[2].replace(/T(\d+)-(\d+)-(\d+)-(\d+)Z$/, 'T$1:$2:$3.$4Z'),
+          file
+        } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.version - a.version)
+      .map(entry => ({ ...entry, size: fs.statSync(path.join(this.dir, entry.file)).size }));
+  }
+
+  /**
+   * Write a snapshot ({ onus, fetched_at }) and return its version
+   */
+  save(snapshot) {
+    const version = this.version + 1;
+    const stamp = new Date(snapshot.fetched_at).toISOString().replace(/[:.]/g, '-');
+    const file = path.join(this.dir, `inventory-v${String(version).padStart(6, '0')}-${stamp}.json.gz`);
+    const tmpFile = `${file}.tmp`;
+
+    try {
+      fs.writeFileSync(tmpFile, zlib.gzipSync(JSON.stringify({
+        format: FORMAT,
+        version,
+        fetched_at: snapshot.fetched_at,
+        count: snapshot.onus.length,
+        onus: snapshot.onus
+      })));
+      fs.renameSync(tmpFile, file);
+      this.version = version;
+    } catch (error) {
+      logger.error('Failed to persist inventory snapshot:', error);
+      return null;
+    }
+
+    logger.info(`Inventory snapshot v${version} saved (${snapshot.onus.length} ONUs)`);
+    this.prune();
+
+    return version;
+  }
+
+  /**
+   * Read one snapshot by version: { format, version, fetched_at, count, onus } or null
+   */
+  load(version) {
+    const entry = this.list().find(item => item.version === parseInt(version));
+    return entry ? this.read(entry.file) : null;
+  }
+
+  /**
+   * Newest readable snapshot, skipping damaged files
+   */
+  latest() {
+    for (const entry of this.list()) {
+      const snapshot = this.read(entry.file);
+      if (snapshot) {
+        return snapshot;
+      }
+    }
+
+    return null;
+  }
+
+  read(file) {
+    try {
+      const snapshot = JSON.parse(zlib.gunzipSync(fs.readFileSync(path.join(this.dir, file))).toString('utf8'));
+
+      if (snapshot.format !== FORMAT || !Array.isArray(snapshot.onus)) {
+        throw new Error(`unsupported snapshot format ${snapshot.format}`);
+      }
+
+      return snapshot;
+    } catch (error) {
+      logger.warn(`Ignoring unreadable inventory snapshot ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Keep only the newest maxSnapshots files. Failures are logged only:
+   * the new snapshot is already saved.
+   */
+  prune() {
+    try {
+      this.list().slice(this.maxSnapshots).forEach(entry => {
+        try {
+          fs.unlinkSync(path.join(this.dir, entry.file));
+        } catch (error) {
+          logger.warn(`Failed to remove old inventory snapshot ${entry.file}: ${error.message}`);
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to prune inventory snapshots:', error);
+    }
+  }
+}
+
+module.exports = InventorySnapshotStore;
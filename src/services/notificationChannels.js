@@ -0,0 +1,96 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/**
+ * Delivery channels for NotificationService.
+ *
+ * A channel only needs a `name` and an async `send(alert)`; anything with
+ * that shape can be passed to NotificationService.registerChannel().
+ */
+
+class WebhookChannel {
+  constructor(config) {
+    this.name = 'webhook';
+    this.url = config.url;
+    this.client = axios.create({
+      timeout: config.timeout || 10000,
+      headers: { 'Content-Type': 'application/json', ...(config.headers || {}) }
+    });
+  }
+
+  async send(alert) {
+    await this.client.post(this.url, alert);
+  }
+}
+
+class TelegramChannel {
+  constructor(config) {
+    this.name = 'telegram';
+    this.chatId = config.chatId;
+    this.url = `${config.apiBase.replace(/\/$/, '')}/bot${config.botToken}/sendMessage`;
+    this.client = axios.create({ timeout: config.timeout || 10000 });
+  }
+
+  async send(alert) {
+    const response = await this.client.post(this.url, {
+      chat_id: this.chatId,
+      text: `${alert.title}\n\n${alert.message}`,
+      disable_web_page_preview: true
+    });
+
+    if (response.data && response.data.ok === false) {
+      throw new Error(`Telegram error: ${response.data.description}`);
+    }
+  }
+}
+
+class EmailChannel {
+  constructor(config, transport = null) {
+    this.name = 'email';
+    this.from = config.from;
+    this.to = config.to;
+    this.transport = transport || nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined
+    });
+  }
+
+  async send(alert) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: this.to,
+      subject: alert.title,
+      text: alert.message
+    });
+  }
+}
+
+/**
+ * Build the channels that have enough configuration to deliver
+ */
+function createChannels(config) {
+  const channels = [];
+
+  if (config.webhook.url) {
+    channels.push(new WebhookChannel(config.webhook));
+  }
+
+  if (config.telegram.botToken && config.telegram.chatId) {
+    channels.push(new TelegramChannel(config.telegram));
+  }
+
+  if (config.smtp.host && config.smtp.to) {
+    channels.push(new EmailChannel(config.smtp));
+  }
+
+  return channels;
+}
+
+module.exports = {
+  WebhookChannel,
+  TelegramChannel,
+  EmailChannel,
+  createChannels
+};
@@ -0,0 +1,349 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+
+const DEFAULT_EVENTS = ['incident_opened', 'incident_resolved'];
+const LEVEL_RANK = { onu: 0, odb: 1, pon_port: 2, olt: 3 };
+const MAX_DELIVERIES = 100;
+
+/**
+ * Sends alerts for incidents and status changes to pluggable channels.
+ *
+ * Rules decide what is sent where. Each rule can filter on event, status,
+ * zone, OLT, ODB and minimum affected ONU count, restrict itself to some
+ * channels and define quiet hours ("22:00-06:00") during which nothing is
+ * sent. Rules come from a JSON file; without one a single default rule is
+ * built from the environment.
+ *
+ * Rule events:
+ * - 'incident_opened'   first time an incident matches the rule, and again
+ *                       when it escalates to a higher fault level
+ * - 'incident_resolved' only for incidents the rule alerted on
+ * - 'status_change'     every individual ONU transition
+ * - 'signal_degraded'   an Online ONU's RX power crossed a worse threshold
+ */
+class NotificationService {
+  constructor(onuService, incidentService, config, channels = []) {
+    this.config = config;
+    this.channels = new Map();
+    this.rules = this.loadRules();
+    // incident ID -> Map(rule name -> level last alerted)
+    this.notified = new Map();
+    this.deliveries = [];
+
+    channels.forEach(channel => this.registerChannel(channel));
+
+    if (incidentService) {
+      ['incident_opened', 'incident_updated', 'incident_resolved'].forEach(name => {
+        incidentService.on(name, incident => this.handleIncident(incident, name));
+      });
+    }
+
+    if (onuService) {
+      onuService.on('status_change', event => this.handleStatusChange(event));
+      onuService.on('signal_degraded', event => this.handleSignalDegraded(event));
+    }
+  }
+
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+    logger.info(`Notification channel registered: ${channel.name}`);
+  }
+
+  loadRules() {
+    const file = this.config.rulesFile;
+
+    try {
+      if (file && fs.existsSync(file)) {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        const rules = (Array.isArray(parsed) ? parsed : parsed.rules).map((rule, index) =>
+          this.normalizeRule(rule, index)
+        );
+
+        logger.info(`Loaded ${rules.length} notification rules from ${file}`);
+        return rules;
+      }
+    } catch (error) {
+      logger.error(`Failed to load notification rules from ${file}, using default rule:`, error);
+    }
+
+    const defaultRule = this.config.defaultRule;
+
+    try {
+      return [this.normalizeRule(defaultRule, 0)];
+    } catch (error) {
+      logger.error(`Invalid NOTIFY_QUIET_HOURS, default rule has no quiet hours: ${error.message}`);
+      return [this.normalizeRule({ ...defaultRule, quiet_hours: null }, 0)];
+    }
+  }
+
+  normalizeRule(rule, index) {
+    const list = value => (value && value.length ? value.map(String) : null);
+
+    return {
+      name: rule.name || `rule-${index + 1}`,
+      events: list(rule.events) || DEFAULT_EVENTS,
+      channels: list(rule.channels),
+      statuses: list(rule.statuses),
+      zones: list(rule.zones),
+      olt_ids: list(rule.olt_ids),
+      odbs: list(rule.odbs),
+      min_affected: parseInt(rule.min_affected) || 1,
+      quiet_hours: rule.quiet_hours ? this.parseQuietHours(rule.quiet_hours) : null
+    };
+  }
+
+  /**
+   * Parse "HH:MM-HH:MM" into minutes since midnight
+   */
+  parseQuietHours(value) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value);
+
+    if (!match) {
+      throw new Error(`Invalid quiet_hours "${value}". Use HH:MM-HH:MM`);
+    }
+
+    return {
+      label: value,
+      start: parseInt(match[1]) * 60 + parseInt(match[2]),
+      end: parseInt(match[3]) * 60 + parseInt(match[4])
+    };
+  }
+
+  isQuietTime(rule, date = new Date()) {
+    if (!rule.quiet_hours) return false;
+
+    const { start, end } = rule.quiet_hours;
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    // Ranges like 22:00-06:00 wrap around midnight
+    return start <= end ?
+      minutes >= start && minutes < end :
+      minutes >= start || minutes < end;
+  }
+
+  matches(rule, alert, eventName) {
+    const overlaps = (allowed, values) => !allowed || values.some(value => allowed.includes(String(value)));
+
+    return rule.events.includes(eventName) &&
+      (!alert.statuses.length || overlaps(rule.statuses, alert.statuses)) &&
+      overlaps(rule.zones, alert.zones) &&
+      overlaps(rule.olt_ids, alert.olt_ids) &&
+      overlaps(rule.odbs, alert.odbs) &&
+      alert.affected_count >= rule.min_affected;
+  }
+
+  handleIncident(incident, eventName) {
+    const sent = this.notified.get(incident.id) || new Map();
+
+    if (eventName === 'incident_resolved') {
+      this.notified.delete(incident.id);
+      const alert = this.buildIncidentAlert(incident, 'incident_resolved');
+      const rules = this.rules.filter(rule =>
+        sent.has(rule.name) && rule.events.includes('incident_resolved')
+      );
+      return this.dispatch(rules.map(rule => ({ rule, alert })));
+    }
+
+    const opened = this.buildIncidentAlert(incident, 'incident_opened');
+    const escalated = this.buildIncidentAlert(incident, 'incident_escalated');
+
+    const targets = this.rules
+      .filter(rule => {
+        if (!this.matches(rule, opened, 'incident_opened')) return false;
+        const level = sent.get(rule.name);
+        return level === undefined || LEVEL_RANK[incident.level] > LEVEL_RANK[level];
+      })
+      .map(rule => ({ rule, alert: sent.has(rule.name) ? escalated : opened }));
+
+    return this.dispatch(targets, rule => {
+      sent.set(rule.name, incident.level);
+      this.notified.set(incident.id, sent);
+    });
+  }
+
+  handleStatusChange(event) {
+    const alert = {
+      event: 'status_change',
+      title: `ONU ${event.name}: ${event.old_status} -> ${event.new_status}`,
+      message: [
+        `ONU: ${event.name} (${event.unique_external_id})`,
+        `Status: ${event.old_status} -> ${event.new_status}`,
+        `OLT: ${event.olt_name || event.olt_id} PON ${event.board}/${event.port}`,
+        `ODB: ${event.odb_name}`,
+        `Zone: ${event.zone_name || '-'}`,
+        `Time: ${event.timestamp}`
+      ].join('\n'),
+      statuses: [event.new_status],
+      zones: event.zone_name ? [event.zone_name] : [],
+      olt_ids: event.olt_id ? [event.olt_id] : [],
+      odbs: event.odb_name ? [event.odb_name] : [],
+      affected_count: 1,
+      timestamp: event.timestamp,
+      onu: event
+    };
+
+    const rules = this.rules.filter(rule => this.matches(rule, alert, 'status_change'));
+    return this.dispatch(rules.map(rule => ({ rule, alert })));
+  }
+
+  handleSignalDegraded(event) {
+    const alert = {
+      event: 'signal_degraded',
+      title: `ONU ${event.name}: signal ${event.new_level} (${event.rx_power} dBm)`,
+      message: [
+        `ONU: ${event.name} (${event.unique_external_id})`,
+        `Signal: ${event.old_level} -> ${event.new_level}`,
+        `RX power: ${event.old_rx_power} -> ${event.rx_power} dBm`,
+        `OLT: ${event.olt_name || event.olt_id} PON ${event.board}/${event.port}`,
+        `ODB: ${event.odb_name}`,
+        `Zone: ${event.zone_name || '-'}`,
+        `Time: ${event.timestamp}`
+      ].join('\n'),
+      statuses: [],
+      zones: event.zone_name ? [event.zone_name] : [],
+      olt_ids: event.olt_id ? [event.olt_id] : [],
+      odbs: event.odb_name ? [event.odb_name] : [],
+      affected_count: 1,
+      timestamp: event.timestamp,
+      onu: event
+    };
+
+    const rules = this.rules.filter(rule => this.matches(rule, alert, 'signal_degraded'));
+    return this.dispatch(rules.map(rule => ({ rule, alert })));
+  }
+
+  buildIncidentAlert(incident, event) {
+    const unique = values => [...new Set(values.filter(Boolean))];
+    const statuses = Object.keys(incident.status_counts);
+    const verb = {
+      incident_opened: 'Incident opened',
+      incident_escalated: 'Incident escalated',
+      incident_resolved: 'Incident resolved'
+    }[event];
+
+    const lines = [
+      `Level: ${incident.level}`,
+      `Affected: ${incident.down_count}/${incident.affected_count} ONUs down`,
+      statuses.length ?
+        `Status: ${statuses.map(status => `${status} ${incident.status_counts[status]}`).join(', ')}` :
+        null,
+      `Started: ${incident.started_at}`,
+      incident.resolved_at ? `Resolved: ${incident.resolved_at} by ${incident.resolved_by || '-'}` : null,
+      `Incident: ${incident.id}`
+    ];
+
+    return {
+      event,
+      title: `${verb}: ${incident.description}`,
+      message: lines.filter(Boolean).join('\n'),
+      statuses,
+      zones: unique(incident.onus.map(onu => onu.zone_name)),
+      olt_ids: unique([incident.scope.olt_id]),
+      odbs: unique(incident.onus.map(onu => onu.odb_name)),
+      affected_count: incident.affected_count,
+      timestamp: new Date().toISOString(),
+      incident: {
+        id: incident.id,
+        level: incident.level,
+        description: incident.description,
+        state: incident.state,
+        affected_count: incident.affected_count,
+        down_count: incident.down_count,
+        started_at: incident.started_at,
+        resolved_at: incident.resolved_at
+      }
+    };
+  }
+
+  /**
+   * Deliver to each channel at most once per alert, honouring quiet hours.
+   * onSent is called for every rule that delivered to at least one channel.
+   */
+  async dispatch(targets, onSent = null) {
+    const deliveries = new Map();
+
+    targets.forEach(({ rule, alert }) => {
+      if (this.isQuietTime(rule)) {
+        this.recordDelivery({ rule: rule.name, channel: null, title: alert.title, status: 'suppressed' });
+        return;
+      }
+
+      const channelNames = rule.channels || [...this.channels.keys()];
+      let delivered = false;
+
+      channelNames.forEach(name => {
+        const channel = this.channels.get(name);
+        if (!channel || deliveries.has(name)) return;
+        deliveries.set(name, { rule, alert, channel });
+        delivered = true;
+      });
+
+      if (delivered && onSent) {
+        onSent(rule);
+      }
+    });
+
+    return Promise.all([...deliveries.values()].map(delivery => this.deliver(delivery)));
+  }
+
+  async deliver({ rule, alert, channel }) {
+    try {
+      // With several accounts, say which branch the alert is about
+      await channel.send(this.config.label ? { ...alert, title: `[${this.config.label}] ${alert.title}` } : alert);
+      logger.info(`Notification sent via ${channel.name}: ${alert.title}`);
+      return this.recordDelivery({ rule: rule.name, channel: channel.name, title: alert.title, status: 'sent' });
+    } catch (error) {
+      logger.error(`Notification via ${channel.name} failed: ${error.message}`);
+      return this.recordDelivery({
+        rule: rule.name,
+        channel: channel.name,
+        title: alert.title,
+        status: 'failed',
+        error: error.message
+      });
+    }
+  }
+
+  recordDelivery(entry) {
+    const delivery = { at: new Date().toISOString(), ...entry };
+
+    this.deliveries.unshift(delivery);
+    if (this.deliveries.length > MAX_DELIVERIES) {
+      this.deliveries.pop();
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Send a test message to one channel, or all channels
+   */
+  async sendTest(channelName = null) {
+    if (channelName && !this.channels.has(channelName)) {
+      throw new Error(`Unknown notification channel: ${channelName}`);
+    }
+
+    const rule = { name: 'test', channels: channelName ? [channelName] : null, quiet_hours: null };
+    const alert = {
+      event: 'test',
+      title: 'ONU Monitoring test notification',
+      message: `Test notification sent at ${new Date().toISOString()}`,
+      timestamp: new Date().toISOString()
+    };
+
+    return this.dispatch([{ rule, alert }]);
+  }
+
+  getStatus() {
+    return {
+      channels: [...this.channels.keys()],
+      rules: this.rules.map(rule => ({
+        ...rule,
+        quiet_hours: rule.quiet_hours ? rule.quiet_hours.label : null
+      })),
+      deliveries: this.deliveries
+    };
+  }
+}
+
+module.exports = NotificationService;
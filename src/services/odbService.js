@@ -0,0 +1,146 @@
+const logger = require('../utils/logger');
+
+/**
+ * Registry of ODBs (optical distribution boxes) from SmartOLT.
+ *
+ * The full list is fetched once per TTL and normalized so callers get
+ * numeric coordinates and capacity regardless of how SmartOLT formats them.
+ */
+class OdbService {
+  constructor(apiService, cacheService, config, coordinateStore = null) {
+    this.api = apiService;
+    this.cache = cacheService;
+    this.config = config;
+    this.coordinateStore = coordinateStore;
+    this.lastKnown = null; // Registry of the last successful fetch, kept past the TTL
+  }
+
+  /**
+   * Normalize a raw SmartOLT ODB record
+   */
+  normalizeOdb(raw) {
+    const lat = raw.latitude ? parseFloat(raw.latitude) : null;
+    const lng = raw.longitude ? parseFloat(raw.longitude) : null;
+    const hasCoordinates = !!(lat && lng && !isNaN(lat) && !isNaN(lng));
+    const capacity = parseInt(raw.nr_of_ports || raw.ports || raw.capacity);
+
+    return {
+      id: raw.id !== undefined ? String(raw.id) : null,
+      name: raw.name || null,
+      latitude: hasCoordinates ? lat : null,
+      longitude: hasCoordinates ? lng : null,
+      has_coordinates: hasCoordinates,
+      capacity: isNaN(capacity) ? null : capacity,
+      zone_id: raw.zone_id !== undefined && raw.zone_id !== null ? String(raw.zone_id) : null,
+      zone_name: raw.zone_name || raw.zone || null
+    };
+  }
+
+  /**
+   * Overlay an imported coordinate correction, if any
+   */
+  applyCoordinates(odb) {
+    if (!odb || !this.coordinateStore || !this.coordinateStore.get('odb', odb.name)) {
+      return odb;
+    }
+
+    return { ...this.coordinateStore.apply('odb', odb.name, odb), has_coordinates: true };
+  }
+
+  /**
+   * Get all ODBs, optionally filtered by zone (name or ID)
+   */
+  async getOdbs(filters = {}) {
+    try {
+      const cacheKey = 'odbs_all';
+      let odbs = this.cache.get(cacheKey);
+
+      if (!odbs) {
+        logger.info('Fetching ODB registry from API');
+
+        try {
+          const response = await this.api.getOdbs();
+          const records = response.response || response.odbs;
+
+          if (!Array.isArray(records)) {
+            throw new Error('Invalid response from get_odbs');
+          }
+
+          odbs = records.map(raw => this.normalizeOdb(raw));
+          this.cache.set(cacheKey, odbs, this.config.cache.ttl.odbs);
+          this.lastKnown = odbs;
+
+          logger.info(`Retrieved ${odbs.length} ODBs`);
+        } catch (error) {
+          if (!this.lastKnown) {
+            throw error;
+          }
+
+          // SmartOLT is failing; the expired registry beats an empty map
+          logger.warn(`Serving last known ODB registry: ${error.message}`);
+          odbs = this.lastKnown;
+        }
+      }
+
+      odbs = odbs.map(odb => this.applyCoordinates(odb));
+
+      if (filters.zone) {
+        const zone = String(filters.zone);
+        return odbs.filter(odb => odb.zone_name === zone || odb.zone_id === zone);
+      }
+
+      return odbs;
+    } catch (error) {
+      logger.error('Error in getOdbs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single ODB by ID, preferring the cached registry
+   */
+  async getOdbById(odbId) {
+    try {
+      const id = String(odbId);
+      const cached = this.cache.get('odbs_all');
+
+      if (cached) {
+        const odb = cached.find(item => item.id === id);
+        if (odb) return this.applyCoordinates(odb);
+      }
+
+      const cacheKey = `odb_${id}`;
+      const cachedOdb = this.cache.get(cacheKey);
+      if (cachedOdb) {
+        return this.applyCoordinates(cachedOdb);
+      }
+
+      const response = await this.api.getOdbById(id);
+      const body = response.response || response.odb;
+      const raw = Array.isArray(body) ? body[0] : body;
+
+      // Missing record or an empty list: not found
+      if (!raw) {
+        return null;
+      }
+
+      const odb = this.normalizeOdb(raw);
+      this.cache.set(cacheKey, odb, this.config.cache.ttl.odbs);
+
+      return this.applyCoordinates(odb);
+    } catch (error) {
+      logger.error(`Error getting ODB ${odbId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an ODB by name; ONU records only reference ODBs by name
+   */
+  async getOdbByName(name) {
+    const odbs = await this.getOdbs();
+    return odbs.find(odb => odb.name === name) || null;
+  }
+}
+
+module.exports = OdbService;
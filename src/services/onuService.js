@@ -1,15 +1,44 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
-
-class OnuService {
-  constructor(apiService, cacheService, config) {
+const { PRIORITIES } = require('../utils/rateLimiter');
+
+const SIGNAL_LEVELS = ['unknown', 'ok', 'warning', 'critical'];
+const DEFAULT_SIGNAL_THRESHOLDS = { warning: -25, critical: -27 };
+const INVENTORY_CACHE_KEY = 'inventory';
+
+/**
+ * Emits:
+ * - 'status_change' (event) for every detected status transition
+ * - 'signal_degraded' (event) when an Online ONU's RX power level worsens
+ * - 'statistics' ({ ...counts, delta, fetched_at }) after each inventory refresh
+ * - 'inventory' (snapshot) after each inventory refresh
+ * - 'refresh_progress' (job summary) while a targeted status refresh runs
+ */
+class OnuService extends EventEmitter {
+  constructor(apiService, cacheService, config, historyStore = null, signalHistoryStore = null, coordinateStore = null,
+    snapshotStore = null) {
+    super();
     this.api = apiService;
     this.cache = cacheService;
     this.config = config;
+    this.historyStore = historyStore;
+    this.signalHistoryStore = signalHistoryStore;
+    this.coordinateStore = coordinateStore;
+    this.snapshotStore = snapshotStore;
     this.statusHistory = {
-      recentLos: [],
-      recentPowerFail: []
+      recentLos: historyStore ? historyStore.recent('LOS', 50) : [],
+      recentPowerFail: historyStore ? historyStore.recent('Power Fail', 50) : []
     };
     this.odbCache = new Map(); // Cache for ODB data
+    this.inventory = null; // Latest full inventory snapshot from the poller
+    this.inventoryRefresh = null; // Pending refreshInventory(): { promise, rank }
+    this.inventoryRefreshSeq = 0; // Order in which refreshes started
+    this.inventoryAppliedSeq = 0; // Newest refresh whose result was applied
+    this.inventoryError = null; // Last refreshInventory() failure
+    this.lastStatistics = null; // Status counts of the latest snapshot
+    this.refreshJobs = new Map(); // Targeted status refresh jobs by ID
+    this.refreshQueue = Promise.resolve(); // Runs refresh jobs one at a time
   }
 
   /**
@@ -47,6 +76,92 @@ class OnuService {
     return colors[status] || '#6c757d';
   }
 
+  /**
+   * Parse a SmartOLT signal value ("-23.45", "-23.45 dBm", number) into dBm
+   */
+  parseSignalDbm(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const match = /-?\d+(\.\d+)?/.exec(String(value));
+    return match ? parseFloat(match[0]) : null;
+  }
+
+  /**
+   * Classify RX power against the configured thresholds
+   */
+  classifySignal(rxPower) {
+    const thresholds = this.config.signal || DEFAULT_SIGNAL_THRESHOLDS;
+
+    if (rxPower === null) return 'unknown';
+    if (rxPower < thresholds.critical) return 'critical';
+    if (rxPower < thresholds.warning) return 'warning';
+    return 'ok';
+  }
+
+  /**
+   * Numeric RX power and signal level of an ONU.
+   * rx_power is what the ONU receives (1490nm), olt_rx_power what the OLT
+   * receives from it (1310nm); the level uses rx_power when available.
+   */
+  describeSignal(onuRx, oltRx) {
+    const rxPower = this.parseSignalDbm(onuRx);
+    const oltRxPower = this.parseSignalDbm(oltRx);
+
+    return {
+      rx_power: rxPower,
+      olt_rx_power: oltRxPower,
+      signal_level: this.classifySignal(rxPower !== null ? rxPower : oltRxPower)
+    };
+  }
+
+  /**
+   * Store a signal reading in the time-series store, if configured
+   */
+  recordSignal(onu, source, timestamp = new Date().toISOString()) {
+    if (!this.signalHistoryStore) return;
+
+    this.signalHistoryStore.record(onu.unique_external_id, {
+      timestamp,
+      rx_power: onu.rx_power,
+      olt_rx_power: onu.olt_rx_power,
+      source
+    });
+  }
+
+  /**
+   * Emit 'signal_degraded' when an Online ONU moved to a worse signal level
+   */
+  trackSignalChange(onu, previous) {
+    if (!previous || onu.status !== 'Online' || previous.status !== 'Online') return;
+
+    const oldRank = SIGNAL_LEVELS.indexOf(previous.signal_level);
+    const newRank = SIGNAL_LEVELS.indexOf(onu.signal_level);
+
+    // Ignore transitions to/from 'unknown' (missing readings)
+    if (oldRank <= 0 || newRank <= oldRank) return;
+
+    logger.warn(`Signal degraded: ${onu.unique_external_id} ${previous.signal_level} -> ${onu.signal_level} (${onu.rx_power} dBm)`);
+
+    this.emit('signal_degraded', {
+      unique_external_id: onu.unique_external_id,
+      name: onu.name || 'Unknown',
+      odb_name: onu.odb_name || 'Unknown',
+      olt_id: onu.olt_id,
+      olt_name: onu.olt_name,
+      zone_name: onu.zone_name,
+      board: onu.board,
+      port: onu.port,
+      onu: onu.onu,
+      old_level: previous.signal_level,
+      new_level: onu.signal_level,
+      old_rx_power: previous.rx_power,
+      rx_power: onu.rx_power,
+      olt_rx_power: onu.olt_rx_power,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Track status changes for history
    */
@@ -58,6 +173,9 @@ class OnuService {
       unique_external_id: onu.unique_external_id,
       name: onu.name || 'Unknown',
       odb_name: onu.odb_name || 'Unknown',
+      olt_id: onu.olt_id,
+      olt_name: onu.olt_name,
+      zone_name: onu.zone_name,
       board: onu.board,
       port: onu.port,
       onu: onu.onu,
@@ -66,6 +184,11 @@ class OnuService {
       timestamp
     };
 
+    // Persist every transition, including recoveries
+    if (this.historyStore) {
+      this.historyStore.append(event);
+    }
+
     // Track LOS events
     if (newStatus === 'LOS') {
       this.statusHistory.recentLos.unshift(event);
@@ -83,136 +206,364 @@ class OnuService {
     }
 
     logger.info(`Status change tracked: ${onu.unique_external_id} ${oldStatus} -> ${newStatus}`);
+
+    this.emit('status_change', {
+      ...event,
+      status_color: this.getStatusColor(newStatus)
+    });
   }
 
   /**
-   * Get all ONUs with their complete information
+   * Count ONUs per status
    */
-  async getAllOnusWithDetails(filters = {}) {
-    try {
-      const cacheKey = `all_onus_${JSON.stringify(filters)}`;
-      const cached = this.cache.get(cacheKey);
+  countStatuses(onus) {
+    const counts = { total: onus.length, online: 0, los: 0, power_fail: 0, offline: 0 };
+
+    onus.forEach(onu => {
+      switch (onu.status) {
+        case 'Online':
+          counts.online++;
+          break;
+        case 'LOS':
+          counts.los++;
+          break;
+        case 'Power Fail':
+          counts.power_fail++;
+          break;
+        default:
+          counts.offline++;
+      }
+    });
 
-      if (cached) {
-        logger.info('Returning cached ONU data');
-        return cached;
+    return counts;
+  }
+
+  /**
+   * Update status counts and emit them together with the change since
+   * the previous snapshot
+   */
+  publishStatistics(onus, fetchedAt) {
+    const counts = this.countStatuses(onus);
+    const previous = this.lastStatistics;
+    const delta = {};
+
+    Object.keys(counts).forEach(key => {
+      delta[key] = previous ? counts[key] - previous[key] : 0;
+    });
+
+    this.lastStatistics = { ...counts, fetched_at: fetchedAt };
+    this.emit('statistics', { ...this.lastStatistics, delta });
+  }
+
+  getLastStatistics() {
+    return this.lastStatistics;
+  }
+
+  /**
+   * Whether browser-facing reads are served from the poller's snapshot
+   */
+  isSnapshotMode() {
+    return !!(this.config.poller && this.config.poller.enabled);
+  }
+
+  /**
+   * When the details quota next allows a background refresh (null: never)
+   */
+  nextRefreshAt() {
+    const rateLimiter = this.api.rateLimiter;
+    return rateLimiter ? rateLimiter.nextCallTime('details', 'background') : new Date();
+  }
+
+  /**
+   * Age of the inventory every read is derived from:
+   * { stale, fetched_at, next_refresh_possible_at }. It is stale past the
+   * details TTL, or in poller mode also when the last refresh failed.
+   */
+  getFreshness() {
+    let fetchedAt = null;
+    let stale = false;
+
+    if (this.isSnapshotMode()) {
+      if (this.inventory) {
+        fetchedAt = this.inventory.fetched_at;
+        stale = !!this.inventoryError ||
+          Date.now() - Date.parse(fetchedAt) > this.config.cache.ttl.onuDetails * 1000;
+      }
+    } else {
+      const lastKnown = this.cache.getLastKnownGood(INVENTORY_CACHE_KEY);
+
+      if (lastKnown) {
+        fetchedAt = lastKnown.fetched_at;
+        stale = lastKnown.stale;
       }
+    }
+
+    const next = this.nextRefreshAt();
+
+    return {
+      stale,
+      fetched_at: fetchedAt,
+      next_refresh_possible_at: next ? next.toISOString() : null
+    };
+  }
+
+  /**
+   * Check that an ONU has usable GPS coordinates
+   */
+  hasValidCoordinates(onu) {
+    const lat = onu.latitude ? parseFloat(onu.latitude) : null;
+    const lng = onu.longitude ? parseFloat(onu.longitude) : null;
+    return lat && lng && !isNaN(lat) && !isNaN(lng) && lat !== 0 && lng !== 0;
+  }
+
+  /**
+   * Overlay imported coordinate corrections. Applied when reading, so a
+   * new import takes effect without refetching the inventory.
+   */
+  applyCoordinates(onus) {
+    if (!this.coordinateStore || this.coordinateStore.count() === 0) {
+      return onus;
+    }
+
+    return onus.map(onu => this.coordinateStore.apply('onu', onu.unique_external_id, onu));
+  }
+
+  /**
+   * Apply olt_id / board / port / zone / odb filters locally
+   */
+  filterOnus(onus, filters = {}) {
+    const matches = (value, expected) =>
+      expected === undefined || expected === null || expected === '' || String(value) === String(expected);
+
+    return onus.filter(onu =>
+      matches(onu.olt_id, filters.olt_id) &&
+      matches(onu.board, filters.board) &&
+      matches(onu.port, filters.port) &&
+      matches(onu.zone_name, filters.zone) &&
+      matches(onu.odb_name, filters.odb)
+    );
+  }
 
-      logger.info('Fetching fresh ONU data from API');
+  /**
+   * Fetch the full, unfiltered inventory and store it as the latest snapshot.
+   *
+   * Status changes are detected against the previous snapshot rather than
+   * the short-lived status cache, so transitions between polls are never
+   * missed. Concurrent callers share the pending refresh unless it runs at
+   * a lower priority than theirs (a background refresh can be queued for
+   * long or dropped); then they start their own.
+   */
+  async refreshInventory(options = { priority: 'background' }) {
+    const rank = PRIORITIES.includes(options.priority) ? PRIORITIES.indexOf(options.priority) : PRIORITIES.indexOf('normal');
+
+    if (this.inventoryRefresh && this.inventoryRefresh.rank <= rank) {
+      return this.inventoryRefresh.promise;
+    }
 
-      // Get all ONUs details (already includes status in response)
-      const detailsResponse = await this.api.getAllOnusDetails(filters);
+    const seq = ++this.inventoryRefreshSeq;
+    const refresh = { rank };
+
+    refresh.promise = (async () => {
+      logger.info('Refreshing full ONU inventory from API');
+
+      const detailsResponse = await this.api.getAllOnusDetails({}, options);
 
       if (!detailsResponse.status || !detailsResponse.onus) {
         throw new Error('Invalid response from get_all_onus_details');
       }
 
-      const onus = detailsResponse.onus;
-      logger.info(`Retrieved ${onus.length} ONUs`);
+      // A refresh started later already answered; don't roll back to this one
+      if (seq < this.inventoryAppliedSeq) {
+        return this.inventory;
+      }
+      this.inventoryAppliedSeq = seq;
+
+      const previousOnus = new Map(
+        (this.inventory ? this.inventory.onus : []).map(onu => [onu.unique_external_id, onu])
+      );
 
-      // Process each ONU
-      const processedOnus = onus.map(onu => {
-        // Status is already in the response
+      const onus = detailsResponse.onus.map(onu => {
         const rawStatus = onu.status;
         const status = this.determineOnuStatus(rawStatus);
-        const color = this.getStatusColor(status);
-
-        // Check cache for old status to track changes
-        const oldStatusKey = `status_${onu.unique_external_id}`;
-        const oldStatus = this.cache.get(oldStatusKey);
+        const statusKey = `status_${onu.unique_external_id}`;
+        const previous = previousOnus.get(onu.unique_external_id);
+        const oldStatus = (previous && previous.status) || this.cache.get(statusKey);
 
         if (oldStatus && oldStatus !== status) {
           this.trackStatusChange(onu, status, oldStatus);
         }
 
-        // Cache current status
-        this.cache.set(oldStatusKey, status, this.config.cache.ttl.onuStatus);
+        this.cache.set(statusKey, status, this.config.cache.ttl.onuStatus);
 
-        return {
+        const processed = {
           ...onu,
           status,
-          status_color: color,
+          status_color: this.getStatusColor(status),
           raw_status: rawStatus,
-          // Ensure latitude and longitude are numbers
+          ...this.describeSignal(onu.signal_1490, onu.signal_1310),
           latitude: onu.latitude ? parseFloat(onu.latitude) : null,
           longitude: onu.longitude ? parseFloat(onu.longitude) : null
         };
+
+        this.trackSignalChange(processed, previous);
+
+        return processed;
       });
 
-      // Cache the result
-      this.cache.set(cacheKey, processedOnus, this.config.cache.ttl.onuDetails);
+      this.inventory = {
+        onus,
+        fetched_at: new Date().toISOString()
+      };
+
+      // Readings of offline ONUs are stale, only keep live ones
+      onus
+        .filter(onu => onu.status === 'Online')
+        .forEach(onu => this.recordSignal(onu, 'poll', this.inventory.fetched_at));
+
+      // On-demand reads use the cached copy while it is within the TTL
+      this.cache.remember(INVENTORY_CACHE_KEY, this.inventory, this.config.cache.ttl.onuDetails);
+
+      logger.info(`Inventory snapshot updated with ${onus.length} ONUs`);
+
+      this.saveSnapshot(this.inventory);
+      this.publishStatistics(onus, this.inventory.fetched_at);
+      this.emit('inventory', this.inventory);
 
-      return processedOnus;
+      return this.inventory;
+    })();
+
+    this.inventoryRefresh = refresh;
+
+    try {
+      const snapshot = await refresh.promise;
+      this.inventoryError = null;
+      return snapshot;
     } catch (error) {
-      logger.error('Error in getAllOnusWithDetails:', error);
+      if (seq >= this.inventoryAppliedSeq) {
+        this.inventoryError = error.message;
+      }
       throw error;
+    } finally {
+      if (this.inventoryRefresh === refresh) {
+        this.inventoryRefresh = null;
+      }
     }
   }
 
   /**
-   * Get ONUs with GPS coordinates
+   * Persist a full inventory fetch to disk
    */
-  async getOnusWithGps(filters = {}) {
-    try {
-      const cacheKey = `onus_gps_${JSON.stringify(filters)}`;
-      const cached = this.cache.get(cacheKey);
+  saveSnapshot(snapshot) {
+    if (this.snapshotStore) {
+      this.snapshotStore.save(snapshot);
+    }
+  }
 
-      if (cached) {
-        logger.info('Returning cached GPS data');
-        return cached;
-      }
+  /**
+   * Snapshots kept on disk, newest first
+   */
+  listSnapshots() {
+    return this.snapshotStore ? this.snapshotStore.list() : [];
+  }
 
-      logger.info('Fetching fresh data from API (using get_all_onus_details)');
+  /**
+   * One snapshot from disk by version, or null
+   */
+  getSnapshot(version) {
+    return this.snapshotStore ? this.snapshotStore.load(version) : null;
+  }
 
-      // Use get_all_onus_details instead of GPS endpoint to avoid rate limiting
-      // This endpoint includes coordinates, status, and all other info
-      const detailsResponse = await this.api.getAllOnusDetails(filters);
+  /**
+   * Load the newest inventory snapshot from disk so a restart costs no
+   * details call. Returns the restored snapshot.
+   */
+  restoreInventory() {
+    const saved = this.snapshotStore ? this.snapshotStore.latest() : null;
 
-      if (!detailsResponse.status || !detailsResponse.onus) {
-        throw new Error('Invalid response from get_all_onus_details');
+    if (!saved) {
+      return null;
+    }
+
+    this.inventory = { onus: saved.onus, fetched_at: saved.fetched_at };
+    this.lastStatistics = { ...this.countStatuses(saved.onus), fetched_at: saved.fetched_at };
+    this.cache.remember(INVENTORY_CACHE_KEY, this.inventory, this.config.cache.ttl.onuDetails, Date.parse(saved.fetched_at));
+
+    logger.info(`Restored inventory snapshot v${saved.version} from ${saved.fetched_at} (${saved.onus.length} ONUs)`);
+    return saved;
+  }
+
+  /**
+   * Get the latest inventory snapshot, waiting for the first poll if needed
+   */
+  async getInventorySnapshot() {
+    if (this.inventory) {
+      return this.inventory;
+    }
+
+    if (this.inventoryRefresh) {
+      return this.inventoryRefresh.promise;
+    }
+
+    if (this.inventoryError) {
+      throw new Error(`ONU inventory is not available: ${this.inventoryError}`);
+    }
+
+    throw new Error('ONU inventory is not loaded yet. The background poller will fetch it shortly.');
+  }
+
+  /**
+   * The full inventory every filtered view is derived from: the poller's
+   * snapshot, or in on-demand mode the cached unfiltered fetch (an expired
+   * copy is served while a background refresh runs)
+   */
+  async getInventory() {
+    if (this.isSnapshotMode()) {
+      return this.getInventorySnapshot();
+    }
+
+    const cached = this.cache.get(INVENTORY_CACHE_KEY);
+
+    if (cached) {
+      return cached;
+    }
+
+    const lastKnown = this.cache.getLastKnownGood(INVENTORY_CACHE_KEY);
+
+    if (lastKnown) {
+      const next = this.nextRefreshAt();
+
+      if (next && next.getTime() <= Date.now()) {
+        this.cache.revalidate(INVENTORY_CACHE_KEY, () => this.refreshInventory());
       }
 
-      const onus = detailsResponse.onus;
-      logger.info(`Retrieved ${onus.length} ONUs`);
-
-      // Filter only ONUs with valid coordinates and process them
-      const onusWithGps = onus
-        .filter(onu => {
-          const lat = onu.latitude ? parseFloat(onu.latitude) : null;
-          const lng = onu.longitude ? parseFloat(onu.longitude) : null;
-          return lat && lng && !isNaN(lat) && !isNaN(lng) && lat !== 0 && lng !== 0;
-        })
-        .map(onu => {
-          const rawStatus = onu.status;
-          const status = this.determineOnuStatus(rawStatus);
-          const color = this.getStatusColor(status);
-
-          // Track status changes
-          const oldStatusKey = `status_${onu.unique_external_id}`;
-          const oldStatus = this.cache.get(oldStatusKey);
-
-          if (oldStatus && oldStatus !== status) {
-            this.trackStatusChange(onu, status, oldStatus);
-          }
-
-          this.cache.set(oldStatusKey, status, this.config.cache.ttl.onuStatus);
-
-          return {
-            ...onu,
-            status,
-            status_color: color,
-            raw_status: rawStatus,
-            latitude: parseFloat(onu.latitude),
-            longitude: parseFloat(onu.longitude)
-          };
-        });
+      logger.info(`Serving inventory fetched at ${lastKnown.fetched_at} past its TTL`);
+      return lastKnown.value;
+    }
 
-      logger.info(`Filtered to ${onusWithGps.length} ONUs with valid GPS coordinates`);
+    return this.refreshInventory({ priority: 'normal' });
+  }
 
-      // Cache the result
-      this.cache.set(cacheKey, onusWithGps, this.config.cache.ttl.gps);
+  /**
+   * Get all ONUs with their complete information
+   */
+  async getAllOnusWithDetails(filters = {}) {
+    try {
+      const inventory = await this.getInventory();
+      return this.applyCoordinates(this.filterOnus(inventory.onus, filters));
+    } catch (error) {
+      logger.error('Error in getAllOnusWithDetails:', error);
+      throw error;
+    }
+  }
 
-      return onusWithGps;
+  /**
+   * Get ONUs with GPS coordinates
+   */
+  async getOnusWithGps(filters = {}) {
+    try {
+      const inventory = await this.getInventory();
+      return this.applyCoordinates(this.filterOnus(inventory.onus, filters))
+        .filter(onu => this.hasValidCoordinates(onu));
     } catch (error) {
       logger.error('Error in getOnusWithGps:', error);
       throw error;
@@ -228,12 +579,12 @@ class OnuService {
       const cached = this.cache.get(cacheKey);
 
       if (cached) {
-        return cached;
+        return this.applyCoordinates([cached])[0];
       }
 
       const [detailsResponse, signalResponse] = await Promise.all([
-        this.api.getOnuDetails(externalId),
-        this.api.getOnuSignal(externalId).catch(() => ({ status: false }))
+        this.api.getOnuDetails(externalId, { priority: 'interactive' }),
+        this.api.getOnuSignal(externalId, { priority: 'interactive' }).catch(() => ({ status: false }))
       ]);
 
       if (!detailsResponse.status) {
@@ -245,23 +596,178 @@ class OnuService {
       const status = this.determineOnuStatus(rawStatus);
       const color = this.getStatusColor(status);
 
+      const signal = signalResponse.status ? signalResponse : null;
       const result = {
         ...onu,
         status,
         status_color: color,
         raw_status: rawStatus,
-        signal: signalResponse.status ? signalResponse : null
+        ...(signal ?
+          this.describeSignal(signal.onu_signal_1490, signal.onu_signal_1310) :
+          this.describeSignal(onu.signal_1490, onu.signal_1310)),
+        signal
       };
 
+      if (signal) {
+        this.recordSignal(result, 'detail');
+      }
+
       this.cache.set(cacheKey, result, this.config.cache.ttl.onuStatus);
 
-      return result;
+      return this.applyCoordinates([result])[0];
     } catch (error) {
+      const known = this.inventory && this.inventory.onus.find(onu => onu.unique_external_id === externalId);
+
+      // SmartOLT is failing; fall back to the ONU's record in the last snapshot
+      if (known && this.api.isDegraded && this.api.isDegraded()) {
+        logger.warn(`Serving ONU ${externalId} from the inventory snapshot: ${error.message}`);
+        return this.applyCoordinates([{ ...known, signal: null, stale: true }])[0];
+      }
+
       logger.error(`Error getting ONU ${externalId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Queue a targeted status refresh for specific ONUs.
+   *
+   * Uses the per-ONU get_onu_status endpoint, which is not counted against
+   * the hourly details quota. Jobs run one after another so the API delay
+   * applies across all of them. Returns the job immediately; progress is
+   * emitted as 'refresh_progress' and can be polled with getRefreshJob().
+   */
+  refreshOnuStatuses(externalIds) {
+    const uniqueIds = [...new Set(externalIds.map(id => String(id).trim()).filter(Boolean))];
+    const maxBatch = (this.config.refresh && this.config.refresh.maxBatch) || 100;
+
+    if (uniqueIds.length === 0) {
+      throw new Error('No ONU external IDs given');
+    }
+
+    if (uniqueIds.length > maxBatch) {
+      throw new Error(`Too many ONUs in one refresh (${uniqueIds.length}). Maximum is ${maxBatch}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      state: 'queued',
+      total: uniqueIds.length,
+      completed: 0,
+      failed: 0,
+      changed: 0,
+      external_ids: uniqueIds,
+      results: [],
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+
+    this.refreshJobs.set(job.id, job);
+    this.pruneRefreshJobs();
+
+    this.refreshQueue = this.refreshQueue
+      .then(() => this.runRefreshJob(job))
+      .catch(error => logger.error(`Status refresh job ${job.id} failed:`, error));
+
+    logger.info(`Queued status refresh job ${job.id} for ${job.total} ONUs`);
+
+    return this.summarizeRefreshJob(job);
+  }
+
+  async runRefreshJob(job) {
+    job.state = 'running';
+    job.started_at = new Date().toISOString();
+    this.emit('refresh_progress', this.summarizeRefreshJob(job));
+
+    const snapshotOnus = new Map(
+      (this.inventory ? this.inventory.onus : []).map(onu => [onu.unique_external_id, onu])
+    );
+
+    for (const externalId of job.external_ids) {
+      const result = { unique_external_id: externalId };
+
+      try {
+        const response = await this.api.getOnuStatus(externalId);
+        const status = this.determineOnuStatus(response.onu_status);
+        const statusKey = `status_${externalId}`;
+        const snapshotOnu = snapshotOnus.get(externalId);
+        const oldStatus = (snapshotOnu && snapshotOnu.status) || this.cache.get(statusKey);
+
+        result.status = status;
+        result.previous_status = oldStatus || null;
+        result.changed = !!oldStatus && oldStatus !== status;
+
+        if (result.changed) {
+          this.trackStatusChange(snapshotOnu || { unique_external_id: externalId }, status, oldStatus);
+          job.changed++;
+        }
+
+        // Update the snapshot in place so map reads see the new status
+        if (snapshotOnu) {
+          snapshotOnu.status = status;
+          snapshotOnu.status_color = this.getStatusColor(status);
+          snapshotOnu.raw_status = response.onu_status;
+        }
+
+        this.cache.set(statusKey, status, this.config.cache.ttl.onuStatus);
+        this.cache.del(`onu_detail_${externalId}`);
+      } catch (error) {
+        logger.error(`Status refresh failed for ${externalId}:`, error.message);
+        result.error = error.message;
+        job.failed++;
+      }
+
+      job.results.push(result);
+      job.completed++;
+      this.emit('refresh_progress', this.summarizeRefreshJob(job));
+    }
+
+    job.state = 'completed';
+    job.finished_at = new Date().toISOString();
+
+    if (job.changed > 0 && this.inventory) {
+      this.publishStatistics(this.inventory.onus, this.inventory.fetched_at);
+    }
+
+    this.emit('refresh_progress', this.summarizeRefreshJob(job));
+    logger.info(`Status refresh job ${job.id} completed: ${job.changed} changed, ${job.failed} failed`);
+
+    return job;
+  }
+
+  summarizeRefreshJob(job) {
+    return {
+      id: job.id,
+      state: job.state,
+      total: job.total,
+      completed: job.completed,
+      failed: job.failed,
+      changed: job.changed,
+      progress: job.total ? Math.round((job.completed / job.total) * 100) : 100,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      finished_at: job.finished_at,
+      results: job.results
+    };
+  }
+
+  getRefreshJob(jobId) {
+    const job = this.refreshJobs.get(jobId);
+    return job ? this.summarizeRefreshJob(job) : null;
+  }
+
+  /**
+   * Keep only the most recent finished jobs
+   */
+  pruneRefreshJobs(max = 50) {
+    const finished = [...this.refreshJobs.values()].filter(job => job.state === 'completed');
+
+    finished.slice(0, Math.max(this.refreshJobs.size - max, 0)).forEach(job => {
+      this.refreshJobs.delete(job.id);
+    });
+  }
+
   /**
    * Get status history
    */
@@ -272,6 +778,55 @@ class OnuService {
     };
   }
 
+  /**
+   * Query persisted status events with filters and pagination
+   */
+  queryStatusHistory(filters = {}) {
+    if (!this.historyStore) {
+      throw new Error('Status history store is not configured');
+    }
+
+    return this.historyStore.query(filters);
+  }
+
+  /**
+   * Validate status history filters; throws on an invalid date range
+   */
+  parseHistoryFilters(filters = {}) {
+    if (this.historyStore) {
+      this.historyStore.parseRange(filters);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Signal readings of an ONU with its status transitions over the same
+   * period (default: last 7 days)
+   */
+  getSignalHistory(externalId, filters = {}) {
+    if (!this.signalHistoryStore) {
+      throw new Error('Signal history store is not configured');
+    }
+
+    const to = filters.to || new Date().toISOString();
+    const from = filters.from || new Date(new Date(to).getTime() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const readings = this.signalHistoryStore.query(externalId, { from, to });
+    const statusChanges = this.historyStore ?
+      this.historyStore.query({ unique_external_id: externalId, from, to, limit: 500 }).events.reverse() :
+      [];
+
+    return {
+      unique_external_id: externalId,
+      from,
+      to,
+      thresholds: this.config.signal || DEFAULT_SIGNAL_THRESHOLDS,
+      readings,
+      status_changes: statusChanges
+    };
+  }
+
   /**
    * Get ODB-grouped ONUs for antline visualization
    */
@@ -317,6 +872,7 @@ class OnuService {
         offline: 0,
         with_gps: 0,
         without_gps: 0,
+        weak_signal: { warning: 0, critical: 0 },
         by_olt: {},
         by_zone: {},
         by_odb: {}
@@ -339,6 +895,11 @@ class OnuService {
             break;
         }
 
+        // Count Online ONUs with weak RX power
+        if (onu.status === 'Online' && stats.weak_signal[onu.signal_level] !== undefined) {
+          stats.weak_signal[onu.signal_level]++;
+        }
+
         // Count GPS
         if (onu.latitude && onu.longitude) {
           stats.with_gps++;
@@ -389,6 +950,25 @@ class OnuService {
       throw error;
     }
   }
+
+  /**
+   * Get Online ONUs whose RX power is below the warning or critical
+   * threshold, weakest first
+   */
+  async getWeakSignalOnus(filters = {}, level = null) {
+    try {
+      const levels = level ? [level] : ['warning', 'critical'];
+      const onus = await this.getAllOnusWithDetails(filters);
+      const power = onu => (onu.rx_power !== null ? onu.rx_power : onu.olt_rx_power);
+
+      return onus
+        .filter(onu => onu.status === 'Online' && levels.includes(onu.signal_level))
+        .sort((a, b) => power(a) - power(b));
+    } catch (error) {
+      logger.error('Error in getWeakSignalOnus:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = OnuService;
\ No newline at end of file
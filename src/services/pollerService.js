@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+
+/**
+ * Background poller that owns all full-inventory fetches from SmartOLT.
+ *
+ * The poll interval is never shorter than the details quota allows
+ * (one hour divided by the hourly limit). When the quota is exhausted the
+ * next poll is pushed back to the moment the oldest call expires.
+ */
+class PollerService {
+  constructor(onuService, rateLimiter, config) {
+    this.onuService = onuService;
+    this.rateLimiter = rateLimiter;
+    this.enabled = config.enabled;
+    this.configuredInterval = config.interval * 1000;
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastSuccessAt = null;
+    this.lastError = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Effective interval in milliseconds, bounded by every window of the
+   * details quota
+   */
+  getInterval() {
+    return Math.max(this.configuredInterval, this.rateLimiter.minInterval('details'));
+  }
+
+  start() {
+    if (!this.enabled) {
+      logger.info('Background poller disabled');
+      return;
+    }
+
+    // A snapshot restored from disk postpones the first poll like a recent one would
+    const inventory = this.onuService.inventory;
+    const age = inventory ? Date.now() - Date.parse(inventory.fetched_at) : Infinity;
+    const delay = Math.max(this.getInterval() - age, 0);
+
+    logger.info(`Starting background poller (interval ${Math.round(this.getInterval() / 1000)}s, ` +
+      `first poll in ${Math.round(delay / 1000)}s)`);
+    this.schedule(delay);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  schedule(delay) {
+    this.stop();
+    this.nextRunAt = new Date(Date.now() + delay);
+    this.timer = setTimeout(() => this.poll(), delay);
+
+    // Do not keep the process alive just for polling
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  async poll() {
+    this.timer = null;
+
+    // Polls are background calls, so they also leave the policy's reserve alone
+    const limitCheck = this.rateLimiter.canCallEndpoint('details', 'background');
+    if (!limitCheck.allowed) {
+      const delay = limitCheck.resetTime ?
+        Math.max(limitCheck.resetTime.getTime() - Date.now(), 0) + 5000 :
+        this.getInterval();
+      logger.warn(`Poller postponed: details quota exhausted until ${limitCheck.resetTime ? limitCheck.resetTime.toISOString() : 'the next interval'}`);
+      this.schedule(delay);
+      return;
+    }
+
+    this.running = true;
+    this.lastRunAt = new Date();
+
+    try {
+      await this.onuService.refreshInventory();
+      this.lastSuccessAt = new Date();
+      this.lastError = null;
+    } catch (error) {
+      logger.error('Background poll failed:', error.message);
+      this.lastError = error.message;
+    } finally {
+      this.running = false;
+    }
+
+    this.schedule(this.getInterval());
+  }
+
+  getStatus() {
+    const snapshot = this.onuService.inventory;
+
+    return {
+      enabled: this.enabled,
+      running: this.running,
+      interval_seconds: Math.round(this.getInterval() / 1000),
+      last_run_at: this.lastRunAt,
+      last_success_at: this.lastSuccessAt,
+      last_error: this.lastError,
+      next_run_at: this.nextRunAt,
+      snapshot_fetched_at: snapshot ? snapshot.fetched_at : null,
+      snapshot_size: snapshot ? snapshot.onus.length : 0
+    };
+  }
+}
+
+module.exports = PollerService;
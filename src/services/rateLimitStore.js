@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * JSON file persistence for the rate limiter.
+ *
+ * SmartOLT counts quota per hour whether or not this server restarted, so
+ * the timestamps of restricted calls (and of the last call) are written on
+ * every call and read back on boot. The file is tiny; it is rewritten
+ * through a temporary file and renamed like the incident store.
+ */
+class RateLimitStore {
+  constructor(config) {
+    this.file = config.file;
+
+    const dir = path.dirname(this.file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      logger.info(`Loaded rate limit state from ${this.file}`);
+      return state;
+    } catch (error) {
+      logger.error(`Failed to load rate limit state from ${this.file}:`, error);
+      return null;
+    }
+  }
+
+  save(state) {
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+      fs.renameSync(tmpFile, this.file);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save rate limit state to ${this.file}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = RateLimitStore;
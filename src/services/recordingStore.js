@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+const REDACTED_HEADERS = ['x-token', 'authorization', 'cookie', 'set-cookie'];
+
+/**
+ * On-disk recordings of SmartOLT responses.
+ *
+ * In 'record' mode every upstream response (errors included) is written to
+ * <dir>/<endpoint key>/<timestamp>.json with credentials redacted from the
+ * headers. In 'replay' mode ApiService reads them back instead of calling
+ * the network: with replayAt the latest recording at or before that time
+ * is served (to reproduce what the map showed at a given moment),
+ * otherwise successive calls walk through the recordings in order and
+ * stay on the last one.
+ */
+class RecordingStore {
+  constructor(config) {
+    this.mode = config.mode || 'off';
+    this.dir = config.dir;
+    this.replayAt = config.replayAt ? Date.parse(config.replayAt) : null;
+    this.maxPerKey = config.maxPerKey || 500;
+    this.cursors = new Map(); // key -> index of the next sequential replay
+    this.sequence = 0;
+
+    if (!MODES.includes(this.mode)) {
+      throw new Error(`Invalid recording mode: ${this.mode}. Use ${MODES.join(', ')}`);
+    }
+
+    if (this.replayAt !== null && isNaN(this.replayAt)) {
+      throw new Error(`Invalid REPLAY_AT time: ${config.replayAt}`);
+    }
+
+    if (this.mode !== 'off') {
+      logger.info(`API recording mode '${this.mode}' using ${this.dir}`);
+    }
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Params without empty values, with sorted keys and string values
+   */
+  normalizeParams(params = {}) {
+    const normalized = {};
+
+    Object.keys(params).sort().forEach(name => {
+      if (params[name] !== undefined && params[name] !== null) {
+        normalized[name] = String(params[name]);
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Directory name for an endpoint and its params, e.g.
+   * onu_get_all_onus_details or onu_get_all_onus_details__3f2a9c1b
+   */
+  key(endpoint, params = {}) {
+    const slug = endpoint.replace(/^\/+/, '').replace(/[^a-z0-9_.-]+/gi, '_');
+    const normalized = this.normalizeParams(params);
+
+    if (Object.keys(normalized).length === 0) {
+      return slug;
+    }
+
+    const hash = crypto.createHash('sha1').update(JSON.stringify(normalized)).digest('hex').slice(0, 8);
+    return `${slug}__${hash}`;
+  }
+
+  redactHeaders(headers = {}) {
+    const plain = headers && typeof headers.toJSON === 'function' ? headers.toJSON() : (headers || {});
+    const redacted = {};
+
+    Object.entries(plain).forEach(([name, value]) => {
+      if (value === undefined || typeof value === 'function') return;
+      redacted[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[REDACTED]' : value;
+    });
+
+    return redacted;
+  }
+
+  /**
+   * Save one upstream response
+   */
+  record(endpoint, params, response) {
+    const key = this.key(endpoint, params);
+    const keyDir = path.join(this.dir, key);
+    const recordedAt = new Date();
+    const stamp = recordedAt.toISOString().replace(/[:.]/g, '-');
+    const file = path.join(keyDir, `${stamp}-${String(this.sequence++ % 1000).padStart(3, '0')}.json`);
+
+    try {
+      fs.mkdirSync(keyDir, { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        endpoint,
+        params: this.normalizeParams(params),
+        recorded_at: recordedAt.toISOString(),
+        status: response.status,
+        request_headers: this.redactHeaders(response.config && response.config.headers),
+        headers: this.redactHeaders(response.headers),
+        data: response.data
+      }, null, 2));
+
+      this.prune(keyDir);
+    } catch (error) {
+      logger.error(`Failed to record ${endpoint}:`, error);
+    }
+  }
+
+  /**
+   * Keep only the newest maxPerKey recordings of an endpoint key
+   */
+  prune(keyDir) {
+    const files = this.listFiles(keyDir);
+    files.slice(0, Math.max(files.length - this.maxPerKey, 0)).forEach(file => {
+      fs.unlinkSync(path.join(keyDir, file));
+    });
+  }
+
+  listFiles(keyDir) {
+    if (!fs.existsSync(keyDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(keyDir).filter(file => file.endsWith('.json')).sort();
+  }
+
+  /**
+   * Recorded response for an endpoint: { status, headers, data, recorded_at }.
+   * Throws when nothing was recorded for it.
+   */
+  replay(endpoint, params) {
+    const key = this.key(endpoint, params);
+    const keyDir = path.join(this.dir, key);
+    const files = this.listFiles(keyDir);
+    let file;
+
+    if (this.replayAt !== null) {
+      const stampAt = new Date(this.replayAt).toISOString().replace(/[:.]/g, '-');
+      file = files.filter(name => name.slice(0, stampAt.length) <= stampAt).pop();
+    } else if (files.length > 0) {
+      const index = Math.min(this.cursors.get(key) || 0, files.length - 1);
+      this.cursors.set(key, index + 1);
+      file = files[index];
+    }
+
+    if (!file) {
+      const query = new URLSearchParams(this.normalizeParams(params)).toString();
+      throw new Error(`No recording for ${endpoint}${query ? `?${query}` : ''} in ${keyDir}`);
+    }
+
+    const recording = JSON.parse(fs.readFileSync(path.join(keyDir, file), 'utf8'));
+    logger.debug(`Replaying ${endpoint} recorded at ${recording.recorded_at}`);
+
+    return recording;
+  }
+}
+
+RecordingStore.MODES = MODES;
+
+module.exports = RecordingStore;
@@ -0,0 +1,198 @@
+const logger = require('../utils/logger');
+
+const GROUPS = {
+  odb: onu => onu.odb_name || 'Unknown',
+  olt: onu => onu.olt_name || onu.olt_id || 'Unknown',
+  zone: onu => onu.zone_name || 'Unknown'
+};
+
+/**
+ * Availability / SLA reports built from the recorded status transitions.
+ *
+ * Any status other than Online counts as an outage. The status at the
+ * start of the period is taken from the last transition before it; ONUs
+ * without any transition are assumed to have kept their current status.
+ * ONUs are taken from the current inventory, so decommissioned ONUs are
+ * not reported.
+ */
+class ReportService {
+  constructor(onuService, historyStore) {
+    this.onuService = onuService;
+    this.historyStore = historyStore;
+  }
+
+  /**
+   * Resolve the report period, defaulting to the current month so far
+   */
+  parsePeriod(filters = {}) {
+    const now = new Date();
+    const from = filters.from ? new Date(filters.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const to = filters.to ? new Date(filters.to) : now;
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      throw new Error('Invalid date range. Use ISO 8601 dates for from/to');
+    }
+
+    if (from >= to) {
+      throw new Error('from must be before to');
+    }
+
+    if (from >= now) {
+      throw new Error('from must be in the past');
+    }
+
+    // Time after now has not happened yet and cannot be counted as uptime
+    return { from: from.getTime(), to: Math.min(to.getTime(), now.getTime()) };
+  }
+
+  /**
+   * Group status transitions up to `to` by ONU, oldest first
+   */
+  transitionsByOnu(to) {
+    const byOnu = new Map();
+
+    this.historyStore.events.forEach(event => {
+      const time = new Date(event.timestamp).getTime();
+      if (time > to) return;
+
+      if (!byOnu.has(event.unique_external_id)) {
+        byOnu.set(event.unique_external_id, []);
+      }
+      byOnu.get(event.unique_external_id).push({ time, old_status: event.old_status, new_status: event.new_status });
+    });
+
+    byOnu.forEach(events => events.sort((a, b) => a.time - b.time));
+    return byOnu;
+  }
+
+  /**
+   * Outage intervals of one ONU within [from, to]
+   */
+  computeOutages(onu, transitions, from, to) {
+    const before = transitions.filter(t => t.time <= from);
+    const during = transitions.filter(t => t.time > from);
+
+    let status;
+    if (before.length) {
+      status = before[before.length - 1].new_status;
+    } else if (during.length) {
+      status = during[0].old_status;
+    } else {
+      status = onu.status;
+    }
+
+    const outages = [];
+    let downSince = status !== 'Online' ? from : null;
+
+    during.forEach(transition => {
+      const isDown = transition.new_status !== 'Online';
+
+      if (isDown && downSince === null) {
+        downSince = transition.time;
+      } else if (!isDown && downSince !== null) {
+        outages.push({ start: downSince, end: transition.time });
+        downSince = null;
+      }
+    });
+
+    if (downSince !== null) {
+      outages.push({ start: downSince, end: to, ongoing: true });
+    }
+
+    return outages;
+  }
+
+  summarizeOutages(outages, periodMs, onuCount = 1) {
+    const toMinutes = ms => Math.round(ms / 60000 * 10) / 10;
+    const downMs = outages.reduce((sum, outage) => sum + outage.end - outage.start, 0);
+    const longestMs = outages.reduce((max, outage) => Math.max(max, outage.end - outage.start), 0);
+    const totalMs = periodMs * onuCount;
+
+    return {
+      uptime_percent: totalMs > 0 ? Math.round((totalMs - downMs) / totalMs * 100000) / 1000 : 100,
+      outage_minutes: toMinutes(downMs),
+      outage_count: outages.length,
+      longest_outage_minutes: toMinutes(longestMs)
+    };
+  }
+
+  /**
+   * Availability per ONU and aggregated per ODB, OLT and zone.
+   *
+   * Filters: from, to (ISO dates), olt_id, zone, odb. For groups,
+   * uptime_percent is ONU-weighted: total ONU uptime over total ONU time.
+   */
+  async getAvailability(filters = {}) {
+    try {
+      const { from, to } = this.parsePeriod(filters);
+      const periodMs = to - from;
+
+      const onuFilters = {};
+      ['olt_id', 'zone', 'odb'].forEach(key => {
+        if (filters[key] !== undefined) onuFilters[key] = filters[key];
+      });
+
+      const onus = await this.onuService.getAllOnusWithDetails(onuFilters);
+      const transitions = this.transitionsByOnu(to);
+      const allOutages = [];
+      const groups = { odb: new Map(), olt: new Map(), zone: new Map() };
+
+      const byOnu = onus.map(onu => {
+        const outages = this.computeOutages(onu, transitions.get(onu.unique_external_id) || [], from, to);
+        allOutages.push(...outages);
+
+        Object.keys(GROUPS).forEach(type => {
+          const key = GROUPS[type](onu);
+          if (!groups[type].has(key)) {
+            groups[type].set(key, { onus: 0, affected: 0, outages: [] });
+          }
+          const group = groups[type].get(key);
+          group.onus++;
+          group.affected += outages.length ? 1 : 0;
+          group.outages.push(...outages);
+        });
+
+        return {
+          unique_external_id: onu.unique_external_id,
+          name: onu.name,
+          odb_name: onu.odb_name,
+          olt_name: onu.olt_name,
+          zone_name: onu.zone_name,
+          current_status: onu.status,
+          ...this.summarizeOutages(outages, periodMs)
+        };
+      });
+
+      const summarizeGroups = type => [...groups[type].entries()]
+        .map(([name, group]) => ({
+          name,
+          onu_count: group.onus,
+          affected_onus: group.affected,
+          ...this.summarizeOutages(group.outages, periodMs, group.onus)
+        }))
+        .sort((a, b) => a.uptime_percent - b.uptime_percent);
+
+      logger.info(`Availability report computed for ${onus.length} ONUs`);
+
+      return {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        period_minutes: Math.round(periodMs / 60000),
+        summary: {
+          onu_count: onus.length,
+          affected_onus: byOnu.filter(onu => onu.outage_count > 0).length,
+          ...this.summarizeOutages(allOutages, periodMs, onus.length)
+        },
+        by_onu: byOnu.sort((a, b) => a.uptime_percent - b.uptime_percent),
+        by_odb: summarizeGroups('odb'),
+        by_olt: summarizeGroups('olt'),
+        by_zone: summarizeGroups('zone')
+      };
+    } catch (error) {
+      logger.error('Error in getAvailability:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ReportService;
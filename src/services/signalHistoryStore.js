@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Time-series store for ONU optical signal readings.
+ *
+ * Readings are appended as JSON lines to one file per ONU, so a query only
+ * reads the history of the ONU being looked at. To keep the files small a
+ * reading is only stored when it moved by at least minDelta dB or the
+ * previous stored reading is older than interval seconds. Readings older
+ * than retentionDays are pruned once a day.
+ */
+class SignalHistoryStore {
+  constructor(config) {
+    this.dir = config.dir;
+    this.interval = (config.interval || 3600) * 1000;
+    this.minDelta = config.minDelta !== undefined ? config.minDelta : 0.5;
+    this.retention = (config.retentionDays || 30) * DAY;
+    this.lastReadings = new Map(); // Last stored reading per ONU
+    this.lastPrune = 0;
+
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  fileFor(externalId) {
+    return path.join(this.dir, `${encodeURIComponent(externalId)}.jsonl`);
+  }
+
+  /**
+   * Whether a reading differs enough from the last stored one
+   */
+  shouldRecord(externalId, reading) {
+    const last = this.lastReadings.get(externalId);
+    if (!last) return true;
+
+    const moved = (a, b) => (a === null) !== (b === null) ||
+      (a !== null && Math.abs(a - b) >= this.minDelta);
+
+    return moved(last.rx_power, reading.rx_power) ||
+      moved(last.olt_rx_power, reading.olt_rx_power) ||
+      new Date(reading.timestamp) - new Date(last.timestamp) >= this.interval;
+  }
+
+  /**
+   * Store a reading ({ timestamp, rx_power, olt_rx_power, source })
+   */
+  record(externalId, reading) {
+    if (reading.rx_power === null && reading.olt_rx_power === null) {
+      return false;
+    }
+
+    if (!this.shouldRecord(externalId, reading)) {
+      return false;
+    }
+
+    try {
+      fs.appendFileSync(this.fileFor(externalId), JSON.stringify(reading) + '\n');
+      this.lastReadings.set(externalId, reading);
+    } catch (error) {
+      logger.error(`Failed to persist signal reading for ${externalId}:`, error);
+      return false;
+    }
+
+    if (Date.now() - this.lastPrune >= DAY) {
+      this.prune();
+    }
+
+    return true;
+  }
+
+  readFile(file) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+
+    return fs.readFileSync(file, 'utf8').split('\n').reduce((readings, line) => {
+      if (!line.trim()) return readings;
+
+      try {
+        readings.push(JSON.parse(line));
+      } catch (error) {
+        // Skip lines corrupted by an interrupted write
+      }
+      return readings;
+    }, []);
+  }
+
+  /**
+   * Readings of one ONU between from and to (ISO dates), oldest first
+   */
+  query(externalId, filters = {}) {
+    const from = filters.from ? new Date(filters.from).getTime() : null;
+    const to = filters.to ? new Date(filters.to).getTime() : null;
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      throw new Error('Invalid date range. Use ISO 8601 dates for from/to');
+    }
+
+    return this.readFile(this.fileFor(externalId)).filter(reading => {
+      const time = new Date(reading.timestamp).getTime();
+      return (from === null || time >= from) && (to === null || time <= to);
+    });
+  }
+
+  /**
+   * Drop readings older than the retention period
+   */
+  prune() {
+    this.lastPrune = Date.now();
+    const cutoff = Date.now() - this.retention;
+    let removed = 0;
+
+    fs.readdirSync(this.dir).filter(name => name.endsWith('.jsonl')).forEach(name => {
+      const file = path.join(this.dir, name);
+
+      try {
+        const readings = this.readFile(file);
+        const kept = readings.filter(reading => new Date(reading.timestamp).getTime() >= cutoff);
+
+        if (kept.length === readings.length) return;
+        removed += readings.length - kept.length;
+
+        if (kept.length === 0) {
+          fs.unlinkSync(file);
+        } else {
+          fs.writeFileSync(file, kept.map(reading => JSON.stringify(reading)).join('\n') + '\n');
+        }
+      } catch (error) {
+        logger.error(`Failed to prune signal history ${file}:`, error);
+      }
+    });
+
+    if (removed > 0) {
+      logger.info(`Pruned ${removed} signal readings older than the retention period`);
+    }
+  }
+}
+
+module.exports = SignalHistoryStore;
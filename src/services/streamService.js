@@ -0,0 +1,115 @@
+const logger = require('../utils/logger');
+
+/**
+ * Server-Sent Events broadcaster.
+ *
+ * Subscribes to OnuService events and pushes them to every connected
+ * browser. Other services can publish their own events via publish().
+ */
+class StreamService {
+  constructor(onuService, config = {}) {
+    this.onuService = onuService;
+    this.clients = new Set();
+    this.heartbeatInterval = (config.heartbeat || 25) * 1000;
+    this.heartbeatTimer = null;
+
+    this.forward(onuService, ['status_change', 'statistics', 'refresh_progress', 'signal_degraded']);
+  }
+
+  /**
+   * Re-publish events of another emitter under the same names
+   */
+  forward(emitter, eventNames) {
+    eventNames.forEach(name => {
+      emitter.on(name, data => this.publish(name, data));
+    });
+  }
+
+  /**
+   * Register an Express response as an SSE client
+   */
+  addClient(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    this.clients.add(res);
+    logger.debug(`SSE client connected (${this.clients.size} total)`);
+
+    this.send(res, 'ready', {
+      timestamp: new Date().toISOString(),
+      statistics: this.onuService.getLastStatistics()
+    });
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      logger.debug(`SSE client disconnected (${this.clients.size} total)`);
+
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    this.startHeartbeat();
+  }
+
+  send(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // compression() buffers responses unless flushed explicitly
+    if (res.flush) {
+      res.flush();
+    }
+  }
+
+  /**
+   * Broadcast an event to all connected clients
+   */
+  publish(event, data) {
+    this.clients.forEach(res => {
+      try {
+        this.send(res, event, data);
+      } catch (error) {
+        logger.error('SSE write failed:', error.message);
+        this.clients.delete(res);
+      }
+    });
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+
+    // Comment lines keep proxies from closing idle connections
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(res => {
+        res.write(': heartbeat\n\n');
+        if (res.flush) {
+          res.flush();
+        }
+      });
+    }, this.heartbeatInterval);
+
+    if (this.heartbeatTimer.unref) {
+      this.heartbeatTimer.unref();
+    }
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      clients: this.clients.size
+    };
+  }
+}
+
+module.exports = StreamService;
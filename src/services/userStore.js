@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * JSON file persistence for dashboard users.
+ *
+ * Users are few and change rarely, so the whole list is rewritten through
+ * a temporary file and renamed, like the incident store. The file holds
+ * password hashes only and is written with owner-only permissions.
+ */
+class UserStore {
+  constructor(config) {
+    this.file = config.usersFile;
+
+    const dir = path.dirname(this.file);
+    this.passwordFile = config.adminPasswordFile || path.join(dir, 'initial-admin-password');
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Stored users. Throws when the file exists but cannot be read: starting
+   * with no users would create a new admin and overwrite every account.
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return [];
+    }
+
+    let users;
+    try {
+      users = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read users from ${this.file} (${error.message}). Restore or remove the file before starting`);
+    }
+
+    if (!Array.isArray(users)) {
+      throw new Error(`Cannot read users from ${this.file} (not a list). Restore or remove the file before starting`);
+    }
+
+    logger.info(`Loaded ${users.length} users from ${this.file}`);
+    return users;
+  }
+
+  save(users) {
+    try {
+      const tmpFile = `${this.file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(users, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpFile, this.file);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to save users to ${this.file}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Write a generated admin password to an owner-only file (never to the
+   * log). Returns the file path, or null when it could not be written.
+   */
+  saveInitialPassword(username, password) {
+    try {
+      fs.writeFileSync(this.passwordFile, `${username}:${password}\n`, { mode: 0o600 });
+      fs.chmodSync(this.passwordFile, 0o600);
+      return this.passwordFile;
+    } catch (error) {
+      logger.error(`Failed to write the initial admin password to ${this.passwordFile}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove the generated password file once that password is changed
+   */
+  removeInitialPassword() {
+    try {
+      if (fs.existsSync(this.passwordFile)) {
+        fs.unlinkSync(this.passwordFile);
+        logger.info(`Removed ${this.passwordFile}`);
+      }
+    } catch (error) {
+      logger.error(`Failed to remove ${this.passwordFile}:`, error);
+    }
+  }
+}
+
+module.exports = UserStore;
@@ -0,0 +1,125 @@
+const logger = require('./logger');
+
+/**
+ * Circuit breaker around the SmartOLT API.
+ *
+ * closed:    calls go through; failureThreshold consecutive upstream
+ *            failures (timeouts, network errors, 5xx) open the circuit.
+ * open:      calls fail fast until resetTimeout has passed.
+ * half_open: a single trial call is let through; success closes the
+ *            circuit, failure opens it again.
+ */
+class CircuitBreaker {
+  constructor(config = {}, name = 'SmartOLT') {
+    this.name = name;
+    this.failureThreshold = config.failureThreshold || 5;
+    this.resetTimeout = (config.resetTimeout || 60) * 1000;
+
+    this.state = 'closed';
+    this.failures = 0; // Consecutive failures
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.timesOpened = 0;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Whether a call may go out now. In half_open this claims the single
+   * trial slot, so every allowed call must end in onSuccess, onFailure
+   * or release.
+   */
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+      logger.info(`${this.name} circuit half-open, sending a trial request`);
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Give back a half_open trial slot when the call never went out
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Upstream answered (any response that is not a 5xx)
+   */
+  onSuccess(now = Date.now()) {
+    if (this.state !== 'closed') {
+      logger.info(`${this.name} circuit closed, upstream is responding again`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = now;
+  }
+
+  /**
+   * Upstream failed: timeout, network error or 5xx
+   */
+  onFailure(error, now = Date.now()) {
+    this.failures++;
+    this.trialInFlight = false;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = now;
+
+    if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = now;
+      this.timesOpened++;
+      logger.warn(`${this.name} circuit open after ${this.failures} failures, ` +
+        `pausing calls for ${this.resetTimeout / 1000}s: ${this.lastError}`);
+    }
+  }
+
+  /**
+   * When the next trial call is allowed (null unless open)
+   */
+  retryAt() {
+    return this.state === 'open' ? this.openedAt + this.resetTimeout : null;
+  }
+
+  /**
+   * Open or half-open, or the latest call failed
+   */
+  isDegraded() {
+    return this.state !== 'closed' ||
+      (this.lastFailureAt !== null && (this.lastSuccessAt === null || this.lastFailureAt > this.lastSuccessAt));
+  }
+
+  getStatus() {
+    const iso = time => (time ? new Date(time).toISOString() : null);
+
+    return {
+      state: this.state,
+      degraded: this.isDegraded(),
+      failures: this.failures,
+      failure_threshold: this.failureThreshold,
+      reset_timeout_s: this.resetTimeout / 1000,
+      opened_at: iso(this.openedAt),
+      retry_at: iso(this.retryAt()),
+      times_opened: this.timesOpened,
+      last_error: this.lastError,
+      last_failure_at: iso(this.lastFailureAt),
+      last_success_at: iso(this.lastSuccessAt)
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
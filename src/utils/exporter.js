@@ -0,0 +1,80 @@
+const ExcelJS = require('exceljs');
+
+/**
+ * Tabular export helpers.
+ *
+ * A column is { header, key } or { header, value: row => ... }, optionally
+ * with a width (XLSX only). A sheet is { name, columns, rows }.
+ */
+
+const cellValue = (column, row) => {
+  const value = column.value ? column.value(row) : row[column.key];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Escape one CSV field. Text that a spreadsheet would treat as a formula
+ * is prefixed with a quote so exported names cannot run formulas.
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV (with a BOM so Excel opens it as UTF-8)
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(cellValue(column, row))).join(','));
+  });
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Render one or more sheets as an XLSX workbook buffer
+ */
+async function toXlsx(sheets) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'ONU Monitoring';
+  workbook.created = new Date();
+
+  sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+
+    worksheet.columns = sheet.columns.map((column, index) => ({
+      header: column.header,
+      key: `c${index}`,
+      width: column.width || Math.max(column.header.length + 2, 12)
+    }));
+
+    sheet.rows.forEach(row => {
+      const values = {};
+      sheet.columns.forEach((column, index) => {
+        values[`c${index}`] = cellValue(column, row);
+      });
+      worksheet.addRow(values);
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  escapeCsv,
+  toCsv,
+  toXlsx
+};
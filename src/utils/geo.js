@@ -0,0 +1,166 @@
+/**
+ * GeoJSON / KML helpers.
+ *
+ * Coordinates are [longitude, latitude] in both formats. A KML document
+ * is { name, styles: [{ id, color, width? }], folders: [{ name, placemarks }] }
+ * where a placemark is { name, styleUrl, data, point: [lng, lat] } or
+ * { name, styleUrl, data, line: [[lng, lat], ...] }.
+ */
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const unescapeXml = value => String(value)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Check a latitude / longitude pair; 0,0 is treated as "no location"
+ */
+function isValidCoordinate(lat, lng) {
+  return typeof lat === 'number' && typeof lng === 'number' &&
+    !isNaN(lat) && !isNaN(lng) &&
+    lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180 &&
+    !(lat === 0 && lng === 0);
+}
+
+/**
+ * Great-circle distance between two points in meters (haversine)
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+  const rad = degrees => degrees * Math.PI / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Convert '#rrggbb' to KML's aabbggrr
+ */
+function kmlColor(hex, alpha = 'ff') {
+  const rgb = String(hex).replace('#', '');
+  return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`.toLowerCase();
+}
+
+const formatCoordinates = points => points.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+function renderPlacemark(placemark) {
+  const data = Object.entries(placemark.data || {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`)
+    .join('');
+
+  const geometry = placemark.point
+    ? `<Point><coordinates>${formatCoordinates([placemark.point])}</coordinates></Point>`
+    : `<LineString><tessellate>1</tessellate><coordinates>${formatCoordinates(placemark.line)}</coordinates></LineString>`;
+
+  return [
+    '<Placemark>',
+    `<name>${escapeXml(placemark.name || '')}</name>`,
+    placemark.styleUrl ? `<styleUrl>#${placemark.styleUrl}</styleUrl>` : '',
+    data ? `<ExtendedData>${data}</ExtendedData>` : '',
+    geometry,
+    '</Placemark>'
+  ].join('');
+}
+
+/**
+ * Render a KML document
+ */
+function toKml(document) {
+  const styles = (document.styles || []).map(style => [
+    `<Style id="${escapeXml(style.id)}">`,
+    `<IconStyle><color>${kmlColor(style.color)}</color></IconStyle>`,
+    `<LineStyle><color>${kmlColor(style.color, 'b3')}</color><width>${style.width || 2}</width></LineStyle>`,
+    '</Style>'
+  ].join(''));
+
+  const folders = (document.folders || []).map(folder =>
+    `<Folder><name>${escapeXml(folder.name)}</name>\n${folder.placemarks.map(renderPlacemark).join('\n')}\n</Folder>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `<name>${escapeXml(document.name || '')}</name>`,
+    ...styles,
+    ...folders,
+    '</Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+// Text of the first <tag> in a fragment, ignoring namespace prefixes and CDATA
+function tagText(fragment, tag) {
+  const match = fragment.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`));
+  if (!match) return null;
+
+  const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : unescapeXml(match[1].trim());
+}
+
+/**
+ * Extract placemarks from a KML document as
+ * { name, data, geometry: 'Point' | 'LineString' | ..., coordinates: [[lng, lat], ...] }.
+ *
+ * Handles <Data> / <SimpleData> extended data as written by this app,
+ * Google Earth and QGIS. Multi-geometries and polygons are returned with
+ * their geometry type so callers can skip them.
+ */
+function parseKmlPlacemarks(text) {
+  if (typeof text !== 'string' || !/<(?:\w+:)?kml\b/.test(text)) {
+    throw new Error('Not a KML document');
+  }
+
+  const placemarks = [];
+  const placemarkPattern = /<(?:\w+:)?Placemark\b[^>]*>([\s\S]*?)<\/(?:\w+:)?Placemark>/g;
+  let match;
+
+  while ((match = placemarkPattern.exec(text)) !== null) {
+    const body = match[1];
+    const data = {};
+
+    const dataPattern = /<(?:\w+:)?(?:Data|SimpleData)\b[^>]*\bname="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?(?:Data|SimpleData)>/g;
+    let dataMatch;
+    while ((dataMatch = dataPattern.exec(body)) !== null) {
+      const value = dataMatch[2].includes('<') ? tagText(dataMatch[2], 'value') : unescapeXml(dataMatch[2].trim());
+      data[unescapeXml(dataMatch[1])] = value;
+    }
+
+    const geometryMatch = body.match(/<(?:\w+:)?(Point|LineString|Polygon|MultiGeometry)\b/);
+    const coordinates = (tagText(body, 'coordinates') || '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+    placemarks.push({
+      name: tagText(body.replace(/<(?:\w+:)?ExtendedData\b[\s\S]*?<\/(?:\w+:)?ExtendedData>/g, ''), 'name'),
+      data,
+      geometry: geometryMatch ? geometryMatch[1] : null,
+      coordinates
+    });
+  }
+
+  return placemarks;
+}
+
+module.exports = {
+  escapeXml,
+  isValidCoordinate,
+  distanceMeters,
+  kmlColor,
+  toKml,
+  parseKmlPlacemarks
+};
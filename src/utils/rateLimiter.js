@@ -1,88 +1,471 @@
+const fs = require('fs');
 const logger = require('./logger');
 
+const WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+const PRIORITIES = ['interactive', 'normal', 'background'];
+
+/**
+ * Quota policies and a priority queue for SmartOLT calls.
+ *
+ * Every endpoint falls under a policy (matched by path prefix, or named
+ * explicitly by the caller) with optional per_minute / per_hour / per_day
+ * limits. All calls share one queue that releases a call at most every
+ * apiDelay ms, highest priority first: an operator opening an ONU
+ * (interactive) goes ahead of queued status refreshes (normal) and the
+ * poller (background). Background calls are dropped instead of queued when
+ * they would eat into a policy's `reserve`, or when the queue is full.
+ *
+ * A call counts against its policy when it is released, since SmartOLT
+ * counts requests it receives whether they succeed or not.
+ */
 class RateLimiter {
-  constructor(config) {
+  constructor(config, stateStore = null) {
     this.apiDelay = config.apiDelay;
-    this.gpsLimit = config.gpsLimit;
-    this.detailsLimit = config.detailsLimit;
+    this.maxQueue = config.maxQueue || 100;
+    this.policies = RateLimiter.buildPolicies(config);
+    this.gpsLimit = this.hourlyLimit('gps');
+    this.detailsLimit = this.hourlyLimit('details');
+    this.stateStore = stateStore;
     this.lastCallTime = 0;
-    this.callCounts = {
-      gps: [],
-      details: []
+    this.callCounts = {}; // policy -> call timestamps, oldest first
+    this.usage = {}; // policy -> { granted, rejected, dropped }
+    this.waits = {}; // priority -> { count, total_ms, max_ms }
+    this.queue = [];
+    this.sequence = 0;
+    this.dispatchTimer = null;
+
+    Object.keys(this.policies).forEach(name => {
+      this.callCounts[name] = [];
+      this.usage[name] = { granted: 0, rejected: 0, dropped: 0 };
+    });
+    PRIORITIES.forEach(priority => {
+      this.waits[priority] = { count: 0, total_ms: 0, max_ms: 0 };
+    });
+
+    this.restore();
+  }
+
+  /**
+   * Built-in details / gps policies, overridden or extended by
+   * config.policies and the policies file
+   */
+  static buildPolicies(config) {
+    const declared = {
+      details: { endpoints: ['/onu/get_all_onus_details'], per_hour: config.detailsLimit },
+      gps: { endpoints: ['/onu/get_all_onus_gps_coordinates'], per_hour: config.gpsLimit },
+      default: {},
+      ...RateLimiter.loadPolicies(config.policiesFile),
+      ...(config.policies || {})
     };
+
+    const policies = {};
+
+    Object.entries(declared).forEach(([name, policy]) => {
+      const limits = {};
+
+      Object.keys(WINDOWS).forEach(window => {
+        const value = policy[`per_${window}`];
+        if (value === undefined || value === null) return;
+
+        if (!Number.isInteger(value) || value < 1) {
+          throw new Error(`Rate limit policy '${name}': per_${window} must be a positive integer`);
+        }
+        limits[window] = value;
+      });
+
+      // The poller and the status page derive their pace from these budgets
+      if (['details', 'gps'].includes(name) && Object.keys(limits).length === 0) {
+        throw new Error(`Rate limit policy '${name}': define at least one of per_minute, per_hour, per_day`);
+      }
+
+      policies[name] = {
+        name,
+        endpoints: [].concat(policy.endpoints || []),
+        limits,
+        reserve: parseInt(policy.reserve) || 0
+      };
+    });
+
+    return policies;
   }
 
-  async waitForNextCall() {
+  /**
+   * Read the declarative policies file, if any
+   */
+  static loadPolicies(file) {
+    if (!file || !fs.existsSync(file)) {
+      return {};
+    }
+
+    const policies = JSON.parse(fs.readFileSync(file, 'utf8'));
+    logger.info(`Loaded ${Object.keys(policies).length} rate limit policies from ${file}`);
+
+    return policies;
+  }
+
+  /**
+   * Shortest spacing between calls a policy can sustain, in ms (0 when
+   * it has no limits): per_day 24 allows one call per hour
+   */
+  minInterval(endpointType) {
+    const policy = this.policyFor(null, endpointType);
+
+    return Math.max(0, ...Object.entries(policy.limits).map(([window, limit]) =>
+      Math.ceil(WINDOWS[window] / limit)
+    ));
+  }
+
+  /**
+   * Calls per hour of a policy: its per_hour limit, else what its other
+   * windows sustain (at least 1)
+   */
+  hourlyLimit(endpointType) {
+    const policy = this.policyFor(null, endpointType);
+
+    if (policy.limits.hour) {
+      return policy.limits.hour;
+    }
+
+    return Math.max(Math.floor(WINDOWS.hour / this.minInterval(endpointType)), 1);
+  }
+
+  /**
+   * Policy for a call: the named one, else the first whose endpoint
+   * prefixes match, else 'default'
+   */
+  policyFor(endpoint, endpointType) {
+    if (endpointType && this.policies[endpointType]) {
+      return this.policies[endpointType];
+    }
+
+    const match = Object.values(this.policies).find(policy =>
+      policy.endpoints.some(prefix => endpoint && endpoint.startsWith(prefix))
+    );
+
+    return match || this.policies.default;
+  }
+
+  /**
+   * Reload call timestamps saved before a restart
+   */
+  restore() {
+    const state = this.stateStore && this.stateStore.load();
+    if (!state) return;
+
+    const now = Date.now();
+
+    this.lastCallTime = Number(state.last_call_time) || 0;
+    Object.entries(state.calls || {}).forEach(([name, calls]) => {
+      if (!this.policies[name]) return;
+
+      this.callCounts[name] = [...calls].sort((a, b) => a - b);
+      this.pruneCalls(this.policies[name], now);
+    });
+
+    logger.info(`Restored rate limit state: ${this.getRemainingCalls('details')} details and ${this.getRemainingCalls('gps')} GPS calls remaining`);
+  }
+
+  persist() {
+    if (!this.stateStore) return;
+
+    this.stateStore.save({
+      last_call_time: this.lastCallTime,
+      calls: this.callCounts,
+      saved_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Drop calls older than the policy's longest window
+   */
+  pruneCalls(policy, now = Date.now()) {
+    const longest = Math.max(0, ...Object.keys(policy.limits).map(window => WINDOWS[window]));
+
+    this.callCounts[policy.name] = this.callCounts[policy.name].filter(
+      timestamp => timestamp > now - longest
+    );
+
+    return this.callCounts[policy.name];
+  }
+
+  /**
+   * Calls left for a priority (background may not use the reserve) and,
+   * when none are left, the time the next one is allowed
+   */
+  budget(policy, priority = 'normal', now = Date.now()) {
+    const calls = this.pruneCalls(policy, now);
+    const reserve = priority === 'background' ? policy.reserve : 0;
+    let remaining = Infinity;
+    let nextCallAt = null;
+
+    Object.entries(policy.limits).forEach(([window, limit]) => {
+      const inWindow = calls.filter(timestamp => timestamp > now - WINDOWS[window]);
+      const allowed = limit - reserve;
+      const left = allowed - inWindow.length;
+
+      remaining = Math.min(remaining, left);
+
+      if (left <= 0) {
+        // The call that has to expire before one more fits in this window
+        const index = inWindow.length - allowed;
+        const at = allowed > 0 ? inWindow[index] + WINDOWS[window] : Infinity;
+        nextCallAt = Math.max(nextCallAt || 0, at);
+      }
+    });
+
+    return {
+      remaining,
+      nextCallAt: nextCallAt === Infinity ? null : nextCallAt
+    };
+  }
+
+  /**
+   * Throw when a call of this priority may not be made now
+   */
+  checkBudget(policy, priority) {
     const now = Date.now();
-    const timeSinceLastCall = now - this.lastCallTime;
+    const { remaining, nextCallAt } = this.budget(policy, priority, now);
+
+    if (remaining > 0) return;
+
+    if (priority === 'background' && this.budget(policy, 'normal', now).remaining > 0) {
+      this.usage[policy.name].dropped++;
+      throw new Error(`Dropped background ${policy.name} request: the remaining quota is reserved for interactive calls`);
+    }
+
+    this.usage[policy.name].rejected++;
+    const waitMinutes = nextCallAt ? Math.ceil((nextCallAt - now) / (60 * 1000)) : null;
+
+    throw new Error(
+      `Rate limit exceeded for ${policy.name}. Please wait ${waitMinutes} minutes.`
+    );
+  }
+
+  /**
+   * Wait for a slot in the queue. Rejects right away when the quota is
+   * used up or a background call is dropped, and again at release time
+   * if calls released in the meantime used up the quota.
+   */
+  acquire(endpoint, endpointType = 'normal', options = {}) {
+    const priority = PRIORITIES.includes(options.priority) ? options.priority : 'normal';
+    const policy = this.policyFor(endpoint, endpointType);
+
+    try {
+      this.checkBudget(policy, priority);
+    } catch (error) {
+      return Promise.reject(error);
+    }
 
-    if (timeSinceLastCall < this.apiDelay) {
-      const waitTime = this.apiDelay - timeSinceLastCall;
-      logger.debug(`Rate limiting: waiting ${waitTime}ms`);
-      await this.sleep(waitTime);
+    if (priority === 'background' && this.queue.length >= this.maxQueue) {
+      this.usage[policy.name].dropped++;
+      return Promise.reject(new Error(`Dropped background ${policy.name} request: ${this.queue.length} requests already queued`));
     }
 
-    this.lastCallTime = Date.now();
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        policy,
+        priority,
+        rank: PRIORITIES.indexOf(priority),
+        seq: this.sequence++,
+        endpoint,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      });
+
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Release queued calls, one per apiDelay, highest priority first
+   */
+  dispatch() {
+    if (this.dispatchTimer) return;
+
+    while (this.queue.length > 0) {
+      const now = Date.now();
+      const wait = this.lastCallTime + this.apiDelay - now;
+
+      if (wait > 0) {
+        logger.debug(`Rate limiting: waiting ${wait}ms (${this.queue.length} queued)`);
+        this.dispatchTimer = setTimeout(() => {
+          this.dispatchTimer = null;
+          this.dispatch();
+        }, wait);
+        return;
+      }
+
+      this.queue.sort((a, b) => a.rank - b.rank || a.seq - b.seq);
+      const item = this.queue.shift();
+
+      try {
+        this.checkBudget(item.policy, item.priority);
+      } catch (error) {
+        item.reject(error);
+        continue;
+      }
+
+      const waited = now - item.enqueuedAt;
+      const waits = this.waits[item.priority];
+      waits.count++;
+      waits.total_ms += waited;
+      waits.max_ms = Math.max(waits.max_ms, waited);
+
+      this.lastCallTime = now;
+      this.usage[item.policy.name].granted++;
+      if (Object.keys(item.policy.limits).length > 0) {
+        this.callCounts[item.policy.name].push(now);
+      }
+      this.persist();
+
+      item.resolve({ policy: item.policy.name, priority: item.priority, waited_ms: waited });
+    }
+  }
+
+  async waitForNextCall() {
+    await this.acquire(null, 'normal');
   }
 
-  canCallEndpoint(endpointType) {
-    if (!['gps', 'details'].includes(endpointType)) {
+  canCallEndpoint(endpointType, priority = 'normal') {
+    const policy = this.policies[endpointType];
+
+    if (!policy || Object.keys(policy.limits).length === 0) {
       return { allowed: true };
     }
 
     const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
+    const { remaining, nextCallAt } = this.budget(policy, priority, now);
 
-    this.callCounts[endpointType] = this.callCounts[endpointType].filter(
-      timestamp => timestamp > oneHourAgo
-    );
+    if (remaining > 0) {
+      return { allowed: true };
+    }
 
-    const limit = endpointType === 'gps' ? this.gpsLimit : this.detailsLimit;
-    const currentCount = this.callCounts[endpointType].length;
+    const waitMinutes = nextCallAt ? Math.ceil((nextCallAt - now) / (60 * 1000)) : null;
+    logger.warn(`Rate limit reached for ${endpointType}. Wait ${waitMinutes} minutes.`);
 
-    if (currentCount >= limit) {
-      const oldestCall = this.callCounts[endpointType][0];
-      const resetTime = oldestCall + (60 * 60 * 1000);
-      const waitMinutes = Math.ceil((resetTime - now) / (60 * 1000));
+    return {
+      allowed: false,
+      waitMinutes,
+      resetTime: nextCallAt ? new Date(nextCallAt) : null
+    };
+  }
 
-      logger.warn(`Rate limit reached for ${endpointType}. Wait ${waitMinutes} minutes.`);
+  /**
+   * When a call of this policy and priority would be allowed: now, a later
+   * Date, or null when it never will (e.g. background calls with
+   * the whole quota reserved)
+   */
+  nextCallTime(endpointType, priority = 'normal') {
+    const policy = this.policies[endpointType];
+    const now = Date.now();
 
-      return {
-        allowed: false,
-        waitMinutes,
-        resetTime: new Date(resetTime)
-      };
+    if (!policy) {
+      return new Date(now);
+    }
+
+    const { remaining, nextCallAt } = this.budget(policy, priority, now);
+
+    if (remaining > 0) {
+      return new Date(now);
     }
 
-    return { allowed: true };
+    return nextCallAt ? new Date(nextCallAt) : null;
   }
 
+  /**
+   * Count a call made outside acquire()
+   */
   recordCall(endpointType) {
-    if (['gps', 'details'].includes(endpointType)) {
+    const policy = this.policies[endpointType];
+
+    if (policy && Object.keys(policy.limits).length > 0) {
       this.callCounts[endpointType].push(Date.now());
       logger.debug(`Recorded ${endpointType} call. Count: ${this.callCounts[endpointType].length}`);
+      this.persist();
     }
   }
 
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   getRemainingCalls(endpointType) {
-    if (!['gps', 'details'].includes(endpointType)) {
+    const policy = this.policies[endpointType];
+
+    if (!policy || Object.keys(policy.limits).length === 0) {
       return null;
     }
 
+    return this.budget(policy).remaining;
+  }
+
+  /**
+   * Usage per policy and queue state for /health and /api/rate-limit-stats.
+   * next_call_at is when a call is allowed again (null while calls remain),
+   * reset_at when the whole budget is back.
+   */
+  getStatus() {
     const now = Date.now();
-    const oneHourAgo = now - (60 * 60 * 1000);
+    const iso = timestamp => (timestamp ? new Date(timestamp).toISOString() : null);
+    const policies = {};
 
-    this.callCounts[endpointType] = this.callCounts[endpointType].filter(
-      timestamp => timestamp > oneHourAgo
-    );
+    Object.values(this.policies).forEach(policy => {
+      const calls = this.pruneCalls(policy, now);
+      const windows = Object.keys(policy.limits);
+      const { remaining, nextCallAt } = this.budget(policy, 'normal', now);
+      const used = {};
+
+      windows.forEach(window => {
+        used[window] = calls.filter(timestamp => timestamp > now - WINDOWS[window]).length;
+      });
 
-    const limit = endpointType === 'gps' ? this.gpsLimit : this.detailsLimit;
-    return limit - this.callCounts[endpointType].length;
+      policies[policy.name] = {
+        endpoints: policy.endpoints,
+        limits: policy.limits,
+        reserve: policy.reserve,
+        used,
+        remaining: windows.length > 0 ? remaining : null,
+        next_call_at: iso(nextCallAt),
+        reset_at: calls.length > 0 ?
+          iso(calls[calls.length - 1] + Math.max(...windows.map(window => WINDOWS[window]))) :
+          null,
+        ...this.usage[policy.name]
+      };
+    });
+
+    const byPriority = {};
+    const waits = {};
+    PRIORITIES.forEach(priority => {
+      const stats = this.waits[priority];
+      byPriority[priority] = this.queue.filter(item => item.priority === priority).length;
+      waits[priority] = {
+        count: stats.count,
+        avg_ms: stats.count ? Math.round(stats.total_ms / stats.count) : 0,
+        max_ms: stats.max_ms
+      };
+    });
+
+    return {
+      gps_remaining: this.getRemainingCalls('gps'),
+      gps_limit: this.gpsLimit,
+      details_remaining: this.getRemainingCalls('details'),
+      details_limit: this.detailsLimit,
+      policies,
+      queue: {
+        depth: this.queue.length,
+        max_background: this.maxQueue,
+        by_priority: byPriority,
+        oldest_wait_ms: this.queue.length ? now - Math.min(...this.queue.map(item => item.enqueuedAt)) : 0,
+        waits
+      },
+      api_delay_ms: this.apiDelay,
+      last_call_at: iso(this.lastCallTime),
+      persisted: !!this.stateStore
+    };
   }
 }
 
-module.exports = RateLimiter;
\ No newline at end of file
+RateLimiter.PRIORITIES = PRIORITIES;
+
+module.exports = RateLimiter;
@@ -0,0 +1,147 @@
+const MockNetwork = require('../../src/mock/mockNetwork');
+const { createMockSmartOlt } = require('../../src/mock/mockSmartOlt');
+const ApiService = require('../../src/services/apiService');
+
+describe('MockNetwork', () => {
+  const options = { seed: 7, olts: 2, boards: 1, ports: 2, odbsPerPort: 2, onusPerOdb: 4 };
+  let network;
+
+  beforeEach(() => {
+    network = new MockNetwork(options);
+  });
+
+  test('generates the configured topology', () => {
+    expect(network.olts).toHaveLength(2);
+    expect(network.odbs).toHaveLength(8);
+    expect(network.onus).toHaveLength(32);
+    expect(new Set(network.onus.map(onu => onu.unique_external_id)).size).toBe(32);
+  });
+
+  test('same seed yields the same network', () => {
+    const again = new MockNetwork(options);
+    const other = new MockNetwork({ ...options, seed: 8 });
+
+    expect(again.findOnus()).toEqual(network.findOnus());
+    expect(other.onus.map(onu => onu.sn)).not.toEqual(network.onus.map(onu => onu.sn));
+  });
+
+  test('filters ONUs like get_all_onus_details', () => {
+    const onus = network.findOnus({ olt_id: 1, port: 0 });
+
+    expect(onus).toHaveLength(8);
+    expect(onus.every(onu => onu.olt_id === '1' && onu.port === '0')).toBe(true);
+  });
+
+  test('odb_cut puts every ONU of the ODB in LOS', () => {
+    const odb = network.odbs[0].name;
+    network.addScenario({ type: 'odb_cut', odb });
+
+    const onus = network.findOnus({ odb });
+    expect(onus.every(onu => onu.status === 'LOS')).toBe(true);
+    expect(onus.every(onu => onu.signal_1490 === null)).toBe(true);
+  });
+
+  test('scripted scenarios apply only inside their window', () => {
+    const now = Date.now();
+    const scenario = network.addScenario({ type: 'olt_down', olt_id: '2', at: 60, duration: 120 }, now);
+    const onu = network.onus.find(item => item.olt_id === '2');
+
+    expect(network.stateOf(onu, now + 30000).status).toBe(onu.base_status);
+    expect(network.stateOf(onu, now + 90000).status).toBe('Offline');
+    expect(network.stateOf(onu, now + 200000).status).toBe(onu.base_status);
+    expect(network.listScenarios(now + 90000)[0]).toMatchObject({ id: scenario.id, active: true });
+  });
+
+  test('power_outage does not override LOS', () => {
+    const odb = network.odbs[0].name;
+    network.addScenario({ type: 'odb_cut', odb });
+    network.addScenario({ type: 'power_outage', zone: network.odbs[0].zone_name });
+
+    const onu = network.onus.find(item => item.odb_name === odb);
+    expect(network.stateOf(onu).status).toBe('LOS');
+  });
+
+  test('flapping alternates Online and LOS', () => {
+    const onu = network.onus.find(item => item.base_status === 'Online');
+    const now = Date.now();
+    network.addScenario({ type: 'flapping', onus: [onu.unique_external_id], period: 10 }, now);
+
+    const statuses = new Set([0, 10, 20, 30].map(s => network.stateOf(onu, now + s * 1000).status));
+    expect(statuses).toEqual(new Set(['Online', 'LOS']));
+  });
+
+  test('signal_degradation lowers RX power', () => {
+    const onu = network.onus[0];
+    network.addScenario({ type: 'signal_degradation', onus: onu.unique_external_id, delta: 3 });
+
+    expect(network.stateOf(onu).rx).toBeCloseTo(onu.base_rx - 3, 2);
+  });
+
+  test('rejects unknown types and missing targets', () => {
+    expect(() => network.addScenario({ type: 'meteor' })).toThrow('Unknown scenario type');
+    expect(() => network.addScenario({ type: 'port_down', olt_id: '1' })).toThrow('needs board, port');
+    expect(() => network.addScenario({ type: 'flapping' })).toThrow('needs a target');
+  });
+
+  test('removes scenarios', () => {
+    const scenario = network.addScenario({ type: 'latency', delay: 10 });
+
+    expect(network.latency()).toBe(10);
+    expect(network.removeScenario(scenario.id)).toBe(true);
+    expect(network.latency()).toBe(0);
+  });
+});
+
+describe('Mock SmartOLT server', () => {
+  let server;
+  let network;
+  let apiService;
+
+  beforeAll(done => {
+    network = new MockNetwork({ olts: 1, ports: 1, odbsPerPort: 2, onusPerOdb: 3 });
+    server = createMockSmartOlt(network, { apiKey: 'test-key' }).listen(0, '127.0.0.1', () => {
+      const rateLimiter = {
+        acquire: () => Promise.resolve()
+      };
+
+      apiService = new ApiService({
+        apiBaseUrl: `http://127.0.0.1:${server.address().port}/api`,
+        apiKey: 'test-key',
+        retry: { attempts: 2, baseDelay: 10 }
+      }, rateLimiter);
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    network.clearScenarios();
+  });
+
+  test('serves the endpoints ApiService uses', async () => {
+    const details = await apiService.getAllOnusDetails();
+    const id = details.onus[0].unique_external_id;
+
+    expect(details.onus).toHaveLength(6);
+    expect((await apiService.getOltsList()).response).toHaveLength(1);
+    expect((await apiService.getOdbs()).response).toHaveLength(2);
+    expect((await apiService.getOnuStatus(id)).onu_status).toBe(details.onus[0].status);
+    expect((await apiService.getOnuDetails(id)).onu_details.unique_external_id).toBe(id);
+  });
+
+  test('rejects a wrong API key', async () => {
+    const other = new ApiService({ apiBaseUrl: apiService.baseUrl, apiKey: 'wrong' }, apiService.rateLimiter);
+
+    await expect(other.getOltsList()).rejects.toThrow('403 Forbidden');
+  });
+
+  test('api_errors scenario fails matching endpoints', async () => {
+    network.addScenario({ type: 'api_errors', endpoints: ['get_olts'], http_status: 500 });
+
+    await expect(apiService.getOltsList()).rejects.toThrow('500');
+    await expect(apiService.getOdbs()).resolves.toMatchObject({ status: true });
+  });
+});
@@ -0,0 +1,310 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../../src/services/authService');
+const UserStore = require('../../src/services/userStore');
+const IncidentService = require('../../src/services/incidentService');
+const ChangeService = require('../../src/services/changeService');
+const HistoryStore = require('../../src/services/historyStore');
+const createApiRoutes = require('../../src/routes/api.routes');
+const createAccountRoutes = require('../../src/routes/account.routes');
+const createAuthRoutes = require('../../src/routes/auth.routes');
+
+describe('API routes', () => {
+  let tmpDir;
+  let authService;
+  let incidentService;
+  let app;
+
+  // Mounted the way app.js does, with one account
+  const createApp = (apiService = { isDegraded: () => false }) => {
+    const historyStore = new HistoryStore({ file: path.join(tmpDir, 'status-history.jsonl') });
+    const onuService = {
+      getStatusHistory: () => ({ recent_los: [], recent_power_fail: [] }),
+      parseHistoryFilters: filters => historyStore.parseRange(filters),
+      queryStatusHistory: filters => historyStore.query(filters)
+    };
+    const router = createApiRoutes(
+      onuService,
+      apiService,
+      {},
+      {},
+      {},
+      incidentService,
+      {},
+      {},
+      {},
+      {},
+      authService,
+      new ChangeService(null)
+    );
+    const accountRegistry = {
+      list: () => [{ id: 'default', name: 'Default' }],
+      resolve: id => (id && id !== 'default' ? null : { router }),
+      getStatistics: jest.fn().mockResolvedValue({ total: 3, accounts: [] })
+    };
+
+    const server = express();
+    server.set('trust proxy', true);
+    server.use(express.json());
+    server.use('/api/auth', createAuthRoutes(authService));
+    server.use('/api', authService.authenticate());
+    server.use('/api', createAccountRoutes(accountRegistry));
+    return server;
+  };
+
+  const login = async (username, password) => {
+    const response = await request(app).post('/api/auth/login').send({ username, password });
+    return response.body.data.token;
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+    const config = {
+      enabled: true,
+      secret: 'test-secret',
+      tokenTtl: 3600,
+      usersFile: path.join(tmpDir, 'users.json'),
+      adminUsername: 'admin',
+      adminPassword: 'admin-password',
+      maxAttempts: 3,
+      lockout: 900
+    };
+
+    authService = new AuthService(config, new UserStore(config));
+    await authService.ensureAdmin();
+    incidentService = new IncidentService(new EventEmitter(), { window: 300 });
+    app = createApp();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('authentication and roles', () => {
+    beforeEach(async () => {
+      await authService.createUser({ username: 'budi', password: 'viewer-pass', role: 'viewer' });
+      await authService.createUser({ username: 'sari', password: 'operator-pass', role: 'operator' });
+    });
+
+    test('answers 401 without a session', async () => {
+      const responses = await Promise.all([
+        request(app).get('/api/incidents'),
+        request(app).get('/api/accounts'),
+        request(app).get('/api/auth/me'),
+        request(app).get('/api/incidents').set('Authorization', 'Bearer forged.token')
+      ]);
+
+      responses.forEach(response => {
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual({ status: false, error: 'Login required' });
+      });
+    });
+
+    test('lets a viewer read but not act', async () => {
+      const token = await login('budi', 'viewer-pass');
+      const as = req => req.set('Authorization', `Bearer ${token}`);
+
+      expect((await as(request(app).get('/api/incidents'))).status).toBe(200);
+      expect((await as(request(app).get('/api/accounts'))).status).toBe(200);
+
+      const operatorOnly = await as(request(app).post('/api/incidents/x/acknowledge').send({}));
+      expect(operatorOnly.status).toBe(403);
+      expect(operatorOnly.body.error).toBe('Requires operator role');
+
+      expect((await as(request(app).get('/api/notifications'))).status).toBe(403);
+      expect((await as(request(app).get('/api/debug/onu-status/x'))).status).toBe(403);
+      expect((await as(request(app).get('/api/auth/users'))).status).toBe(403);
+    });
+
+    test('lets an operator act but not administer', async () => {
+      const token = await login('sari', 'operator-pass');
+      const as = req => req.set('Authorization', `Bearer ${token}`);
+
+      // Passes the role check, then finds no such incident
+      expect((await as(request(app).post('/api/incidents/x/acknowledge').send({}))).status).toBe(404);
+
+      const adminOnly = await as(request(app).get('/api/debug/onu-status/x'));
+      expect(adminOnly.status).toBe(403);
+      expect(adminOnly.body.error).toBe('Requires admin role');
+      expect((await as(request(app).post('/api/auth/users').send({ username: 'eko', password: 'long-enough' }))).status).toBe(403);
+    });
+
+    test('lets an admin manage users', async () => {
+      const token = await login('admin', 'admin-password');
+
+      const response = await request(app)
+        .post('/api/auth/users')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ username: 'eko', password: 'long-enough', role: 'operator' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({ username: 'eko', role: 'operator' });
+    });
+
+    test('accepts the session cookie set by login', async () => {
+      const loginResponse = await request(app).post('/api/auth/login').send({ username: 'budi', password: 'viewer-pass' });
+      const cookie = loginResponse.headers['set-cookie'][0].split(';')[0];
+
+      const me = await request(app).get('/api/auth/me').set('Cookie', cookie);
+
+      expect(me.status).toBe(200);
+      expect(me.body.data).toMatchObject({ username: 'budi', role: 'viewer', auth_enabled: true });
+    });
+
+    test('rejects bad credentials and incomplete logins', async () => {
+      const wrong = await request(app).post('/api/auth/login').send({ username: 'budi', password: 'wrong-pass' });
+      const missing = await request(app).post('/api/auth/login').send({ username: 'budi' });
+
+      expect(wrong.status).toBe(401);
+      expect(missing.status).toBe(400);
+    });
+
+    test('locks a username only for the client IP that kept failing', async () => {
+      const attempt = (ip, password) => request(app)
+        .post('/api/auth/login')
+        .set('X-Forwarded-For', ip)
+        .send({ username: 'admin', password });
+
+      for (let i = 0; i < 3; i++) {
+        expect((await attempt('203.0.113.9', 'wrong-pass')).status).toBe(401);
+      }
+
+      const locked = await attempt('203.0.113.9', 'admin-password');
+      expect(locked.status).toBe(429);
+      expect(locked.body.error).toMatch(/Too many failed logins/);
+
+      expect((await attempt('198.51.100.7', 'admin-password')).status).toBe(200);
+    });
+
+    test('ends the session on logout', async () => {
+      const token = await login('budi', 'viewer-pass');
+      const as = req => req.set('Authorization', `Bearer ${token}`);
+
+      expect((await as(request(app).post('/api/auth/logout'))).status).toBe(200);
+      expect((await as(request(app).get('/api/incidents'))).status).toBe(401);
+    });
+
+    test('answers 404 for an unknown account', async () => {
+      const token = await login('budi', 'viewer-pass');
+
+      const response = await request(app)
+        .get('/api/incidents?account=kediri')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Unknown account: kediri');
+    });
+  });
+
+  describe('user management', () => {
+    let token;
+    const as = req => req.set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+      await authService.createUser({ username: 'budi', password: 'viewer-pass', role: 'viewer' });
+      token = await login('admin', 'admin-password');
+    });
+
+    test('lists, updates and deletes users', async () => {
+      expect((await as(request(app).get('/api/auth/users'))).body.data.map(user => user.username)).toEqual(['admin', 'budi']);
+
+      const updated = await as(request(app).put('/api/auth/users/budi').send({ role: 'operator' }));
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.role).toBe('operator');
+
+      expect((await as(request(app).delete('/api/auth/users/budi'))).status).toBe(200);
+      expect((await as(request(app).delete('/api/auth/users/budi'))).status).toBe(404);
+    });
+
+    test('rejects invalid changes', async () => {
+      expect((await as(request(app).post('/api/auth/users').send({ username: 'x', password: 'long-enough' }))).status).toBe(400);
+      expect((await as(request(app).put('/api/auth/users/budi').send({ role: 'root' }))).status).toBe(400);
+      expect((await as(request(app).put('/api/auth/users/nobody').send({ role: 'viewer' }))).status).toBe(404);
+
+      const lastAdmin = await as(request(app).delete('/api/auth/users/admin'));
+      expect(lastAdmin.status).toBe(400);
+      expect(lastAdmin.body.error).toBe('Cannot remove the last admin');
+    });
+
+    test('changes the own password and keeps only the new session', async () => {
+      const wrong = await as(request(app).post('/api/auth/password').send({ current_password: 'nope', new_password: 'new-password' }));
+      const short = await as(request(app).post('/api/auth/password').send({ current_password: 'admin-password', new_password: 'short' }));
+      expect(wrong.status).toBe(400);
+      expect(short.status).toBe(400);
+
+      const changed = await as(request(app).post('/api/auth/password').send({ current_password: 'admin-password', new_password: 'new-password' }));
+      expect(changed.status).toBe(200);
+
+      expect((await as(request(app).get('/api/auth/me'))).status).toBe(401);
+      expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${changed.body.data.token}`)).status).toBe(200);
+    });
+  });
+
+  describe('account and API routes', () => {
+    let token;
+    const as = req => req.set('Authorization', `Bearer ${token}`);
+
+    beforeEach(async () => {
+      token = await login('admin', 'admin-password');
+    });
+
+    test('aggregates statistics across accounts', async () => {
+      const response = await as(request(app).get('/api/statistics?account=all&olt_id=1'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.total).toBe(3);
+    });
+
+    test('flags responses while SmartOLT is degraded', async () => {
+      app = createApp({ isDegraded: () => true, getUpstreamStatus: () => ({ state: 'open' }) });
+
+      const response = await as(request(app).get('/api/incidents'));
+
+      expect(response.headers['x-upstream-degraded']).toBe('open');
+      expect(response.body).toMatchObject({ status: true, degraded: true, upstream: { state: 'open' } });
+    });
+
+    test('validates history queries', async () => {
+      expect((await as(request(app).get('/api/history'))).body.data).toEqual({ recent_los: [], recent_power_fail: [] });
+      expect((await as(request(app).get('/api/history?to=tomorrow'))).status).toBe(400);
+
+      const response = await as(request(app).get('/api/history?from=2024-01-01T00:00:00Z'));
+      expect(response.body).toMatchObject({ status: true, count: 0, pagination: { total: 0 } });
+    });
+
+    test('validates change feed queries', async () => {
+      expect((await as(request(app).get('/api/changes?type=moved'))).status).toBe(400);
+
+      const response = await as(request(app).get('/api/changes?since=2024-01-01T00:00:00Z'));
+      expect(response.body).toEqual({ status: true, count: 0, total: 0, latest: null, data: [] });
+    });
+  });
+
+  describe('GET /api/incidents/metrics', () => {
+    test('returns metrics for a valid period', async () => {
+      const token = await login('admin', 'admin-password');
+
+      const response = await request(app)
+        .get('/api/incidents/metrics?from=2024-01-01T00:00:00Z')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.count).toBe(0);
+    });
+
+    test('answers 400 for an invalid date', async () => {
+      const token = await login('admin', 'admin-password');
+
+      const response = await request(app)
+        .get('/api/incidents/metrics?from=last-week')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ status: false, error: 'Invalid date range. Use ISO 8601 dates for from/to' });
+    });
+  });
+});
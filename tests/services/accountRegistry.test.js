@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AccountRegistry = require('../../src/services/accountRegistry');
+
+describe('AccountRegistry', () => {
+  let tmpDir;
+  let config;
+  let createContext;
+
+  const stats = (online, total, oltName) => ({
+    total,
+    online,
+    los: total - online,
+    power_fail: 0,
+    offline: 0,
+    with_gps: total,
+    without_gps: 0,
+    weak_signal: { warning: 1, critical: 0 },
+    by_olt: { [oltName]: { total, online, offline: total - online } },
+    by_zone: {},
+    by_odb: {}
+  });
+
+  const writeAccounts = accounts => {
+    fs.writeFileSync(config.accounts.file, JSON.stringify(accounts));
+  };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-'));
+    config = {
+      apiBaseUrl: 'https://main.smartolt.com/api',
+      apiKey: 'main-key',
+      apiSubdomain: 'main',
+      dataDir: tmpDir,
+      accounts: { file: path.join(tmpDir, 'accounts.json') },
+      rateLimit: { apiDelay: 8000, gpsLimit: 3, detailsLimit: 3 },
+      history: { file: path.join(tmpDir, 'status-history.jsonl') },
+      incidents: { file: path.join(tmpDir, 'incidents.json') },
+      coordinates: { file: path.join(tmpDir, 'coordinate-overrides.json') },
+      signalHistory: { dir: path.join(tmpDir, 'signal-history'), interval: 3600 },
+      recording: { mode: 'off', dir: path.join(tmpDir, 'recordings') },
+      rateLimitState: { file: path.join(tmpDir, 'rate-limit-state.json') },
+      inventorySnapshots: { dir: path.join(tmpDir, 'inventory-snapshots') },
+      changes: { file: path.join(tmpDir, 'inventory-changes.jsonl') },
+      notifications: { rulesFile: path.join(tmpDir, 'notification-rules.json') }
+    };
+    createContext = jest.fn(accountConfig => ({
+      onuService: { getStatistics: jest.fn() },
+      accountConfig
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should fall back to a single default account from the API settings', () => {
+    const registry = new AccountRegistry(config, createContext);
+    const context = registry.resolve();
+
+    expect(registry.all()).toHaveLength(1);
+    expect(context).toMatchObject({ id: 'default', name: 'main' });
+    expect(context.config.apiKey).toBe('main-key');
+    expect(context.config.history.file).toBe(config.history.file);
+    expect(context.config.notifications.label).toBeNull();
+  });
+
+  test('should build one context per account with its own client settings and data directory', () => {
+    writeAccounts([
+      { id: 'default', name: 'Jombang', subdomain: 'jombang', api_key: 'key-1' },
+      { id: 'kediri', name: 'Kediri', base_url: 'https://kediri.example.com/api', api_key: 'key-2', rate_limit: { detailsLimit: 6 } }
+    ]);
+
+    const registry = new AccountRegistry(config, createContext);
+    const jombang = registry.get('default');
+    const kediri = registry.get('kediri');
+
+    expect(createContext).toHaveBeenCalledTimes(2);
+    expect(jombang.config.apiBaseUrl).toBe('https://jombang.smartolt.com/api');
+    expect(jombang.config.history.file).toBe(config.history.file);
+    expect(kediri.config).toMatchObject({
+      apiBaseUrl: 'https://kediri.example.com/api',
+      apiKey: 'key-2',
+      account: { id: 'kediri', name: 'Kediri' },
+      rateLimit: { apiDelay: 8000, gpsLimit: 3, detailsLimit: 6 }
+    });
+    expect(kediri.config.history.file).toBe(path.join(tmpDir, 'accounts', 'kediri', 'status-history.jsonl'));
+    expect(kediri.config.signalHistory.dir).toBe(path.join(tmpDir, 'accounts', 'kediri', 'signal-history'));
+    expect(kediri.config.recording.dir).toBe(path.join(tmpDir, 'accounts', 'kediri', 'recordings'));
+    expect(kediri.config.rateLimitState.file).toBe(path.join(tmpDir, 'accounts', 'kediri', 'rate-limit-state.json'));
+    expect(kediri.config.inventorySnapshots.dir).toBe(path.join(tmpDir, 'accounts', 'kediri', 'inventory-snapshots'));
+    expect(kediri.config.changes.file).toBe(path.join(tmpDir, 'accounts', 'kediri', 'inventory-changes.jsonl'));
+    expect(kediri.config.notifications.label).toBe('Kediri');
+  });
+
+  test('should resolve accounts and never list API keys', () => {
+    writeAccounts([
+      { id: 'a', subdomain: 'a', api_key: 'secret-a' },
+      { id: 'b', subdomain: 'b', api_key: 'secret-b' }
+    ]);
+
+    const registry = new AccountRegistry(config, createContext);
+
+    expect(registry.resolve('').id).toBe('a');
+    expect(registry.resolve('b').id).toBe('b');
+    expect(registry.resolve('zz')).toBeNull();
+    expect(JSON.stringify(registry.list())).not.toContain('secret');
+    expect(registry.list()[1]).toEqual({ id: 'b', name: 'b', base_url: 'https://b.smartolt.com/api', api_configured: true });
+  });
+
+  test('should reject invalid account files', () => {
+    writeAccounts([{ id: 'a b', subdomain: 'a', api_key: 'k' }]);
+    expect(() => new AccountRegistry(config, createContext)).toThrow('needs an id');
+
+    writeAccounts([{ id: 'a', subdomain: 'a', api_key: 'k' }, { id: 'a', subdomain: 'b', api_key: 'k' }]);
+    expect(() => new AccountRegistry(config, createContext)).toThrow('Duplicate account id');
+
+    writeAccounts([{ id: 'a', api_key: 'k' }]);
+    expect(() => new AccountRegistry(config, createContext)).toThrow('needs base_url or subdomain');
+  });
+
+  test('should aggregate statistics across accounts and report failures', async () => {
+    writeAccounts([
+      { id: 'a', name: 'Branch A', subdomain: 'a', api_key: 'k' },
+      { id: 'b', name: 'Branch B', subdomain: 'b', api_key: 'k' },
+      { id: 'c', name: 'Branch C', subdomain: 'c', api_key: 'k' }
+    ]);
+
+    const registry = new AccountRegistry(config, createContext);
+    registry.get('a').onuService.getStatistics.mockResolvedValue(stats(8, 10, 'OLT-1'));
+    registry.get('b').onuService.getStatistics.mockResolvedValue(stats(5, 5, 'OLT-1'));
+    registry.get('c').onuService.getStatistics.mockRejectedValue(new Error('quota exhausted'));
+
+    const result = await registry.getStatistics({ zone: 'North' });
+
+    expect(registry.get('a').onuService.getStatistics).toHaveBeenCalledWith({ zone: 'North' });
+    expect(result).toMatchObject({ total: 15, online: 13, los: 2, weak_signal: { warning: 2, critical: 0 } });
+    expect(result.by_account).toEqual({
+      'Branch A': { total: 10, online: 8, offline: 2 },
+      'Branch B': { total: 5, online: 5, offline: 0 }
+    });
+    expect(Object.keys(result.by_olt)).toEqual(['Branch A / OLT-1', 'Branch B / OLT-1']);
+    expect(result.accounts[2]).toEqual({ id: 'c', name: 'Branch C', status: false, error: 'quota exhausted' });
+  });
+});
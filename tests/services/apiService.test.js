@@ -65,6 +65,193 @@ describe('ApiService', () => {
     });
   });
 
+  describe('request coalescing', () => {
+    let resolveGet;
+
+    beforeEach(() => {
+      rateLimiter = new RateLimiter({ ...config.rateLimit, apiDelay: 0 });
+      apiService = new ApiService(config, rateLimiter);
+      apiService.client.get = jest.fn(() => new Promise(resolve => { resolveGet = resolve; }));
+    });
+
+    test('concurrent identical requests share one upstream call and quota slot', async () => {
+      const calls = [
+        apiService.getAllOnusDetails({ olt_id: '1', board: '0' }),
+        apiService.getAllOnusDetails({ board: '0', olt_id: '1' }),
+        apiService.getAllOnusDetails({ olt_id: '1', board: '0', port: undefined })
+      ];
+
+      await new Promise(resolve => setImmediate(resolve));
+      resolveGet({ data: { status: true, onus: [] } });
+
+      const results = await Promise.all(calls);
+
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+      expect(rateLimiter.getRemainingCalls('details')).toBe(2);
+      expect(apiService.getRequestStats()).toEqual({ in_flight: 0, coalesced: 2 });
+    });
+
+    test('an interactive call does not join a pending background call', async () => {
+      rateLimiter = new RateLimiter({
+        ...config.rateLimit,
+        apiDelay: 0,
+        policies: { details: { endpoints: ['/onu/get_all_onus_details'], per_hour: 2, reserve: 2 } }
+      });
+      apiService = new ApiService(config, rateLimiter);
+      apiService.client.get = jest.fn().mockResolvedValue({ data: { status: true, onus: [] } });
+
+      const background = apiService.getAllOnusDetails({}, { priority: 'background' });
+      const interactive = apiService.getAllOnusDetails({}, { priority: 'interactive' });
+
+      await expect(background).rejects.toThrow('Dropped background details request');
+      await expect(interactive).resolves.toEqual({ status: true, onus: [] });
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+      expect(apiService.getRequestStats().coalesced).toBe(0);
+    });
+
+    test('a background call joins a pending interactive call', async () => {
+      const calls = [
+        apiService.getOnuDetails('a', { priority: 'interactive' }),
+        apiService.getOnuDetails('a', { priority: 'background' })
+      ];
+
+      await new Promise(resolve => setImmediate(resolve));
+      resolveGet({ data: { status: true, onu_details: {} } });
+      await Promise.all(calls);
+
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+      expect(apiService.getRequestStats()).toEqual({ in_flight: 0, coalesced: 1 });
+    });
+
+    test('different params are separate requests', async () => {
+      apiService.client.get = jest.fn().mockResolvedValue({ data: { status: true } });
+
+      await Promise.all([apiService.getOnuDetails('a'), apiService.getOnuDetails('b')]);
+
+      expect(apiService.client.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('propagates an error to every waiter and forgets the request', async () => {
+      apiService.client.get = jest.fn().mockResolvedValue({ data: { status: false, error: 'Upstream said no' } });
+
+      const calls = [apiService.getOltsList(), apiService.getOltsList()];
+
+      await expect(calls[0]).rejects.toThrow('Upstream said no');
+      await expect(calls[1]).rejects.toThrow('Upstream said no');
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+
+      await expect(apiService.getOltsList()).rejects.toThrow();
+      expect(apiService.client.get).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('retries and circuit breaker', () => {
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers, data: { status: false } };
+      return error;
+    };
+
+    const timeout = () => {
+      const error = new Error('timeout of 30000ms exceeded');
+      error.code = 'ECONNABORTED';
+      error.request = {};
+      return error;
+    };
+
+    beforeEach(() => {
+      apiService = new ApiService({
+        ...config,
+        retry: { attempts: 3, baseDelay: 100 },
+        circuitBreaker: { failureThreshold: 2, resetTimeout: 30 }
+      }, new RateLimiter({ ...config.rateLimit, apiDelay: 0 }));
+      apiService.sleep = jest.fn().mockResolvedValue();
+    });
+
+    test('retries timeouts and 5xx with growing jittered delays', async () => {
+      apiService.breaker.failureThreshold = 5;
+      apiService.client.get = jest.fn()
+        .mockRejectedValueOnce(timeout())
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValue({ data: { status: true, response: [] } });
+
+      await expect(apiService.getOltsList()).resolves.toEqual({ status: true, response: [] });
+
+      const [first, second] = apiService.sleep.mock.calls.map(([ms]) => ms);
+      expect(apiService.client.get).toHaveBeenCalledTimes(3);
+      expect(first).toBeGreaterThanOrEqual(50);
+      expect(first).toBeLessThanOrEqual(100);
+      expect(second).toBeGreaterThanOrEqual(100);
+      expect(second).toBeLessThanOrEqual(200);
+      expect(apiService.isDegraded()).toBe(false);
+    });
+
+    test('counts a retried call once against the quota', async () => {
+      apiService.breaker.failureThreshold = 5;
+      apiService.client.get = jest.fn()
+        .mockRejectedValueOnce(timeout())
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValue({ data: { status: true, onus: [] } });
+
+      await apiService.getAllOnusDetails();
+
+      expect(apiService.client.get).toHaveBeenCalledTimes(3);
+      expect(apiService.rateLimiter.getRemainingCalls('details')).toBe(2);
+    });
+
+    test('does not retry client errors', async () => {
+      apiService.client.get = jest.fn().mockRejectedValue(httpError(404));
+
+      await expect(apiService.getOnuDetails('x')).rejects.toThrow('404');
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+      expect(apiService.getUpstreamStatus().failures).toBe(0);
+    });
+
+    test('waits for Retry-After on 429', async () => {
+      apiService.client.get = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '7' }))
+        .mockResolvedValue({ data: { status: true } });
+
+      await apiService.getOltsList();
+
+      expect(apiService.sleep).toHaveBeenCalledWith(7000);
+      expect(apiService.getUpstreamStatus().failures).toBe(0);
+    });
+
+    test('gives up when Retry-After is too long', async () => {
+      apiService.client.get = jest.fn().mockRejectedValue(
+        httpError(429, { 'retry-after': new Date(Date.now() + 3600000).toUTCString() }));
+
+      await expect(apiService.getOltsList()).rejects.toThrow('429');
+      expect(apiService.client.get).toHaveBeenCalledTimes(1);
+    });
+
+    test('opens the circuit and fails fast while SmartOLT is down', async () => {
+      apiService.client.get = jest.fn().mockRejectedValue(timeout());
+
+      await expect(apiService.getOltsList()).rejects.toThrow('timeout');
+      expect(apiService.client.get).toHaveBeenCalledTimes(2);
+      expect(apiService.getUpstreamStatus()).toMatchObject({ state: 'open', degraded: true, times_opened: 1 });
+
+      await expect(apiService.getOdbs()).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+      expect(apiService.client.get).toHaveBeenCalledTimes(2);
+    });
+
+    test('closes the circuit after a successful trial request', async () => {
+      apiService.client.get = jest.fn().mockRejectedValue(timeout());
+      await expect(apiService.getOltsList()).rejects.toThrow();
+
+      apiService.breaker.openedAt -= 30000;
+      apiService.client.get = jest.fn().mockResolvedValue({ data: { status: true } });
+
+      await apiService.getOltsList();
+
+      expect(apiService.getUpstreamStatus().state).toBe('closed');
+      expect(apiService.isDegraded()).toBe(false);
+    });
+  });
+
   describe('getOltsList', () => {
     test('should fetch OLTs list', async () => {
       const mockResponse = {
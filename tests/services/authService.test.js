@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuthService = require('../../src/services/authService');
+const UserStore = require('../../src/services/userStore');
+
+describe('AuthService', () => {
+  let tmpDir;
+  let config;
+  let authService;
+
+  const createService = () => new AuthService(config, new UserStore(config));
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+    config = {
+      enabled: true,
+      secret: 'test-secret',
+      tokenTtl: 3600,
+      usersFile: path.join(tmpDir, 'users.json'),
+      adminUsername: 'admin',
+      adminPassword: 'admin-password',
+      maxAttempts: 3,
+      lockout: 900
+    };
+
+    authService = createService();
+    await authService.ensureAdmin();
+    await authService.createUser({ username: 'budi', password: 'viewer-pass', role: 'viewer' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('users', () => {
+    test('should create the first admin and persist hashed passwords only', () => {
+      const stored = JSON.parse(fs.readFileSync(config.usersFile, 'utf8'));
+
+      expect(stored.map(user => [user.username, user.role])).toEqual([['admin', 'admin'], ['budi', 'viewer']]);
+      expect(stored[0].password_hash).toMatch(/^scrypt\$/);
+      expect(fs.readFileSync(config.usersFile, 'utf8')).not.toContain('admin-password');
+      expect(authService.listUsers()[0]).not.toHaveProperty('password_hash');
+    });
+
+    test('should write a generated admin password to an owner-only file, not the log', async () => {
+      const logger = require('../../src/utils/logger');
+      const warn = jest.spyOn(logger, 'warn');
+      const dir = path.join(tmpDir, 'generated');
+      const service = new AuthService(
+        { ...config, adminPassword: undefined },
+        new UserStore({ ...config, usersFile: path.join(dir, 'users.json') })
+      );
+
+      await service.ensureAdmin();
+
+      const file = path.join(dir, 'initial-admin-password');
+      const [username, password] = fs.readFileSync(file, 'utf8').trim().split(':');
+
+      expect(username).toBe('admin');
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      expect(warn.mock.calls.flat().join(' ')).not.toContain(password);
+      expect(await service.login('admin', password)).not.toBeNull();
+
+      await service.updateUser('admin', { password: 'changed-password' });
+      expect(fs.existsSync(file)).toBe(false);
+
+      warn.mockRestore();
+    });
+
+    test('should refuse to start over a corrupted users file', () => {
+      fs.writeFileSync(config.usersFile, '[{"username": "admin", ');
+
+      expect(() => createService()).toThrow(/Cannot read users from .*users\.json/);
+      expect(fs.readFileSync(config.usersFile, 'utf8')).toBe('[{"username": "admin", ');
+    });
+
+    test('should not create another admin once users exist', async () => {
+      expect(await createService().ensureAdmin()).toBeNull();
+    });
+
+    test('should validate usernames, roles and passwords', async () => {
+      await expect(authService.createUser({ username: 'x', password: 'long-enough' })).rejects.toThrow('Username');
+      await expect(authService.createUser({ username: 'budi', password: 'long-enough' })).rejects.toThrow('already exists');
+      await expect(authService.createUser({ username: 'sari', password: 'long-enough', role: 'root' })).rejects.toThrow('Invalid role');
+      await expect(authService.createUser({ username: 'sari', password: 'short' })).rejects.toThrow('at least 8');
+    });
+
+    test('should never remove the last admin', async () => {
+      await expect(authService.updateUser('admin', { role: 'viewer' })).rejects.toThrow('last admin');
+      expect(() => authService.deleteUser('admin')).toThrow('last admin');
+      expect(authService.deleteUser('missing')).toBe(false);
+      expect(await authService.updateUser('missing', { role: 'viewer' })).toBeNull();
+    });
+  });
+
+  describe('login and tokens', () => {
+    test('should issue a token for valid credentials', async () => {
+      const session = await authService.login('budi', 'viewer-pass');
+
+      expect(session.user).toEqual(expect.objectContaining({ username: 'budi', role: 'viewer' }));
+      expect(authService.verifyToken(session.token).username).toBe('budi');
+      expect(await authService.login('budi', 'wrong-pass')).toBeNull();
+      expect(await authService.login('nobody', 'viewer-pass')).toBeNull();
+    });
+
+    test('should reject tampered and expired tokens', async () => {
+      const { token } = await authService.login('budi', 'viewer-pass');
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 'admin', ver: 1, exp: Date.now() + 1000 })).toString('base64url');
+
+      expect(authService.verifyToken(`${forged}.${signature}`)).toBeNull();
+      expect(authService.verifyToken(`${payload}.x`)).toBeNull();
+      expect(authService.verifyToken('garbage')).toBeNull();
+
+      config.tokenTtl = -1;
+      const expired = authService.issueToken(authService.users.get('budi'));
+      expect(authService.verifyToken(expired.token)).toBeNull();
+    });
+
+    test('should end older sessions on logout and password change', async () => {
+      const first = await authService.login('budi', 'viewer-pass');
+      authService.logout('budi');
+      expect(authService.verifyToken(first.token)).toBeNull();
+
+      const second = await authService.login('budi', 'viewer-pass');
+      const renewed = await authService.changePassword('budi', 'viewer-pass', 'new-password');
+
+      expect(authService.verifyToken(second.token)).toBeNull();
+      expect(authService.verifyToken(renewed.token).username).toBe('budi');
+      expect(await authService.changePassword('budi', 'wrong', 'another-pass')).toBeNull();
+    });
+
+    test('should lock a username after repeated failures', async () => {
+      for (let i = 0; i < config.maxAttempts; i++) {
+        await authService.login('budi', 'wrong-pass');
+      }
+
+      await expect(authService.login('budi', 'viewer-pass')).rejects.toThrow('Too many failed logins');
+    });
+
+    test('should only lock the username for the client IP that failed', async () => {
+      for (let i = 0; i < config.maxAttempts; i++) {
+        await authService.login('budi', 'wrong-pass', '203.0.113.9');
+      }
+
+      await expect(authService.login('budi', 'viewer-pass', '203.0.113.9')).rejects.toThrow('Too many failed logins');
+      expect(await authService.login('budi', 'viewer-pass', '10.0.0.5')).not.toBeNull();
+    });
+
+    test('should read the token from a Bearer header or the session cookie', () => {
+      expect(authService.tokenFromRequest({ headers: { authorization: 'Bearer abc.def' } })).toBe('abc.def');
+      expect(authService.tokenFromRequest({ headers: { cookie: 'theme=dark; onu_token=abc.def' } })).toBe('abc.def');
+      expect(authService.tokenFromRequest({ headers: {} })).toBeNull();
+    });
+  });
+
+  describe('middleware', () => {
+    test('should answer 401 without a valid session', () => {
+      const res = mockResponse();
+      const next = jest.fn();
+
+      authService.authenticate()({ headers: {} }, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should attach the current user and role from the store', async () => {
+      const { token } = await authService.login('budi', 'viewer-pass');
+      await authService.updateUser('budi', { role: 'operator' });
+
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const next = jest.fn();
+      authService.authenticate()(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toMatchObject({ username: 'budi', role: 'operator' });
+    });
+
+    test('should enforce the minimum role', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+
+      authService.requireRole('operator')({ user: { role: 'admin' } }, mockResponse(), next);
+      authService.requireRole('admin')({ user: { role: 'operator' } }, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should let everyone through as admin when auth is disabled', () => {
+      config.enabled = false;
+      const req = { headers: {} };
+      const next = jest.fn();
+
+      authService.authenticate()(req, mockResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user.role).toBe('admin');
+    });
+  });
+});
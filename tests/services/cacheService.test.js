@@ -0,0 +1,62 @@
+const CacheService = require('../../src/services/cacheService');
+
+describe('CacheService', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new CacheService({ ttl: { onuStatus: 60 }, maxLastKnownGood: 2 });
+  });
+
+  afterEach(() => {
+    cache.cache.close();
+  });
+
+  test('keeps remembered values past their TTL', () => {
+    cache.remember('onus', [1, 2], 60);
+    cache.cache.del('onus'); // as if the TTL ran out
+
+    const lastKnown = cache.getLastKnownGood('onus');
+
+    expect(cache.get('onus')).toBeNull();
+    expect(lastKnown.value).toEqual([1, 2]);
+    expect(lastKnown.stale).toBe(false);
+    expect(Date.parse(lastKnown.expires_at) - Date.parse(lastKnown.fetched_at)).toBe(60000);
+  });
+
+  test('flags last known values as stale after the TTL', () => {
+    const now = Date.now();
+    cache.remember('onus', [1], 60);
+
+    jest.spyOn(Date, 'now').mockReturnValue(now + 61000);
+    try {
+      expect(cache.getLastKnownGood('onus').stale).toBe(true);
+    } finally {
+      Date.now.mockRestore();
+    }
+  });
+
+  test('survives a flush and evicts the oldest key', () => {
+    cache.remember('a', 1);
+    cache.remember('b', 2);
+    cache.flush();
+    cache.remember('c', 3);
+
+    expect(cache.getLastKnownGood('a')).toBeNull();
+    expect(cache.getLastKnownGood('b').value).toBe(2);
+    expect(cache.getStats().lastKnownGood).toBe(2);
+  });
+
+  test('shares one background refresh per key and keeps data when it fails', async () => {
+    cache.remember('onus', ['old']);
+    const failing = jest.fn().mockRejectedValue(new Error('Rate limit exceeded'));
+
+    const first = cache.revalidate('onus', failing);
+    const second = cache.revalidate('onus', failing);
+
+    expect(await first).toBeNull();
+    expect(second).toBe(first);
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(cache.getLastKnownGood('onus').value).toEqual(['old']);
+    expect(cache.revalidations.size).toBe(0);
+  });
+});
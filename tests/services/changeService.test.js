@@ -0,0 +1,194 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeService = require('../../src/services/changeService');
+const ChangeStore = require('../../src/services/changeStore');
+
+describe('ChangeService', () => {
+  let changeService;
+  let mockOnuService;
+
+  const onu = (id, overrides = {}) => ({
+    unique_external_id: id,
+    sn: `SN-${id}`,
+    name: `ONU ${id}`,
+    olt_id: '1',
+    board: '1',
+    port: '1',
+    onu: id.replace(/\D/g, ''),
+    odb_name: 'ODB-A',
+    odb_port: '1',
+    zone_name: 'Zone A',
+    latitude: -7.8,
+    longitude: 112.0,
+    ...overrides
+  });
+
+  const publish = (onus, fetchedAt) => {
+    mockOnuService.emit('inventory', { onus, fetched_at: fetchedAt });
+  };
+
+  beforeEach(() => {
+    mockOnuService = new EventEmitter();
+    changeService = new ChangeService(mockOnuService, { minDistance: 10 });
+    publish([onu('a1'), onu('a2'), onu('a3')], '2024-01-01T00:00:00.000Z');
+  });
+
+  const types = () => changeService.events.map(event => event.type);
+
+  test('uses the first inventory as the baseline', () => {
+    expect(changeService.events).toEqual([]);
+  });
+
+  test('diffs against the inventory restored on startup', () => {
+    const restored = new EventEmitter();
+    restored.inventory = { onus: [onu('a1')], fetched_at: '2024-01-01T00:00:00.000Z' };
+    const service = new ChangeService(restored);
+
+    restored.emit('inventory', { onus: [onu('a1'), onu('a2')], fetched_at: '2024-01-01T01:00:00.000Z' });
+
+    expect(service.events.map(event => event.type)).toEqual(['provisioned']);
+  });
+
+  test('records provisioned and removed ONUs', () => {
+    publish([onu('a1'), onu('a2'), onu('a4')], '2024-01-01T01:00:00.000Z');
+
+    expect(types()).toEqual(['provisioned', 'removed']);
+    expect(changeService.events[0]).toMatchObject({
+      unique_external_id: 'a4',
+      detected_at: '2024-01-01T01:00:00.000Z',
+      before: null,
+      after: { odb_name: 'ODB-A', port: '1' }
+    });
+    expect(changeService.events[1]).toMatchObject({ unique_external_id: 'a3', after: null });
+  });
+
+  test('recognises a re-added ONU by its serial number', () => {
+    publish([onu('a1'), onu('a2'), onu('b7', { sn: 'SN-a3', port: '2' })], '2024-01-01T01:00:00.000Z');
+
+    expect(types()).toEqual(['reprovisioned']);
+    expect(changeService.events[0]).toMatchObject({
+      unique_external_id: 'b7',
+      before: { unique_external_id: 'a3', port: '1' },
+      after: { unique_external_id: 'b7', port: '2' }
+    });
+  });
+
+  test('records port, ODB and location moves', () => {
+    publish([
+      onu('a1', { port: '2' }),
+      onu('a2', { odb_name: 'ODB-B' }),
+      onu('a3', { latitude: -7.801 })
+    ], '2024-01-01T01:00:00.000Z');
+
+    expect(types()).toEqual(['port_changed', 'odb_changed', 'location_changed']);
+    expect(changeService.events[0]).toMatchObject({ before: { port: '1' }, after: { port: '2' } });
+    expect(changeService.events[1]).toMatchObject({ before: { odb_name: 'ODB-A' }, after: { odb_name: 'ODB-B' } });
+  });
+
+  test('ignores coordinate jitter below minDistance', () => {
+    publish([onu('a1', { latitude: -7.80001 }), onu('a2'), onu('a3')], '2024-01-01T01:00:00.000Z');
+
+    expect(changeService.events).toEqual([]);
+  });
+
+  test('records coordinates being cleared', () => {
+    publish([onu('a1', { latitude: null, longitude: null }), onu('a2'), onu('a3')], '2024-01-01T01:00:00.000Z');
+
+    expect(types()).toEqual(['location_changed']);
+    expect(changeService.events[0].after).toEqual({ latitude: null, longitude: null });
+  });
+
+  test('skips an empty inventory instead of removing every ONU', () => {
+    publish([], '2024-01-01T01:00:00.000Z');
+    publish([onu('a1'), onu('a2'), onu('a3')], '2024-01-01T02:00:00.000Z');
+
+    expect(changeService.events).toEqual([]);
+  });
+
+  test('emits a summary per diff', () => {
+    const listener = jest.fn();
+    changeService.on('inventory_change', listener);
+
+    publish([onu('a1'), onu('a4'), onu('a5')], '2024-01-01T01:00:00.000Z');
+
+    expect(listener).toHaveBeenCalledWith({
+      detected_at: '2024-01-01T01:00:00.000Z',
+      total: 4,
+      by_type: { provisioned: 2, removed: 2 }
+    });
+  });
+
+  test('queries changes newest first, after since', () => {
+    publish([onu('a1'), onu('a2'), onu('a3'), onu('a4')], '2024-01-01T01:00:00.000Z');
+    publish([onu('a1'), onu('a2'), onu('a4')], '2024-01-01T02:00:00.000Z');
+
+    const all = changeService.query(changeService.parseQuery({}));
+    expect(all.events.map(event => event.type)).toEqual(['removed', 'provisioned']);
+    expect(all.latest).toBe('2024-01-01T02:00:00.000Z');
+
+    const newer = changeService.query(changeService.parseQuery({ since: '2024-01-01T01:00:00.000Z' }));
+    expect(newer.events.map(event => event.unique_external_id)).toEqual(['a3']);
+
+    const provisioned = changeService.query(changeService.parseQuery({ type: 'provisioned' }));
+    expect(provisioned.total).toBe(1);
+  });
+
+  test('rejects invalid query parameters', () => {
+    expect(() => changeService.parseQuery({ since: 'yesterday' })).toThrow('Invalid since date');
+    expect(() => changeService.parseQuery({ type: 'moved' })).toThrow('Unknown change type: moved');
+    expect(() => changeService.parseQuery({ limit: '0' })).toThrow('limit must be a positive number');
+    expect(changeService.parseQuery({ limit: '5000' }).limit).toBe(1000);
+  });
+
+  describe('persistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('keeps changes across restarts', () => {
+      const config = { file: path.join(tmpDir, 'inventory-changes.jsonl') };
+      const emitter = new EventEmitter();
+      const service = new ChangeService(emitter, config, new ChangeStore(config));
+
+      emitter.emit('inventory', { onus: [onu('a1')], fetched_at: '2024-01-01T00:00:00.000Z' });
+      emitter.emit('inventory', { onus: [onu('a1'), onu('a2')], fetched_at: '2024-01-01T01:00:00.000Z' });
+
+      const restarted = new ChangeService(new EventEmitter(), config, new ChangeStore(config));
+
+      expect(restarted.events).toEqual(service.events);
+      expect(restarted.events[0].unique_external_id).toBe('a2');
+    });
+
+    test('compacts the file to the newest maxEvents', () => {
+      const config = { file: path.join(tmpDir, 'inventory-changes.jsonl'), maxEvents: 10 };
+      const store = new ChangeStore(config);
+      const lines = () => fs.readFileSync(config.file, 'utf8').trim().split('\n');
+
+      store.load();
+      for (let i = 1; i <= 11; i++) {
+        store.append([{ id: `e${i}` }]);
+      }
+      expect(lines()).toHaveLength(11);
+
+      store.append([{ id: 'e12' }]);
+      expect(lines()).toHaveLength(10);
+      expect(JSON.parse(lines()[0]).id).toBe('e3');
+
+      // A file left oversized by an older version is compacted on startup
+      fs.appendFileSync(config.file, [13, 14, 15].map(i => JSON.stringify({ id: `e${i}` })).join('\n') + '\n');
+      const restarted = new ChangeStore(config);
+
+      expect(restarted.load()).toHaveLength(13);
+      expect(lines()).toHaveLength(10);
+      expect(JSON.parse(lines()[0]).id).toBe('e6');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const ExportService = require('../../src/services/exportService');
+
+describe('ExportService', () => {
+  let exportService;
+  let mockOnuService;
+  let mockHistoryStore;
+
+  beforeEach(() => {
+    mockOnuService = {
+      getAllOnusWithDetails: jest.fn().mockResolvedValue([
+        {
+          unique_external_id: 'onu1',
+          name: 'Customer 1',
+          status: 'Online',
+          olt_name: 'OLT-1',
+          board: '1',
+          port: '2',
+          onu: '3',
+          odb_name: 'ODB-A',
+          zone_name: 'North',
+          latitude: -7.5,
+          longitude: 112.2,
+          rx_power: -21.4,
+          signal_level: 'ok'
+        }
+      ]),
+      getStatistics: jest.fn().mockResolvedValue({
+        total: 3,
+        online: 2,
+        los: 1,
+        power_fail: 0,
+        offline: 0,
+        with_gps: 3,
+        without_gps: 0,
+        weak_signal: { warning: 1, critical: 0 },
+        by_olt: { 'OLT-1': { total: 3, online: 2, offline: 1 } },
+        by_zone: { North: { total: 3, online: 2, offline: 1 } },
+        by_odb: { 'ODB-A': { total: 2, online: 2, offline: 0 }, 'ODB-B': { total: 1, online: 0, offline: 1 } }
+      })
+    };
+
+    mockHistoryStore = {
+      filter: jest.fn().mockReturnValue([
+        { timestamp: '2024-01-01T00:00:00.000Z', unique_external_id: 'onu1', old_status: 'Online', new_status: 'LOS' }
+      ])
+    };
+
+    exportService = new ExportService(mockOnuService, mockHistoryStore);
+  });
+
+  test('should export the filtered ONU list as CSV', async () => {
+    const file = await exportService.export('onus', 'csv', { zone: 'North' });
+    const [header, row] = file.body.replace('\uFEFF', '').split('\r\n');
+
+    expect(mockOnuService.getAllOnusWithDetails).toHaveBeenCalledWith({ zone: 'North' });
+    expect(file.filename).toMatch(/^onus-\d{8}T\d{4}\.csv$/);
+    expect(file.contentType).toBe('text/csv; charset=utf-8');
+    expect(header).toContain('External ID,Name,SN,Status');
+    expect(row).toContain('onu1,Customer 1,,Online');
+    expect(row).toContain('-7.5,112.2');
+    expect(row).toContain('-21.4');
+  });
+
+  test('should combine statistics breakdowns in one CSV table', async () => {
+    const file = await exportService.export('statistics', 'csv');
+    const lines = file.body.replace('\uFEFF', '').trim().split('\r\n');
+
+    expect(lines[0]).toBe('Breakdown,Name,Total,Online,Offline,Online %');
+    expect(lines).toContain('By OLT,OLT-1,3,2,1,66.7');
+    expect(lines).toContain('By ODB,ODB-B,1,0,1,0');
+    expect(lines).toHaveLength(5);
+  });
+
+  test('should build one sheet per statistics breakdown', async () => {
+    const sheets = await exportService.buildSheets('statistics');
+
+    expect(sheets.map(sheet => sheet.name)).toEqual(['Summary', 'By OLT', 'By Zone', 'By ODB']);
+    expect(sheets[0].rows).toContainEqual({ metric: 'weak_signal_warning', value: 1 });
+  });
+
+  test('should export the status history as XLSX', async () => {
+    const file = await exportService.export('history', 'xlsx', { type: 'LOS' });
+
+    expect(mockHistoryStore.filter).toHaveBeenCalledWith({ type: 'LOS' });
+    expect(Buffer.isBuffer(file.body)).toBe(true);
+    expect(file.body.slice(0, 2).toString()).toBe('PK');
+  });
+
+  test('should reject unknown datasets and formats', async () => {
+    await expect(exportService.export('onus', 'pdf')).rejects.toThrow('Unknown export format');
+    await expect(exportService.export('customers', 'csv')).rejects.toThrow('Unknown export dataset');
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GeoService = require('../../src/services/geoService');
+const CoordinateStore = require('../../src/services/coordinateStore');
+
+describe('GeoService', () => {
+  let tmpDir;
+  let geoService;
+  let coordinateStore;
+  let mockOnuService;
+  let mockOdbService;
+
+  const onus = [
+    { unique_external_id: 'a1', name: 'A1', status: 'Online', status_color: '#28a745', odb_name: 'ODB-A', latitude: -6.2, longitude: 106.8 },
+    { unique_external_id: 'a2', name: 'A2', status: 'LOS', status_color: '#dc3545', odb_name: 'ODB-A', latitude: -6.4, longitude: 107.0 },
+    { unique_external_id: 'b1', name: 'B1', status: 'Online', status_color: '#28a745', odb_name: 'ODB-B', latitude: -6.5, longitude: 107.1 },
+    { unique_external_id: 'c1', name: 'C1', status: 'Online', status_color: '#28a745', odb_name: null, latitude: -6.6, longitude: 107.2 }
+  ];
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geo-'));
+    coordinateStore = new CoordinateStore({ file: path.join(tmpDir, 'coordinate-overrides.json') });
+
+    mockOnuService = {
+      getOnusWithGps: jest.fn().mockResolvedValue(onus),
+      getAllOnusWithDetails: jest.fn().mockResolvedValue(onus),
+      getStatusColor: jest.fn().mockReturnValue('#6c757d'),
+      countStatuses: jest.fn(list => ({
+        total: list.length,
+        online: list.filter(onu => onu.status === 'Online').length,
+        los: list.filter(onu => onu.status === 'LOS').length,
+        power_fail: 0,
+        offline: 0
+      }))
+    };
+
+    mockOdbService = {
+      getOdbs: jest.fn().mockResolvedValue([
+        { name: 'ODB-B', latitude: -6.55, longitude: 107.15, has_coordinates: true, capacity: 8, zone_name: 'South' }
+      ])
+    };
+
+    geoService = new GeoService(mockOnuService, mockOdbService, coordinateStore);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('export', () => {
+    test('should emit ONU points, ODB points and ODB-ONU lines as GeoJSON', async () => {
+      const file = await geoService.export('geojson', { zone: 'South' });
+      const collection = JSON.parse(file.body);
+      const byType = type => collection.features.filter(f => f.properties.feature_type === type);
+
+      expect(mockOnuService.getOnusWithGps).toHaveBeenCalledWith({ zone: 'South' });
+      expect(file.filename).toMatch(/^network-\d{8}T\d{4}\.geojson$/);
+      expect(byType('onu')).toHaveLength(4);
+      expect(byType('odb')).toHaveLength(2);
+      expect(byType('link')).toHaveLength(3);
+      expect(byType('onu')[1]).toMatchObject({
+        geometry: { type: 'Point', coordinates: [107.0, -6.4] },
+        properties: { unique_external_id: 'a2', status: 'LOS', odb_name: 'ODB-A' }
+      });
+    });
+
+    test('should place ODBs at registry coordinates or the ONU centroid', async () => {
+      const network = await geoService.buildNetwork();
+      const odbA = network.odbs.find(odb => odb.name === 'ODB-A');
+      const odbB = network.odbs.find(odb => odb.name === 'ODB-B');
+
+      expect(odbA.location_source).toBe('centroid');
+      expect(odbA.latitude).toBeCloseTo(-6.3);
+      expect(odbA.longitude).toBeCloseTo(106.9);
+      expect(odbB).toMatchObject({ latitude: -6.55, longitude: 107.15, location_source: 'registry', capacity: 8 });
+    });
+
+    test('should fall back to centroids when the ODB registry fails', async () => {
+      mockOdbService.getOdbs.mockRejectedValue(new Error('rate limited'));
+
+      const network = await geoService.buildNetwork();
+
+      expect(network.odbs.every(odb => odb.location_source === 'centroid')).toBe(true);
+    });
+
+    test('should emit KML with one folder per feature type', async () => {
+      const file = await geoService.export('kml');
+
+      expect(file.contentType).toContain('application/vnd.google-earth.kml+xml');
+      expect(file.body).toContain('<Folder><name>ONUs</name>');
+      expect(file.body).toContain('<Folder><name>ODBs</name>');
+      expect(file.body).toContain('<Folder><name>Links</name>');
+      expect(file.body).toContain('<styleUrl>#status-los</styleUrl>');
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(geoService.export('shp')).rejects.toThrow('Unknown geo format');
+    });
+  });
+
+  describe('importCoordinates', () => {
+    test('should store corrections from an exported and edited GeoJSON file', async () => {
+      const collection = JSON.parse((await geoService.export('geojson')).body);
+      const a1 = collection.features.find(f => f.properties.unique_external_id === 'a1' && f.properties.feature_type === 'onu');
+      a1.geometry.coordinates = [106.85, -6.25];
+
+      const points = geoService.parsePoints('geojson', JSON.stringify(collection));
+      const result = await geoService.importCoordinates(points, 'geojson');
+
+      expect(result).toMatchObject({ points: 6, onus_updated: 1, odbs_updated: 0, unchanged: 5, unknown: [], invalid: [] });
+      expect(coordinateStore.get('onu', 'a1')).toMatchObject({ latitude: -6.25, longitude: 106.85, source: 'geojson' });
+      expect(coordinateStore.get('onu', 'a2')).toBeNull();
+      expect(coordinateStore.count()).toBe(1);
+    });
+
+    test('should import KML placemarks and report unknown and invalid points', async () => {
+      const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+        <Placemark><name>A2</name><ExtendedData><Data name="unique_external_id"><value>a2</value></Data></ExtendedData>
+          <Point><coordinates>107.01,-6.41,0</coordinates></Point></Placemark>
+        <Placemark><name>Ghost</name><ExtendedData><Data name="unique_external_id"><value>zz</value></Data></ExtendedData>
+          <Point><coordinates>107.01,-6.41,0</coordinates></Point></Placemark>
+        <Placemark><name>B1</name><ExtendedData><Data name="unique_external_id"><value>b1</value></Data></ExtendedData>
+          <Point><coordinates>0,0,0</coordinates></Point></Placemark>
+        <Placemark><name>ODB-A</name><ExtendedData><Data name="feature_type"><value>odb</value></Data></ExtendedData>
+          <Point><coordinates>106.95,-6.35,0</coordinates></Point></Placemark>
+      </Document></kml>`;
+
+      const result = await geoService.importCoordinates(geoService.parsePoints('kml', kml), 'kml');
+
+      expect(result).toMatchObject({ onus_updated: 1, odbs_updated: 1, unknown: ['zz'], invalid: ['b1'] });
+      expect(coordinateStore.get('odb', 'ODB-A')).toMatchObject({ latitude: -6.35, longitude: 106.95 });
+      expect(coordinateStore.get('onu', 'a2')).toMatchObject({ latitude: -6.41, longitude: 107.01 });
+    });
+
+    test('should not save anything on a dry run', async () => {
+      const points = [{ properties: { unique_external_id: 'a1' }, coordinates: [106.85, -6.25] }];
+
+      const result = await geoService.importCoordinates(points, 'geojson', { dryRun: true });
+
+      expect(result).toMatchObject({ dry_run: true, onus_updated: 1 });
+      expect(coordinateStore.get('onu', 'a1')).toBeNull();
+    });
+
+    test('should reject files that are not GeoJSON', () => {
+      expect(() => geoService.parsePoints('geojson', '{"foo":1}')).toThrow('Not a GeoJSON');
+      expect(() => geoService.parsePoints('geojson', 'not json')).toThrow();
+    });
+  });
+
+  describe('CoordinateStore', () => {
+    test('should persist corrections and overlay them on records', () => {
+      coordinateStore.setMany([{ type: 'onu', key: 'a1', latitude: -6.25, longitude: 106.85 }], 'kml');
+
+      const reloaded = new CoordinateStore({ file: coordinateStore.file });
+
+      expect(reloaded.count()).toBe(1);
+      expect(reloaded.apply('onu', 'a1', onus[0])).toMatchObject({
+        unique_external_id: 'a1',
+        latitude: -6.25,
+        longitude: 106.85,
+        coordinates_source: 'override'
+      });
+      expect(reloaded.apply('onu', 'a2', onus[1])).toBe(onus[1]);
+    });
+  });
+});
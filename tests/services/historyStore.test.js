@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HistoryStore = require('../../src/services/historyStore');
+
+describe('HistoryStore', () => {
+  let tmpDir;
+  let file;
+  let store;
+
+  const makeEvent = (overrides = {}) => ({
+    unique_external_id: 'onu1',
+    name: 'Test ONU',
+    odb_name: 'ODB1',
+    olt_id: '1',
+    zone_name: 'Zone A',
+    board: '1',
+    port: '1',
+    onu: '1',
+    old_status: 'Online',
+    new_status: 'LOS',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+    file = path.join(tmpDir, 'nested', 'status-history.jsonl');
+    store = new HistoryStore({ file });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('append', () => {
+    test('should write events as JSON lines', () => {
+      store.append(makeEvent());
+      store.append(makeEvent({ new_status: 'Online', old_status: 'LOS' }));
+
+      const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+      expect(lines).toHaveLength(2);
+      expect(JSON.parse(lines[1]).new_status).toBe('Online');
+    });
+
+    test('should survive a restart', () => {
+      store.append(makeEvent());
+
+      const reloaded = new HistoryStore({ file });
+      expect(reloaded.events).toHaveLength(1);
+      expect(reloaded.recent('LOS')).toHaveLength(1);
+    });
+
+    test('should skip corrupted lines on load', () => {
+      store.append(makeEvent());
+      fs.appendFileSync(file, '{not json\n');
+
+      const reloaded = new HistoryStore({ file });
+      expect(reloaded.events).toHaveLength(1);
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(() => {
+      store.append(makeEvent({ timestamp: '2024-01-01T01:00:00.000Z' }));
+      store.append(makeEvent({
+        unique_external_id: 'onu2',
+        odb_name: 'ODB2',
+        new_status: 'Power Fail',
+        timestamp: '2024-01-01T02:00:00.000Z'
+      }));
+      store.append(makeEvent({
+        olt_id: '2',
+        zone_name: 'Zone B',
+        timestamp: '2024-01-02T03:00:00.000Z'
+      }));
+    });
+
+    test('should return newest events first', () => {
+      const result = store.query();
+
+      expect(result.events.map(e => e.timestamp)).toEqual([
+        '2024-01-02T03:00:00.000Z',
+        '2024-01-01T02:00:00.000Z',
+        '2024-01-01T01:00:00.000Z'
+      ]);
+      expect(result.pagination.total).toBe(3);
+    });
+
+    test('should filter by date range', () => {
+      const result = store.query({
+        from: '2024-01-01T00:30:00.000Z',
+        to: '2024-01-01T23:59:59.000Z'
+      });
+
+      expect(result.events).toHaveLength(2);
+    });
+
+    test('should filter by ONU, ODB, OLT, zone and type', () => {
+      expect(store.query({ unique_external_id: 'onu2' }).events).toHaveLength(1);
+      expect(store.query({ odb: 'ODB1' }).events).toHaveLength(2);
+      expect(store.query({ olt_id: '2' }).events).toHaveLength(1);
+      expect(store.query({ zone: 'Zone B' }).events).toHaveLength(1);
+      expect(store.query({ type: 'power fail' }).events).toHaveLength(1);
+      expect(store.query({ type: 'LOS,Power Fail' }).events).toHaveLength(3);
+    });
+
+    test('should paginate results', () => {
+      const result = store.query({ page: 2, limit: 2 });
+
+      expect(result.events).toHaveLength(1);
+      expect(result.pagination).toEqual({ page: 2, limit: 2, total: 3, pages: 2 });
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => store.query({ from: 'yesterday' })).toThrow(/Invalid date range/);
+      expect(() => store.parseRange({ to: 'tomorrow' })).toThrow(/Invalid date range/);
+      expect(store.parseRange({ from: '2024-01-01T00:00:00Z' })).toEqual({ from: Date.parse('2024-01-01T00:00:00Z'), to: null });
+    });
+  });
+});
@@ -0,0 +1,241 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IncidentService = require('../../src/services/incidentService');
+const IncidentStore = require('../../src/services/incidentStore');
+
+describe('IncidentService', () => {
+  let incidentService;
+  let mockOnuService;
+  let clock;
+
+  const config = {
+    window: 300,
+    minOnusPerOdb: 2,
+    minOdbsPerPort: 2,
+    minPortsPerOlt: 2
+  };
+
+  const change = (id, newStatus, overrides = {}) => {
+    clock += 1000;
+    mockOnuService.emit('status_change', {
+      unique_external_id: id,
+      name: `ONU ${id}`,
+      olt_id: '1',
+      olt_name: 'OLT-1',
+      zone_name: 'Zone A',
+      odb_name: 'ODB-A',
+      board: '1',
+      port: '1',
+      onu: id,
+      old_status: newStatus === 'Online' ? 'LOS' : 'Online',
+      new_status: newStatus,
+      timestamp: new Date(clock).toISOString(),
+      ...overrides
+    });
+  };
+
+  beforeEach(() => {
+    clock = Date.parse('2024-01-01T00:00:00Z');
+    mockOnuService = new EventEmitter();
+    incidentService = new IncidentService(mockOnuService, config);
+  });
+
+  test('should open an ONU-level incident for an isolated failure', () => {
+    change('a1', 'LOS');
+
+    const incidents = incidentService.getIncidents();
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].level).toBe('onu');
+    expect(incidents[0].description).toBe('ONU ONU a1');
+  });
+
+  test('should group ONUs behind the same ODB into one incident', () => {
+    change('a1', 'LOS');
+    change('a2', 'LOS');
+    change('a3', 'LOS');
+
+    const incidents = incidentService.getIncidents();
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].level).toBe('odb');
+    expect(incidents[0].affected_count).toBe(3);
+    expect(incidents[0].scope.odb_name).toBe('ODB-A');
+  });
+
+  test('should escalate to PON port when several ODBs on one port fail', () => {
+    change('a1', 'LOS');
+    change('a2', 'LOS');
+    change('b1', 'LOS', { odb_name: 'ODB-B' });
+    change('b2', 'LOS', { odb_name: 'ODB-B' });
+
+    const incidents = incidentService.getIncidents();
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].level).toBe('pon_port');
+    expect(incidents[0].description).toBe('PON 1/1 on OLT-1');
+  });
+
+  test('should escalate to OLT when several PON ports fail', () => {
+    ['1', '2'].forEach(port => {
+      change(`a${port}1`, 'LOS', { port, odb_name: `ODB-${port}A` });
+      change(`a${port}2`, 'LOS', { port, odb_name: `ODB-${port}A` });
+      change(`b${port}1`, 'LOS', { port, odb_name: `ODB-${port}B` });
+      change(`b${port}2`, 'LOS', { port, odb_name: `ODB-${port}B` });
+    });
+
+    const incidents = incidentService.getIncidents();
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].level).toBe('olt');
+    expect(incidents[0].affected_count).toBe(8);
+  });
+
+  test('should not correlate failures outside the window', () => {
+    change('a1', 'LOS');
+    clock += 10 * 60 * 1000;
+    change('a2', 'LOS');
+
+    const incidents = incidentService.getIncidents();
+    expect(incidents).toHaveLength(2);
+    expect(incidents.every(incident => incident.level === 'onu')).toBe(true);
+  });
+
+  test('should not correlate failures on different OLTs', () => {
+    change('a1', 'LOS');
+    change('a2', 'LOS', { olt_id: '2' });
+
+    expect(incidentService.getIncidents()).toHaveLength(2);
+  });
+
+  test('should resolve the incident when every ONU is back online', () => {
+    const resolved = jest.fn();
+    incidentService.on('incident_resolved', resolved);
+
+    change('a1', 'LOS');
+    change('a2', 'Power Fail');
+    change('a1', 'Online');
+
+    expect(incidentService.getIncidents({ active: 'true' })).toHaveLength(1);
+    expect(incidentService.getIncidents()[0].down_count).toBe(1);
+
+    change('a2', 'Online');
+
+    expect(incidentService.getIncidents({ active: 'true' })).toHaveLength(0);
+    expect(resolved).toHaveBeenCalledTimes(1);
+    expect(resolved.mock.calls[0][0].state).toBe('resolved');
+    expect(resolved.mock.calls[0][0].resolved_by).toBe('system');
+    expect(resolved.mock.calls[0][0].time_to_repair).toBe(3);
+  });
+
+  test('should resolve members that are Online in an inventory snapshot', () => {
+    change('a1', 'LOS');
+
+    mockOnuService.emit('inventory', {
+      fetched_at: new Date(clock + 60000).toISOString(),
+      onus: [{ unique_external_id: 'a1', status: 'Online' }]
+    });
+
+    const [incident] = incidentService.getIncidents();
+    expect(incident.state).toBe('resolved');
+    expect(incident.time_to_repair).toBe(60);
+  });
+
+  test('should emit opened and updated events', () => {
+    const opened = jest.fn();
+    const updated = jest.fn();
+    incidentService.on('incident_opened', opened);
+    incidentService.on('incident_updated', updated);
+
+    change('a1', 'LOS');
+    change('a2', 'LOS');
+
+    expect(opened).toHaveBeenCalledTimes(1);
+    expect(updated).toHaveBeenCalledTimes(1);
+    expect(updated.mock.calls[0][0].level).toBe('odb');
+  });
+
+  describe('lifecycle', () => {
+    let incidentId;
+
+    beforeEach(() => {
+      change('a1', 'LOS');
+      incidentId = incidentService.getIncidents()[0].id;
+    });
+
+    test('should acknowledge an open incident once', () => {
+      const incident = incidentService.acknowledge(incidentId, { by: 'noc', note: 'Looking into it' });
+
+      expect(incident.state).toBe('acknowledged');
+      expect(incident.acknowledged_by).toBe('noc');
+      expect(incident.time_to_acknowledge).not.toBeNull();
+      expect(incident.notes.map(n => n.type)).toEqual(['opened', 'acknowledged']);
+      expect(() => incidentService.acknowledge(incidentId)).toThrow('already acknowledged');
+    });
+
+    test('should assign and annotate incidents', () => {
+      expect(() => incidentService.assign(incidentId, {})).toThrow('assignee is required');
+
+      incidentService.assign(incidentId, { assignee: 'Budi', by: 'noc' });
+      const incident = incidentService.addNote(incidentId, { by: 'Budi', text: 'Fiber cut near pole 12' });
+
+      expect(incident.assigned_to).toBe('Budi');
+      expect(incident.notes[incident.notes.length - 1].text).toBe('Fiber cut near pole 12');
+    });
+
+    test('should resolve manually and reject further actions', () => {
+      const incident = incidentService.resolve(incidentId, { by: 'Budi', note: 'Spliced' });
+
+      expect(incident.state).toBe('resolved');
+      expect(incident.resolved_by).toBe('Budi');
+      expect(() => incidentService.resolve(incidentId)).toThrow('already resolved');
+    });
+
+    test('should return null for unknown incidents', () => {
+      expect(incidentService.acknowledge('missing')).toBeNull();
+      expect(incidentService.getIncident('missing')).toBeNull();
+    });
+
+    test('should compute MTTR per level', () => {
+      change('a1', 'Online');
+
+      const metrics = incidentService.getMetrics();
+      expect(metrics.count).toBe(1);
+      expect(metrics.resolved).toBe(1);
+      expect(metrics.mttr_seconds).toBe(1);
+      expect(metrics.by_level.onu.count).toBe(1);
+      expect(metrics.by_level.olt.count).toBe(0);
+    });
+
+    test('should reject invalid metric periods', () => {
+      expect(() => incidentService.parseMetricsFilters({ from: 'last week' })).toThrow(/Invalid date range/);
+      expect(() => incidentService.getMetrics({ to: 'now' })).toThrow(/Invalid date range/);
+      expect(incidentService.parseMetricsFilters({})).toEqual({ from: null, to: null });
+    });
+  });
+
+  describe('persistence', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'incidents-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should reload incidents across restarts', () => {
+      const store = new IncidentStore({ file: path.join(tmpDir, 'incidents.json') });
+      incidentService = new IncidentService(mockOnuService, config, store);
+
+      change('a1', 'LOS');
+      const [incident] = incidentService.getIncidents();
+      incidentService.acknowledge(incident.id, { by: 'noc' });
+
+      const restarted = new IncidentService(new EventEmitter(), config, store);
+      const reloaded = restarted.getIncident(incident.id);
+
+      expect(reloaded.state).toBe('acknowledged');
+      expect(reloaded.acknowledged_by).toBe('noc');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InventorySnapshotStore = require('../../src/services/inventorySnapshotStore');
+const OnuService = require('../../src/services/onuService');
+const CacheService = require('../../src/services/cacheService');
+
+describe('InventorySnapshotStore', () => {
+  let tmpDir;
+
+  const snapshot = (n, fetchedAt = '2026-01-01T00:00:00.000Z') => ({
+    fetched_at: fetchedAt,
+    onus: Array.from({ length: n }, (_, i) => ({ unique_external_id: `onu${i}`, status: 'Online', latitude: -7.5, longitude: 112.2 }))
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('saves versioned snapshots and loads the newest', () => {
+    const store = new InventorySnapshotStore({ dir: tmpDir });
+
+    expect(store.save(snapshot(1))).toBe(1);
+    expect(store.save(snapshot(2, '2026-01-01T01:00:00.000Z'))).toBe(2);
+
+    expect(store.latest()).toMatchObject({ version: 2, count: 2, fetched_at: '2026-01-01T01:00:00.000Z' });
+    expect(store.load(1).onus).toHaveLength(1);
+    expect(store.load(9)).toBeNull();
+    expect(store.list().map(entry => entry.fetched_at)).toEqual(['2026-01-01T01:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+  });
+
+  test('continues the version count after a restart', () => {
+    new InventorySnapshotStore({ dir: tmpDir }).save(snapshot(1));
+
+    expect(new InventorySnapshotStore({ dir: tmpDir }).save(snapshot(1))).toBe(2);
+  });
+
+  test('keeps at most maxSnapshots files', () => {
+    const store = new InventorySnapshotStore({ dir: tmpDir, maxSnapshots: 2 });
+    [1, 2, 3].forEach(n => store.save(snapshot(n)));
+
+    expect(store.list().map(entry => entry.version)).toEqual([3, 2]);
+  });
+
+  test('still reports a saved snapshot when pruning fails', () => {
+    const store = new InventorySnapshotStore({ dir: tmpDir, maxSnapshots: 1 });
+    store.save(snapshot(1));
+    const unlink = jest.spyOn(fs, 'unlinkSync').mockImplementation(() => {
+      throw Object.assign(new Error('EACCES: permission denied'), { code: 'EACCES' });
+    });
+
+    expect(store.save(snapshot(2))).toBe(2);
+
+    unlink.mockRestore();
+    expect(store.latest().version).toBe(2);
+  });
+
+  test('skips damaged files', () => {
+    const store = new InventorySnapshotStore({ dir: tmpDir });
+    store.save(snapshot(1));
+    fs.writeFileSync(path.join(tmpDir, 'inventory-v000002-2026-01-01T02-00-00-000Z.json.gz'), 'not gzip');
+
+    expect(store.latest().version).toBe(1);
+  });
+
+  describe('restoring OnuService', () => {
+    const config = (pollerEnabled) => ({
+      cache: { ttl: { onuDetails: 3600, onuStatus: 60, gps: 3600 } },
+      poller: { enabled: pollerEnabled, interval: 1200 }
+    });
+
+    test('restores the poller snapshot without calling the API', async () => {
+      const store = new InventorySnapshotStore({ dir: tmpDir });
+      store.save(snapshot(3));
+      const api = { getAllOnusDetails: jest.fn() };
+      const onuService = new OnuService(api, new CacheService(config(true).cache), config(true), null, null, null, store);
+
+      onuService.restoreInventory();
+
+      expect(await onuService.getAllOnusWithDetails()).toHaveLength(3);
+      expect(onuService.getLastStatistics()).toMatchObject({ online: 3, fetched_at: '2026-01-01T00:00:00.000Z' });
+      expect(api.getAllOnusDetails).not.toHaveBeenCalled();
+      onuService.cache.cache.close();
+    });
+
+    test('warms the on-demand cache and saves unfiltered fetches', async () => {
+      const store = new InventorySnapshotStore({ dir: tmpDir });
+      store.save(snapshot(2, new Date().toISOString()));
+      const api = { getAllOnusDetails: jest.fn().mockResolvedValue({ status: true, onus: snapshot(4).onus }) };
+      const onuService = new OnuService(api, new CacheService(config(false).cache), config(false), null, null, null, store);
+
+      onuService.restoreInventory();
+
+      expect(await onuService.getOnusWithGps()).toHaveLength(2);
+      expect(api.getAllOnusDetails).not.toHaveBeenCalled();
+
+      onuService.cache.flush();
+      onuService.cache.lastKnownGood.clear();
+      await onuService.getAllOnusWithDetails();
+
+      expect(store.latest()).toMatchObject({ version: 2, count: 4 });
+      onuService.cache.cache.close();
+    });
+  });
+});
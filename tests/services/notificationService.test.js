@@ -0,0 +1,259 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const NotificationService = require('../../src/services/notificationService');
+const { WebhookChannel, TelegramChannel, EmailChannel } = require('../../src/services/notificationChannels');
+
+describe('NotificationService', () => {
+  let mockIncidentService;
+  let mockOnuService;
+
+  const baseConfig = {
+    rulesFile: null,
+    defaultRule: { name: 'default', min_affected: 1 }
+  };
+
+  const fakeChannel = (name, send = jest.fn().mockResolvedValue()) => ({ name, send });
+
+  const incident = (overrides = {}) => ({
+    id: 'inc-1',
+    level: 'odb',
+    description: 'ODB ODB-A',
+    state: 'open',
+    scope: { olt_id: '1', olt_name: 'OLT-1', odb_name: 'ODB-A' },
+    affected_count: 3,
+    down_count: 3,
+    status_counts: { LOS: 3 },
+    started_at: '2024-01-01T00:00:00.000Z',
+    resolved_at: null,
+    onus: [
+      { unique_external_id: 'a1', zone_name: 'Zone A', odb_name: 'ODB-A' },
+      { unique_external_id: 'a2', zone_name: 'Zone A', odb_name: 'ODB-A' },
+      { unique_external_id: 'a3', zone_name: 'Zone A', odb_name: 'ODB-A' }
+    ],
+    ...overrides
+  });
+
+  const createService = (rule, channels) => new NotificationService(
+    mockOnuService,
+    mockIncidentService,
+    { ...baseConfig, defaultRule: { ...baseConfig.defaultRule, ...rule } },
+    channels
+  );
+
+  beforeEach(() => {
+    mockOnuService = new EventEmitter();
+    mockIncidentService = new EventEmitter();
+  });
+
+  describe('rules', () => {
+    test('should alert on opened incidents and on resolution', async () => {
+      const channel = fakeChannel('webhook');
+      const service = createService({}, [channel]);
+
+      await service.handleIncident(incident(), 'incident_opened');
+      await service.handleIncident(incident({ state: 'resolved', status_counts: {} }), 'incident_resolved');
+
+      expect(channel.send).toHaveBeenCalledTimes(2);
+      expect(channel.send.mock.calls[0][0].title).toBe('Incident opened: ODB ODB-A');
+      expect(channel.send.mock.calls[1][0].title).toBe('Incident resolved: ODB ODB-A');
+    });
+
+    test('should wait for the minimum affected count', async () => {
+      const channel = fakeChannel('webhook');
+      const service = createService({ min_affected: 3 }, [channel]);
+
+      await service.handleIncident(incident({ level: 'onu', affected_count: 1 }), 'incident_opened');
+      await service.handleIncident(incident({ level: 'onu', affected_count: 1, status_counts: {} }), 'incident_resolved');
+      expect(channel.send).not.toHaveBeenCalled();
+
+      await service.handleIncident(incident({ id: 'inc-2', affected_count: 2 }), 'incident_opened');
+      await service.handleIncident(incident({ id: 'inc-2' }), 'incident_updated');
+      expect(channel.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should alert again only when the incident escalates', async () => {
+      const channel = fakeChannel('webhook');
+      const service = createService({}, [channel]);
+
+      await service.handleIncident(incident(), 'incident_opened');
+      await service.handleIncident(incident(), 'incident_updated');
+      await service.handleIncident(incident({ level: 'pon_port', description: 'PON 1/1 on OLT-1' }), 'incident_updated');
+
+      expect(channel.send).toHaveBeenCalledTimes(2);
+      expect(channel.send.mock.calls[1][0].title).toBe('Incident escalated: PON 1/1 on OLT-1');
+    });
+
+    test('should filter by status, zone, OLT and ODB', async () => {
+      const channel = fakeChannel('webhook');
+
+      await createService({ statuses: ['Power Fail'] }, [channel]).handleIncident(incident(), 'incident_opened');
+      await createService({ zones: ['Zone B'] }, [channel]).handleIncident(incident(), 'incident_opened');
+      await createService({ olt_ids: ['2'] }, [channel]).handleIncident(incident(), 'incident_opened');
+      await createService({ odbs: ['ODB-Z'] }, [channel]).handleIncident(incident(), 'incident_opened');
+      expect(channel.send).not.toHaveBeenCalled();
+
+      await createService({ statuses: ['LOS'], zones: ['Zone A'], olt_ids: ['1'] }, [channel])
+        .handleIncident(incident(), 'incident_opened');
+      expect(channel.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should send status changes only to rules that ask for them', async () => {
+      const channel = fakeChannel('telegram');
+      const service = createService({ events: ['status_change'], statuses: ['LOS'] }, [channel]);
+
+      mockOnuService.emit('status_change', {
+        unique_external_id: 'a1', name: 'ONU a1', old_status: 'Online', new_status: 'Power Fail'
+      });
+      await service.handleStatusChange({
+        unique_external_id: 'a1', name: 'ONU a1', old_status: 'Online', new_status: 'LOS', odb_name: 'ODB-A'
+      });
+
+      expect(channel.send).toHaveBeenCalledTimes(1);
+      expect(channel.send.mock.calls[0][0].title).toBe('ONU ONU a1: Online -> LOS');
+    });
+
+    test('should restrict rules to their channels', async () => {
+      const webhook = fakeChannel('webhook');
+      const email = fakeChannel('email');
+      const service = createService({ channels: ['email'] }, [webhook, email]);
+
+      await service.handleIncident(incident(), 'incident_opened');
+
+      expect(webhook.send).not.toHaveBeenCalled();
+      expect(email.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should load rules from a JSON file', () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+      const rulesFile = path.join(tmpDir, 'rules.json');
+      fs.writeFileSync(rulesFile, JSON.stringify([
+        { name: 'night-shift', min_affected: 5, quiet_hours: '22:00-06:00' },
+        { channels: ['email'] }
+      ]));
+
+      const service = new NotificationService(null, null, { ...baseConfig, rulesFile }, []);
+      const { rules } = service.getStatus();
+
+      expect(rules.map(rule => rule.name)).toEqual(['night-shift', 'rule-2']);
+      expect(rules[0].quiet_hours).toBe('22:00-06:00');
+      expect(rules[1].events).toEqual(['incident_opened', 'incident_resolved']);
+
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+  });
+
+  describe('quiet hours', () => {
+    test('should handle ranges that wrap around midnight', () => {
+      const service = createService({ quiet_hours: '22:00-06:00' }, []);
+      const [rule] = service.rules;
+
+      expect(service.isQuietTime(rule, new Date(2024, 0, 1, 23, 30))).toBe(true);
+      expect(service.isQuietTime(rule, new Date(2024, 0, 1, 5, 59))).toBe(true);
+      expect(service.isQuietTime(rule, new Date(2024, 0, 1, 6, 0))).toBe(false);
+      expect(service.isQuietTime(rule, new Date(2024, 0, 1, 12, 0))).toBe(false);
+    });
+
+    test('should suppress alerts during quiet hours', async () => {
+      const channel = fakeChannel('webhook');
+      const service = createService({ quiet_hours: '00:00-23:59' }, [channel]);
+      jest.spyOn(service, 'isQuietTime').mockReturnValue(true);
+
+      await service.handleIncident(incident(), 'incident_opened');
+
+      expect(channel.send).not.toHaveBeenCalled();
+      expect(service.getStatus().deliveries[0].status).toBe('suppressed');
+    });
+
+    test('should reject malformed quiet hours', () => {
+      const service = createService({}, []);
+
+      expect(() => service.parseQuietHours('nights')).toThrow('Invalid quiet_hours');
+    });
+
+    test('should drop malformed default quiet hours instead of failing startup', () => {
+      const service = createService({ quiet_hours: 'nights', min_affected: 3 }, []);
+
+      expect(service.rules[0]).toMatchObject({ name: 'default', min_affected: 3, quiet_hours: null });
+    });
+  });
+
+  describe('delivery', () => {
+    test('should record failures without throwing', async () => {
+      const channel = fakeChannel('webhook', jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')));
+      const service = createService({}, [channel]);
+
+      const deliveries = await service.handleIncident(incident(), 'incident_opened');
+
+      expect(deliveries[0].status).toBe('failed');
+      expect(deliveries[0].error).toBe('connect ECONNREFUSED');
+    });
+
+    test('should reject test messages to unknown channels', async () => {
+      const service = createService({}, [fakeChannel('webhook')]);
+
+      await expect(service.sendTest('pager')).rejects.toThrow('Unknown notification channel');
+      expect((await service.sendTest('webhook'))[0].status).toBe('sent');
+    });
+  });
+
+  describe('channels', () => {
+    let server;
+    let requests;
+    let baseUrl;
+
+    const alert = { title: 'Incident opened: ODB ODB-A', message: 'Level: odb' };
+
+    beforeEach(done => {
+      requests = [];
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          requests.push({ url: req.url, body: JSON.parse(body) });
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ ok: true }));
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    test('webhook should POST the alert as JSON', async () => {
+      await new WebhookChannel({ url: `${baseUrl}/hook` }).send(alert);
+
+      expect(requests[0].url).toBe('/hook');
+      expect(requests[0].body.title).toBe(alert.title);
+    });
+
+    test('telegram should call sendMessage on the configured API base', async () => {
+      await new TelegramChannel({ apiBase: baseUrl, botToken: 'TOKEN', chatId: '-100' }).send(alert);
+
+      expect(requests[0].url).toBe('/botTOKEN/sendMessage');
+      expect(requests[0].body.chat_id).toBe('-100');
+      expect(requests[0].body.text).toBe('Incident opened: ODB ODB-A\n\nLevel: odb');
+    });
+
+    test('email should send the alert through the transport', async () => {
+      const transport = nodemailer.createTransport({ jsonTransport: true });
+      const sendMail = jest.spyOn(transport, 'sendMail');
+
+      await new EmailChannel({ from: 'noc@example.com', to: 'oncall@example.com' }, transport).send(alert);
+
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'oncall@example.com',
+        subject: alert.title,
+        text: alert.message
+      }));
+    });
+  });
+});
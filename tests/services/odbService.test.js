@@ -0,0 +1,123 @@
+const OdbService = require('../../src/services/odbService');
+
+describe('OdbService', () => {
+  let odbService;
+  let mockApiService;
+  let mockCacheService;
+  let cacheStore;
+
+  const rawOdbs = [
+    { id: 1, name: 'ODB-01', nr_of_ports: '8', latitude: '-7.55', longitude: '112.23', zone_id: 3, zone_name: 'City Centre' },
+    { id: 2, name: 'ODB-02', nr_of_ports: '16', latitude: '', longitude: '0', zone_id: 4, zone_name: 'North' }
+  ];
+
+  beforeEach(() => {
+    cacheStore = new Map();
+
+    mockApiService = {
+      getOdbs: jest.fn().mockResolvedValue({ status: true, response: rawOdbs }),
+      getOdbById: jest.fn()
+    };
+
+    mockCacheService = {
+      get: jest.fn(key => cacheStore.get(key) || null),
+      set: jest.fn((key, value) => cacheStore.set(key, value))
+    };
+
+    odbService = new OdbService(mockApiService, mockCacheService, {
+      cache: { ttl: { odbs: 3600 } }
+    });
+  });
+
+  describe('normalizeOdb', () => {
+    test('should parse coordinates and capacity', () => {
+      expect(odbService.normalizeOdb(rawOdbs[0])).toEqual({
+        id: '1',
+        name: 'ODB-01',
+        latitude: -7.55,
+        longitude: 112.23,
+        has_coordinates: true,
+        capacity: 8,
+        zone_id: '3',
+        zone_name: 'City Centre'
+      });
+    });
+
+    test('should flag ODBs without usable coordinates', () => {
+      const odb = odbService.normalizeOdb(rawOdbs[1]);
+
+      expect(odb.has_coordinates).toBe(false);
+      expect(odb.latitude).toBeNull();
+    });
+  });
+
+  describe('getOdbs', () => {
+    test('should serve the last known registry when SmartOLT fails after the TTL', async () => {
+      await odbService.getOdbs();
+      cacheStore.clear();
+      mockApiService.getOdbs.mockRejectedValue(new Error('timeout of 30000ms exceeded'));
+
+      expect(await odbService.getOdbs()).toHaveLength(2);
+    });
+
+    test('should fail when nothing was ever fetched', async () => {
+      mockApiService.getOdbs.mockRejectedValue(new Error('timeout of 30000ms exceeded'));
+
+      await expect(odbService.getOdbs()).rejects.toThrow('timeout');
+    });
+
+    test('should fetch once and serve later calls from cache', async () => {
+      await odbService.getOdbs();
+      const odbs = await odbService.getOdbs();
+
+      expect(odbs).toHaveLength(2);
+      expect(mockApiService.getOdbs).toHaveBeenCalledTimes(1);
+      expect(mockCacheService.set).toHaveBeenCalledWith('odbs_all', expect.any(Array), 3600);
+    });
+
+    test('should filter by zone name or ID', async () => {
+      expect(await odbService.getOdbs({ zone: 'North' })).toHaveLength(1);
+      expect(await odbService.getOdbs({ zone: '3' })).toHaveLength(1);
+    });
+
+    test('should reject invalid responses', async () => {
+      mockApiService.getOdbs.mockResolvedValue({ status: true });
+
+      await expect(odbService.getOdbs()).rejects.toThrow('Invalid response from get_odbs');
+    });
+  });
+
+  describe('getOdbById', () => {
+    test('should use the cached registry when available', async () => {
+      await odbService.getOdbs();
+
+      const odb = await odbService.getOdbById(2);
+
+      expect(odb.name).toBe('ODB-02');
+      expect(mockApiService.getOdbById).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to get_odb', async () => {
+      mockApiService.getOdbById.mockResolvedValue({ status: true, response: rawOdbs[0] });
+
+      const odb = await odbService.getOdbById('1');
+
+      expect(odb.capacity).toBe(8);
+      expect(mockApiService.getOdbById).toHaveBeenCalledWith('1');
+    });
+
+    test('should return null for an empty response list', async () => {
+      mockApiService.getOdbById.mockResolvedValue({ status: true, response: [] });
+
+      expect(await odbService.getOdbById('99')).toBeNull();
+      expect(mockCacheService.set).not.toHaveBeenCalledWith('odb_99', expect.anything(), expect.anything());
+    });
+  });
+
+  describe('getOdbByName', () => {
+    test('should find ODBs by name', async () => {
+      expect((await odbService.getOdbByName('ODB-01')).id).toBe('1');
+      expect(await odbService.getOdbByName('missing')).toBeNull();
+    });
+  });
+});
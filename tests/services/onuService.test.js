@@ -29,7 +29,10 @@ describe('OnuService', () => {
     mockCacheService = {
       get: jest.fn(),
       set: jest.fn(),
-      del: jest.fn()
+      del: jest.fn(),
+      remember: jest.fn(),
+      getLastKnownGood: jest.fn().mockReturnValue(null),
+      revalidate: jest.fn()
     };
 
     onuService = new OnuService(mockApiService, mockCacheService, config);
@@ -71,7 +74,7 @@ describe('OnuService', () => {
   describe('getAllOnusWithDetails', () => {
     test('should return cached data when available', async () => {
       const cachedData = [{ id: '1', status: 'Online' }];
-      mockCacheService.get.mockReturnValue(cachedData);
+      mockCacheService.get.mockReturnValue({ onus: cachedData, fetched_at: '2026-01-01T00:00:00.000Z' });
 
       const result = await onuService.getAllOnusWithDetails();
 
@@ -117,6 +120,65 @@ describe('OnuService', () => {
       expect(mockCacheService.set).toHaveBeenCalled();
     });
 
+    test('should serve the last known data past the TTL and refresh in the background', async () => {
+      const lastKnown = [{ unique_external_id: 'onu1', status: 'Online' }];
+      mockCacheService.get.mockReturnValue(null);
+      mockCacheService.getLastKnownGood.mockReturnValue({
+        value: { onus: lastKnown, fetched_at: '2026-01-01T00:00:00.000Z' },
+        fetched_at: '2026-01-01T00:00:00.000Z',
+        stale: true
+      });
+
+      const result = await onuService.getAllOnusWithDetails();
+
+      expect(result).toEqual(lastKnown);
+      expect(mockApiService.getAllOnusDetails).not.toHaveBeenCalled();
+      expect(mockCacheService.revalidate).toHaveBeenCalledWith('inventory', expect.any(Function));
+      expect(onuService.getFreshness()).toMatchObject({ stale: true, fetched_at: '2026-01-01T00:00:00.000Z' });
+    });
+
+    test('should not refresh while the details quota is exhausted', async () => {
+      const resetAt = new Date(Date.now() + 600000);
+      mockApiService.rateLimiter = { nextCallTime: jest.fn().mockReturnValue(resetAt) };
+      mockCacheService.get.mockReturnValue(null);
+      mockCacheService.getLastKnownGood.mockReturnValue({
+        value: { onus: [], fetched_at: '2026-01-01T00:00:00.000Z' },
+        fetched_at: '2026-01-01T00:00:00.000Z',
+        stale: true
+      });
+
+      await onuService.getOnusWithGps();
+
+      expect(mockCacheService.revalidate).not.toHaveBeenCalled();
+      expect(mockApiService.rateLimiter.nextCallTime).toHaveBeenCalledWith('details', 'background');
+      expect(onuService.getFreshness().next_refresh_possible_at).toBe(resetAt.toISOString());
+    });
+
+    test('should fetch the unfiltered inventory once for every filter combination', async () => {
+      const inventoryCache = new Map();
+      mockCacheService.get.mockImplementation(key => inventoryCache.get(key) || null);
+      mockCacheService.remember.mockImplementation((key, value) => inventoryCache.set(key, value));
+      mockApiService.getAllOnusDetails.mockResolvedValue({
+        status: true,
+        onus: [
+          { unique_external_id: 'onu1', status: 'Online', olt_id: '1', board: '1', port: '1', zone_name: 'A', odb_name: 'ODB1', latitude: '-7.5', longitude: '112.2' },
+          { unique_external_id: 'onu2', status: 'LOS', olt_id: '2', board: '1', port: '2', zone_name: 'B', odb_name: 'ODB2', latitude: '0', longitude: '0' }
+        ]
+      });
+
+      const byOlt = await onuService.getAllOnusWithDetails({ olt_id: '2', port: '2' });
+      const byZone = await onuService.getAllOnusWithDetails({ port: '2', olt_id: '2' });
+      const withGps = await onuService.getOnusWithGps({ zone: 'A' });
+      const stats = await onuService.getStatistics({ odb: 'ODB2' });
+
+      expect(byOlt.map(onu => onu.unique_external_id)).toEqual(['onu2']);
+      expect(byZone).toEqual(byOlt);
+      expect(withGps.map(onu => onu.unique_external_id)).toEqual(['onu1']);
+      expect(stats).toMatchObject({ total: 1, los: 1 });
+      expect(mockApiService.getAllOnusDetails).toHaveBeenCalledTimes(1);
+      expect(mockApiService.getAllOnusDetails).toHaveBeenCalledWith({}, { priority: 'normal' });
+    });
+
     test('should handle API errors gracefully', async () => {
       mockCacheService.get.mockReturnValue(null);
       mockApiService.getAllOnusDetails.mockRejectedValue(new Error('API Error'));
@@ -126,6 +188,267 @@ describe('OnuService', () => {
     });
   });
 
+  describe('refreshInventory', () => {
+    const mockOnus = [
+      { unique_external_id: 'onu1', status: 'Online', olt_id: '1', board: '1', port: '1', zone_name: 'A', odb_name: 'ODB1', latitude: '-7.5', longitude: '112.2' },
+      { unique_external_id: 'onu2', status: 'LOS', olt_id: '1', board: '1', port: '2', zone_name: 'B', odb_name: 'ODB2', latitude: '0', longitude: '0' }
+    ];
+
+    beforeEach(() => {
+      config.poller = { enabled: true, interval: 1200 };
+      mockCacheService.get.mockReturnValue(null);
+      mockApiService.getAllOnusDetails.mockResolvedValue({ status: true, onus: mockOnus });
+    });
+
+    test('should fetch the unfiltered inventory once', async () => {
+      const snapshot = await onuService.refreshInventory();
+
+      expect(mockApiService.getAllOnusDetails).toHaveBeenCalledWith({}, { priority: 'background' });
+      expect(snapshot.onus).toHaveLength(2);
+      expect(snapshot.fetched_at).toBeDefined();
+    });
+
+    test('should detect status changes against the previous snapshot', async () => {
+      await onuService.refreshInventory();
+
+      mockApiService.getAllOnusDetails.mockResolvedValue({
+        status: true,
+        onus: [{ ...mockOnus[0], status: 'LOS' }, mockOnus[1]]
+      });
+      await onuService.refreshInventory();
+
+      expect(onuService.statusHistory.recentLos).toHaveLength(1);
+      expect(onuService.statusHistory.recentLos[0].unique_external_id).toBe('onu1');
+    });
+
+    test('should serve filtered views from the snapshot without calling the API', async () => {
+      await onuService.refreshInventory();
+
+      const byPort = await onuService.getAllOnusWithDetails({ port: '2' });
+      const withGps = await onuService.getOnusWithGps({ olt_id: '1' });
+
+      expect(byPort.map(onu => onu.unique_external_id)).toEqual(['onu2']);
+      expect(withGps.map(onu => onu.unique_external_id)).toEqual(['onu1']);
+      expect(mockApiService.getAllOnusDetails).toHaveBeenCalledTimes(1);
+    });
+
+    test('should emit statistics with the delta since the previous snapshot', async () => {
+      const listener = jest.fn();
+      onuService.on('statistics', listener);
+
+      await onuService.refreshInventory();
+      mockApiService.getAllOnusDetails.mockResolvedValue({
+        status: true,
+        onus: [{ ...mockOnus[0], status: 'LOS' }, mockOnus[1]]
+      });
+      await onuService.refreshInventory();
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0]).toMatchObject({
+        online: 0,
+        los: 2,
+        delta: { online: -1, los: 1 }
+      });
+    });
+
+    test('should share a pending refresh only with callers of the same or lower priority', async () => {
+      const background = onuService.refreshInventory();
+      const poll = onuService.refreshInventory();
+      const operator = onuService.refreshInventory({ priority: 'normal' });
+
+      await Promise.all([background, poll, operator]);
+
+      expect(mockApiService.getAllOnusDetails).toHaveBeenCalledTimes(2);
+      expect(mockApiService.getAllOnusDetails).toHaveBeenLastCalledWith({}, { priority: 'normal' });
+    });
+
+    test('should not fail an operator read when a pending background refresh is dropped', async () => {
+      mockApiService.getAllOnusDetails
+        .mockRejectedValueOnce(new Error('Dropped background details request'))
+        .mockResolvedValueOnce({ status: true, onus: mockOnus });
+
+      const background = onuService.refreshInventory();
+      const operator = onuService.refreshInventory({ priority: 'normal' });
+
+      await expect(background).rejects.toThrow('Dropped background');
+      await expect(operator).resolves.toMatchObject({ onus: expect.any(Array) });
+      expect(onuService.inventoryError).toBeNull();
+    });
+
+    test('should fail reads before the first snapshot is available', async () => {
+      await expect(onuService.getAllOnusWithDetails())
+        .rejects.toThrow(/not loaded yet/);
+    });
+  });
+
+  describe('signal monitoring', () => {
+    test('should parse SmartOLT signal values into dBm', () => {
+      expect(onuService.parseSignalDbm('-23.45')).toBe(-23.45);
+      expect(onuService.parseSignalDbm('-26.1 dBm')).toBe(-26.1);
+      expect(onuService.parseSignalDbm(-19)).toBe(-19);
+      expect(onuService.parseSignalDbm('')).toBeNull();
+      expect(onuService.parseSignalDbm('-')).toBeNull();
+      expect(onuService.parseSignalDbm(undefined)).toBeNull();
+    });
+
+    test('should classify RX power against the configured thresholds', () => {
+      config.signal = { warning: -24, critical: -26 };
+
+      expect(onuService.classifySignal(-20)).toBe('ok');
+      expect(onuService.classifySignal(-24.5)).toBe('warning');
+      expect(onuService.classifySignal(-26.5)).toBe('critical');
+      expect(onuService.classifySignal(null)).toBe('unknown');
+    });
+
+    test('should fall back to OLT RX power when ONU RX is missing', () => {
+      expect(onuService.describeSignal('', '-28.2')).toEqual({
+        rx_power: null,
+        olt_rx_power: -28.2,
+        signal_level: 'critical'
+      });
+    });
+
+    describe('with an inventory snapshot', () => {
+      const onus = [
+        { unique_external_id: 'onu1', status: 'Online', signal_1490: '-20.1', signal_1310: '-22' },
+        { unique_external_id: 'onu2', status: 'Online', signal_1490: '-27.9', signal_1310: '-29' },
+        { unique_external_id: 'onu3', status: 'Online', signal_1490: '-25.4', signal_1310: '-26' },
+        { unique_external_id: 'onu4', status: 'LOS', signal_1490: '-30', signal_1310: '' }
+      ];
+
+      beforeEach(() => {
+        config.poller = { enabled: true, interval: 1200 };
+        mockCacheService.get.mockReturnValue(null);
+        mockApiService.getAllOnusDetails.mockResolvedValue({ status: true, onus });
+      });
+
+      test('should list Online ONUs with weak signal, weakest first', async () => {
+        await onuService.refreshInventory();
+
+        const weak = await onuService.getWeakSignalOnus();
+        const critical = await onuService.getWeakSignalOnus({}, 'critical');
+
+        expect(weak.map(onu => onu.unique_external_id)).toEqual(['onu2', 'onu3']);
+        expect(critical.map(onu => onu.unique_external_id)).toEqual(['onu2']);
+      });
+
+      test('should record readings of Online ONUs in the signal history', async () => {
+        const signalHistoryStore = { record: jest.fn(), query: jest.fn().mockReturnValue([]) };
+        onuService = new OnuService(mockApiService, mockCacheService, config, null, signalHistoryStore);
+
+        await onuService.refreshInventory();
+
+        expect(signalHistoryStore.record).toHaveBeenCalledTimes(3);
+        expect(signalHistoryStore.record).toHaveBeenCalledWith('onu2', expect.objectContaining({
+          rx_power: -27.9,
+          olt_rx_power: -29,
+          source: 'poll'
+        }));
+      });
+
+      test('should combine signal readings with status transitions', () => {
+        const signalHistoryStore = { query: jest.fn().mockReturnValue([{ rx_power: -20 }]) };
+        const historyStore = {
+          recent: jest.fn().mockReturnValue([]),
+          query: jest.fn().mockReturnValue({ events: [{ new_status: 'Online' }, { new_status: 'LOS' }] })
+        };
+        onuService = new OnuService(mockApiService, mockCacheService, config, historyStore, signalHistoryStore);
+
+        const history = onuService.getSignalHistory('onu1', { to: '2024-01-08T00:00:00.000Z' });
+
+        expect(history.from).toBe('2024-01-01T00:00:00.000Z');
+        expect(history.thresholds).toEqual({ warning: -25, critical: -27 });
+        expect(history.readings).toEqual([{ rx_power: -20 }]);
+        expect(history.status_changes.map(e => e.new_status)).toEqual(['LOS', 'Online']);
+        expect(historyStore.query).toHaveBeenCalledWith(expect.objectContaining({ unique_external_id: 'onu1' }));
+      });
+
+      test('should emit signal_degraded when the level worsens between snapshots', async () => {
+        const listener = jest.fn();
+        onuService.on('signal_degraded', listener);
+
+        await onuService.refreshInventory();
+        mockApiService.getAllOnusDetails.mockResolvedValue({
+          status: true,
+          onus: [{ ...onus[0], signal_1490: '-25.6' }, { ...onus[1], signal_1490: '-24' }, onus[2], onus[3]]
+        });
+        await onuService.refreshInventory();
+
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(listener.mock.calls[0][0]).toMatchObject({
+          unique_external_id: 'onu1',
+          old_level: 'ok',
+          new_level: 'warning',
+          old_rx_power: -20.1,
+          rx_power: -25.6
+        });
+      });
+    });
+  });
+
+  describe('refreshOnuStatuses', () => {
+    beforeEach(() => {
+      mockCacheService.get.mockReturnValue(null);
+    });
+
+    test('should queue a job and refresh each ONU via get_onu_status', async () => {
+      mockApiService.getOnuStatus.mockResolvedValue({ status: true, onu_status: 'Online' });
+
+      const job = onuService.refreshOnuStatuses(['onu1', 'onu2', 'onu1']);
+      expect(job.state).toBe('queued');
+      expect(job.total).toBe(2);
+
+      await onuService.refreshQueue;
+
+      const finished = onuService.getRefreshJob(job.id);
+      expect(finished.state).toBe('completed');
+      expect(finished.completed).toBe(2);
+      expect(mockApiService.getOnuStatus).toHaveBeenCalledTimes(2);
+      expect(mockCacheService.set).toHaveBeenCalledWith('status_onu1', 'Online', 60);
+      expect(mockCacheService.del).toHaveBeenCalledWith('onu_detail_onu1');
+    });
+
+    test('should track changes and update the snapshot in place', async () => {
+      onuService.inventory = {
+        fetched_at: new Date().toISOString(),
+        onus: [{ unique_external_id: 'onu1', name: 'Test', odb_name: 'ODB1', status: 'Online' }]
+      };
+      mockApiService.getOnuStatus.mockResolvedValue({ status: true, onu_status: 'LOS' });
+
+      const progress = jest.fn();
+      onuService.on('refresh_progress', progress);
+
+      const job = onuService.refreshOnuStatuses(['onu1']);
+      await onuService.refreshQueue;
+
+      expect(onuService.getRefreshJob(job.id).changed).toBe(1);
+      expect(onuService.inventory.onus[0].status).toBe('LOS');
+      expect(onuService.statusHistory.recentLos[0].odb_name).toBe('ODB1');
+      expect(progress.mock.calls.map(call => call[0].state)).toEqual(['running', 'running', 'completed']);
+    });
+
+    test('should record per-ONU failures without aborting the batch', async () => {
+      mockApiService.getOnuStatus
+        .mockRejectedValueOnce(new Error('Timeout'))
+        .mockResolvedValueOnce({ status: true, onu_status: 'Online' });
+
+      const job = onuService.refreshOnuStatuses(['onu1', 'onu2']);
+      await onuService.refreshQueue;
+
+      const finished = onuService.getRefreshJob(job.id);
+      expect(finished.failed).toBe(1);
+      expect(finished.results[0].error).toBe('Timeout');
+      expect(finished.results[1].status).toBe('Online');
+    });
+
+    test('should reject oversized batches', () => {
+      config.refresh = { maxBatch: 2 };
+
+      expect(() => onuService.refreshOnuStatuses(['a', 'b', 'c']))
+        .toThrow(/Too many ONUs/);
+    });
+  });
+
   describe('trackStatusChange', () => {
     test('should track LOS events', () => {
       const onu = {
@@ -188,6 +511,34 @@ describe('OnuService', () => {
 
       expect(onuService.statusHistory.recentLos).toHaveLength(50);
     });
+
+    test('should persist every transition to the history store', () => {
+      const historyStore = {
+        recent: jest.fn().mockReturnValue([]),
+        append: jest.fn()
+      };
+      onuService = new OnuService(mockApiService, mockCacheService, config, historyStore);
+
+      const onu = {
+        unique_external_id: 'test1',
+        name: 'Test ONU',
+        odb_name: 'ODB1',
+        olt_id: '1',
+        zone_name: 'Zone A'
+      };
+
+      onuService.trackStatusChange(onu, 'LOS', 'Online');
+      onuService.trackStatusChange(onu, 'Online', 'LOS');
+
+      expect(historyStore.append).toHaveBeenCalledTimes(2);
+      expect(historyStore.append.mock.calls[1][0]).toMatchObject({
+        unique_external_id: 'test1',
+        olt_id: '1',
+        zone_name: 'Zone A',
+        old_status: 'LOS',
+        new_status: 'Online'
+      });
+    });
   });
 
   describe('getOnuById', () => {
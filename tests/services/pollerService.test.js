@@ -0,0 +1,95 @@
+const PollerService = require('../../src/services/pollerService');
+
+describe('PollerService', () => {
+  let poller;
+  let mockOnuService;
+  let mockRateLimiter;
+
+  beforeEach(() => {
+    mockOnuService = {
+      inventory: null,
+      refreshInventory: jest.fn().mockResolvedValue({ onus: [] })
+    };
+
+    mockRateLimiter = {
+      minInterval: jest.fn().mockReturnValue(20 * 60 * 1000),
+      canCallEndpoint: jest.fn().mockReturnValue({ allowed: true })
+    };
+
+    poller = new PollerService(mockOnuService, mockRateLimiter, {
+      enabled: true,
+      interval: 60
+    });
+  });
+
+  afterEach(() => {
+    poller.stop();
+  });
+
+  describe('getInterval', () => {
+    test('should never poll faster than the details quota allows', () => {
+      expect(poller.getInterval()).toBe(20 * 60 * 1000);
+    });
+
+    test('should use the configured interval when it is longer', () => {
+      poller = new PollerService(mockOnuService, mockRateLimiter, {
+        enabled: true,
+        interval: 3600
+      });
+
+      expect(poller.getInterval()).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('poll', () => {
+    test('should refresh the inventory and schedule the next run', async () => {
+      await poller.poll();
+
+      expect(mockOnuService.refreshInventory).toHaveBeenCalledTimes(1);
+      expect(poller.lastSuccessAt).toBeInstanceOf(Date);
+      expect(poller.nextRunAt.getTime()).toBeGreaterThan(Date.now() + 19 * 60 * 1000);
+    });
+
+    test('should postpone polling while the quota is exhausted', async () => {
+      const resetTime = new Date(Date.now() + 10 * 60 * 1000);
+      mockRateLimiter.canCallEndpoint.mockReturnValue({ allowed: false, waitMinutes: 10, resetTime });
+
+      await poller.poll();
+
+      expect(mockOnuService.refreshInventory).not.toHaveBeenCalled();
+      expect(poller.nextRunAt.getTime()).toBeGreaterThanOrEqual(resetTime.getTime());
+    });
+
+    test('should record errors and keep polling', async () => {
+      mockOnuService.refreshInventory.mockRejectedValue(new Error('API down'));
+
+      await poller.poll();
+
+      expect(poller.getStatus().last_error).toBe('API down');
+      expect(poller.nextRunAt).not.toBeNull();
+    });
+  });
+
+  describe('start', () => {
+    test('should not schedule anything when disabled', () => {
+      poller = new PollerService(mockOnuService, mockRateLimiter, {
+        enabled: false,
+        interval: 60
+      });
+
+      poller.start();
+
+      expect(poller.nextRunAt).toBeNull();
+    });
+
+    test('should wait out the interval of a snapshot restored from disk', () => {
+      mockOnuService.inventory = { onus: [], fetched_at: new Date(Date.now() - 5 * 60 * 1000).toISOString() };
+
+      poller.start();
+
+      const delay = poller.nextRunAt.getTime() - Date.now();
+      expect(delay).toBeGreaterThan(14 * 60 * 1000);
+      expect(delay).toBeLessThanOrEqual(15 * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimitStore = require('../../src/services/rateLimitStore');
+const RateLimiter = require('../../src/utils/rateLimiter');
+
+describe('RateLimitStore', () => {
+  let tmpDir;
+  let file;
+  const config = { apiDelay: 0, gpsLimit: 3, detailsLimit: 3 };
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limit-'));
+    file = path.join(tmpDir, 'rate-limit-state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('returns null without a state file', () => {
+    expect(new RateLimitStore({ file }).load()).toBeNull();
+  });
+
+  test('returns null for a corrupted state file', () => {
+    fs.writeFileSync(file, '{not json');
+    expect(new RateLimitStore({ file }).load()).toBeNull();
+  });
+
+  test('keeps the used quota across restarts', async () => {
+    const limiter = new RateLimiter(config, new RateLimitStore({ file }));
+    await limiter.waitForNextCall();
+    limiter.recordCall('details');
+    limiter.recordCall('details');
+    limiter.recordCall('details');
+    limiter.recordCall('gps');
+
+    const restarted = new RateLimiter(config, new RateLimitStore({ file }));
+
+    expect(restarted.getRemainingCalls('details')).toBe(0);
+    expect(restarted.getRemainingCalls('gps')).toBe(2);
+    expect(restarted.canCallEndpoint('details').allowed).toBe(false);
+    expect(restarted.lastCallTime).toBe(limiter.lastCallTime);
+  });
+
+  test('drops calls older than an hour on reload', () => {
+    const now = Date.now();
+    fs.writeFileSync(file, JSON.stringify({
+      last_call_time: now - 1000,
+      calls: { details: [now - 2 * 60 * 60 * 1000, now - 10 * 60 * 1000], gps: [] }
+    }));
+
+    const limiter = new RateLimiter(config, new RateLimitStore({ file }));
+
+    expect(limiter.callCounts.details).toEqual([now - 10 * 60 * 1000]);
+    expect(limiter.getRemainingCalls('details')).toBe(2);
+  });
+
+  test('reports remaining budget and reset times', () => {
+    const now = Date.now();
+    const first = now - 50 * 60 * 1000;
+    const last = now - 5 * 60 * 1000;
+    fs.writeFileSync(file, JSON.stringify({
+      last_call_time: last,
+      calls: { details: [first, now - 20 * 60 * 1000, last], gps: [last] }
+    }));
+
+    const status = new RateLimiter(config, new RateLimitStore({ file })).getStatus();
+
+    expect(status.details_remaining).toBe(0);
+    expect(status.policies.details).toMatchObject({
+      limits: { hour: 3 },
+      used: { hour: 3 },
+      remaining: 0,
+      next_call_at: new Date(first + 60 * 60 * 1000).toISOString(),
+      reset_at: new Date(last + 60 * 60 * 1000).toISOString()
+    });
+    expect(status.policies.gps).toMatchObject({ remaining: 2, next_call_at: null });
+    expect(status.last_call_at).toBe(new Date(last).toISOString());
+    expect(status.persisted).toBe(true);
+  });
+});
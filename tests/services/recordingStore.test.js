@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RecordingStore = require('../../src/services/recordingStore');
+const ApiService = require('../../src/services/apiService');
+const RateLimiter = require('../../src/utils/rateLimiter');
+
+describe('RecordingStore', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const response = (data, status = 200) => ({
+    status,
+    data,
+    headers: { 'content-type': 'application/json', 'set-cookie': 'session=secret' },
+    config: { headers: { 'X-Token': 'secret-key', Accept: 'application/json' } }
+  });
+
+  test('rejects unknown modes', () => {
+    expect(() => new RecordingStore({ mode: 'rewind', dir: tmpDir })).toThrow('Invalid recording mode');
+  });
+
+  test('keys by endpoint and normalized params', () => {
+    const store = new RecordingStore({ mode: 'record', dir: tmpDir });
+
+    expect(store.key('/system/get_olts')).toBe('system_get_olts');
+    expect(store.key('/onu/get_onu_status/abc')).toBe('onu_get_onu_status_abc');
+    expect(store.key('/onu/get_all_onus_details', { olt_id: 1, board: undefined }))
+      .toBe(store.key('/onu/get_all_onus_details', { olt_id: '1' }));
+    expect(store.key('/onu/get_all_onus_details', { olt_id: 1 }))
+      .not.toBe(store.key('/onu/get_all_onus_details', { olt_id: 2 }));
+  });
+
+  test('records responses with redacted headers', () => {
+    const store = new RecordingStore({ mode: 'record', dir: tmpDir });
+    store.record('/system/get_olts', {}, response({ status: true, response: [] }));
+
+    const keyDir = path.join(tmpDir, 'system_get_olts');
+    const [file] = fs.readdirSync(keyDir);
+    const recording = JSON.parse(fs.readFileSync(path.join(keyDir, file), 'utf8'));
+
+    expect(recording.data).toEqual({ status: true, response: [] });
+    expect(recording.request_headers['X-Token']).toBe('[REDACTED]');
+    expect(recording.headers['set-cookie']).toBe('[REDACTED]');
+    expect(recording.headers['content-type']).toBe('application/json');
+    expect(fs.readFileSync(path.join(keyDir, file), 'utf8')).not.toContain('secret');
+  });
+
+  test('replays in order and stays on the last recording', () => {
+    const recorder = new RecordingStore({ mode: 'record', dir: tmpDir });
+    recorder.record('/system/get_olts', {}, response({ n: 1 }));
+    recorder.record('/system/get_olts', {}, response({ n: 2 }));
+
+    const store = new RecordingStore({ mode: 'replay', dir: tmpDir });
+
+    expect(store.replay('/system/get_olts').data).toEqual({ n: 1 });
+    expect(store.replay('/system/get_olts').data).toEqual({ n: 2 });
+    expect(store.replay('/system/get_olts').data).toEqual({ n: 2 });
+    expect(() => store.replay('/system/get_odbs')).toThrow('No recording for /system/get_odbs');
+  });
+
+  test('replayAt serves the latest recording at or before that time', () => {
+    const keyDir = path.join(tmpDir, 'system_get_olts');
+    fs.mkdirSync(keyDir);
+    ['2026-01-01T02-00-00-000Z-000', '2026-01-01T03-00-00-000Z-001', '2026-01-01T04-00-00-000Z-002']
+      .forEach((stamp, n) => fs.writeFileSync(path.join(keyDir, `${stamp}.json`), JSON.stringify({ status: 200, data: { n } })));
+
+    const store = new RecordingStore({ mode: 'replay', dir: tmpDir, replayAt: '2026-01-01T03:30:00Z' });
+
+    expect(store.replay('/system/get_olts').data).toEqual({ n: 1 });
+    expect(store.replay('/system/get_olts').data).toEqual({ n: 1 });
+  });
+
+  test('keeps at most maxPerKey recordings', () => {
+    const store = new RecordingStore({ mode: 'record', dir: tmpDir, maxPerKey: 2 });
+    [1, 2, 3].forEach(n => store.record('/system/get_olts', {}, response({ n })));
+
+    expect(fs.readdirSync(path.join(tmpDir, 'system_get_olts'))).toHaveLength(2);
+  });
+
+  describe('with ApiService', () => {
+    const config = { apiBaseUrl: 'https://test.smartolt.com/api', apiKey: 'test-key' };
+    const rateLimiter = () => new RateLimiter({ apiDelay: 0, gpsLimit: 3, detailsLimit: 3 });
+
+    test('records live calls and replays them without the network', async () => {
+      const live = new ApiService(config, rateLimiter(), new RecordingStore({ mode: 'record', dir: tmpDir }));
+      live.client.get = jest.fn().mockResolvedValue(response({ status: true, onus: [{ unique_external_id: 'a' }] }));
+
+      await live.getAllOnusDetails({ olt_id: '1' });
+
+      const replay = new ApiService({ ...config, apiKey: undefined }, rateLimiter(),
+        new RecordingStore({ mode: 'replay', dir: tmpDir }));
+      replay.client.get = jest.fn();
+
+      const result = await replay.getAllOnusDetails({ olt_id: 1 });
+
+      expect(result.onus).toEqual([{ unique_external_id: 'a' }]);
+      expect(replay.client.get).not.toHaveBeenCalled();
+      expect(replay.rateLimiter.getRemainingCalls('details')).toBe(3);
+    });
+
+    test('replays recorded HTTP errors', async () => {
+      const live = new ApiService(config, rateLimiter(), new RecordingStore({ mode: 'record', dir: tmpDir }));
+      const error = new Error('Request failed with status code 403');
+      error.response = response({ status: false, error: 'Forbidden' }, 403);
+      live.client.get = jest.fn().mockRejectedValue(error);
+
+      await expect(live.getOltsList()).rejects.toThrow('403 Forbidden');
+
+      const replay = new ApiService(config, rateLimiter(), new RecordingStore({ mode: 'replay', dir: tmpDir }));
+      await expect(replay.getOltsList()).rejects.toThrow('403 Forbidden');
+    });
+  });
+});
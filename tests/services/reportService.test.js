@@ -0,0 +1,104 @@
+const ReportService = require('../../src/services/reportService');
+
+describe('ReportService', () => {
+  let reportService;
+  let mockOnuService;
+  let mockHistoryStore;
+
+  const period = { from: '2024-01-01T00:00:00.000Z', to: '2024-01-01T10:00:00.000Z' };
+
+  const onus = [
+    { unique_external_id: 'a1', name: 'A1', odb_name: 'ODB-A', olt_name: 'OLT-1', zone_name: 'North', status: 'Online' },
+    { unique_external_id: 'a2', name: 'A2', odb_name: 'ODB-A', olt_name: 'OLT-1', zone_name: 'North', status: 'LOS' },
+    { unique_external_id: 'b1', name: 'B1', odb_name: 'ODB-B', olt_name: 'OLT-2', zone_name: 'South', status: 'Online' }
+  ];
+
+  const event = (id, oldStatus, newStatus, timestamp) => ({
+    unique_external_id: id,
+    old_status: oldStatus,
+    new_status: newStatus,
+    timestamp
+  });
+
+  beforeEach(() => {
+    mockOnuService = {
+      getAllOnusWithDetails: jest.fn().mockResolvedValue(onus)
+    };
+
+    mockHistoryStore = {
+      events: [
+        // a1: down 01:00-02:00 and 04:00-07:00 (LOS then Power Fail)
+        event('a1', 'Online', 'LOS', '2024-01-01T01:00:00.000Z'),
+        event('a1', 'LOS', 'Online', '2024-01-01T02:00:00.000Z'),
+        event('a1', 'Online', 'LOS', '2024-01-01T04:00:00.000Z'),
+        event('a1', 'LOS', 'Power Fail', '2024-01-01T05:00:00.000Z'),
+        event('a1', 'Power Fail', 'Online', '2024-01-01T07:00:00.000Z'),
+        // a2: already down before the period and still down
+        event('a2', 'Online', 'LOS', '2023-12-31T23:00:00.000Z'),
+        // outside the period
+        event('b1', 'Online', 'LOS', '2024-01-02T00:00:00.000Z')
+      ]
+    };
+
+    reportService = new ReportService(mockOnuService, mockHistoryStore);
+  });
+
+  test('should compute uptime, outage minutes, count and longest outage per ONU', async () => {
+    const report = await reportService.getAvailability(period);
+    const byId = Object.fromEntries(report.by_onu.map(onu => [onu.unique_external_id, onu]));
+
+    expect(report.period_minutes).toBe(600);
+    expect(byId.a1).toMatchObject({
+      uptime_percent: 60,
+      outage_minutes: 240,
+      outage_count: 2,
+      longest_outage_minutes: 180
+    });
+    expect(byId.a2).toMatchObject({ uptime_percent: 0, outage_minutes: 600, outage_count: 1 });
+    expect(byId.b1).toMatchObject({ uptime_percent: 100, outage_count: 0 });
+  });
+
+  test('should aggregate by ODB, OLT and zone, worst first', async () => {
+    const report = await reportService.getAvailability(period);
+
+    expect(report.by_odb[0]).toMatchObject({
+      name: 'ODB-A',
+      onu_count: 2,
+      affected_onus: 2,
+      uptime_percent: 30,
+      outage_minutes: 840,
+      outage_count: 3,
+      longest_outage_minutes: 600
+    });
+    expect(report.by_olt.map(group => group.name)).toEqual(['OLT-1', 'OLT-2']);
+    expect(report.by_zone[1]).toMatchObject({ name: 'South', uptime_percent: 100 });
+    expect(report.summary).toMatchObject({ onu_count: 3, affected_onus: 2, outage_count: 3 });
+  });
+
+  test('should assume the current status for ONUs without transitions', async () => {
+    mockHistoryStore.events = [];
+
+    const report = await reportService.getAvailability(period);
+    const a2 = report.by_onu.find(onu => onu.unique_external_id === 'a2');
+
+    expect(a2.uptime_percent).toBe(0);
+  });
+
+  test('should pass inventory filters through', async () => {
+    await reportService.getAvailability({ ...period, zone: 'North' });
+
+    expect(mockOnuService.getAllOnusWithDetails).toHaveBeenCalledWith({ zone: 'North' });
+  });
+
+  test('should reject invalid periods', () => {
+    expect(() => reportService.parsePeriod({ from: 'last month' })).toThrow('Invalid date range');
+    expect(() => reportService.parsePeriod({ from: period.to, to: period.from })).toThrow('from must be before to');
+  });
+
+  test('should not count the future as uptime', () => {
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const { to } = reportService.parsePeriod({ from: '2024-01-01T00:00:00Z', to: future });
+
+    expect(to).toBeLessThanOrEqual(Date.now());
+  });
+});
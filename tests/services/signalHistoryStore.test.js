@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SignalHistoryStore = require('../../src/services/signalHistoryStore');
+
+describe('SignalHistoryStore', () => {
+  let tmpDir;
+  let store;
+
+  const reading = (timestamp, rxPower, oltRxPower = -23) => ({
+    timestamp,
+    rx_power: rxPower,
+    olt_rx_power: oltRxPower,
+    source: 'poll'
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'signal-'));
+    store = new SignalHistoryStore({
+      dir: path.join(tmpDir, 'signal-history'),
+      interval: 3600,
+      minDelta: 0.5,
+      retentionDays: 30
+    });
+    store.lastPrune = Date.now();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('record', () => {
+    test('should write one JSON lines file per ONU', () => {
+      store.record('onu1', reading('2024-01-01T00:00:00.000Z', -20));
+      store.record('onu/2', reading('2024-01-01T00:00:00.000Z', -21));
+
+      expect(fs.readdirSync(store.dir).sort()).toEqual(['onu%2F2.jsonl', 'onu1.jsonl']);
+    });
+
+    test('should skip readings that barely moved within the interval', () => {
+      expect(store.record('onu1', reading('2024-01-01T00:00:00.000Z', -20))).toBe(true);
+      expect(store.record('onu1', reading('2024-01-01T00:20:00.000Z', -20.2))).toBe(false);
+      expect(store.record('onu1', reading('2024-01-01T00:40:00.000Z', -21))).toBe(true);
+      expect(store.record('onu1', reading('2024-01-01T01:40:00.000Z', -21))).toBe(true);
+
+      expect(store.query('onu1')).toHaveLength(3);
+    });
+
+    test('should ignore readings without any value', () => {
+      expect(store.record('onu1', reading('2024-01-01T00:00:00.000Z', null, null))).toBe(false);
+    });
+  });
+
+  describe('query', () => {
+    beforeEach(() => {
+      store.record('onu1', reading('2024-01-01T00:00:00.000Z', -20));
+      store.record('onu1', reading('2024-01-02T00:00:00.000Z', -22));
+      store.record('onu1', reading('2024-01-03T00:00:00.000Z', -26));
+    });
+
+    test('should filter by date range, oldest first', () => {
+      const readings = store.query('onu1', { from: '2024-01-02T00:00:00Z', to: '2024-01-03T12:00:00Z' });
+
+      expect(readings.map(r => r.rx_power)).toEqual([-22, -26]);
+    });
+
+    test('should return an empty list for unknown ONUs', () => {
+      expect(store.query('missing')).toEqual([]);
+    });
+
+    test('should reject invalid dates', () => {
+      expect(() => store.query('onu1', { from: 'yesterday' })).toThrow('Invalid date range');
+    });
+
+    test('should skip corrupted lines', () => {
+      fs.appendFileSync(store.fileFor('onu1'), '{"timestamp":\n');
+
+      expect(store.query('onu1')).toHaveLength(3);
+    });
+  });
+
+  describe('prune', () => {
+    test('should drop readings older than the retention period', () => {
+      const old = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+      const recent = new Date().toISOString();
+
+      store.record('onu1', reading(old, -20));
+      store.record('onu1', reading(recent, -25));
+      store.record('onu2', reading(old, -20));
+
+      store.prune();
+
+      expect(store.query('onu1').map(r => r.rx_power)).toEqual([-25]);
+      expect(fs.existsSync(store.fileFor('onu2'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const EventEmitter = require('events');
+const StreamService = require('../../src/services/streamService');
+
+describe('StreamService', () => {
+  let streamService;
+  let mockOnuService;
+
+  const createClient = () => {
+    const req = new EventEmitter();
+    const res = {
+      chunks: [],
+      set: jest.fn(),
+      flushHeaders: jest.fn(),
+      flush: jest.fn(),
+      write(chunk) {
+        this.chunks.push(chunk);
+      }
+    };
+    return { req, res };
+  };
+
+  beforeEach(() => {
+    mockOnuService = new EventEmitter();
+    mockOnuService.getLastStatistics = jest.fn().mockReturnValue({ total: 2, online: 2 });
+    streamService = new StreamService(mockOnuService, { heartbeat: 25 });
+  });
+
+  afterEach(() => {
+    streamService.stopHeartbeat();
+  });
+
+  test('should send SSE headers and a ready event on connect', () => {
+    const { req, res } = createClient();
+
+    streamService.addClient(req, res);
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(res.chunks[0]).toMatch(/^event: ready\ndata: .*"online":2/);
+    expect(res.flush).toHaveBeenCalled();
+  });
+
+  test('should broadcast status changes to all clients', () => {
+    const first = createClient();
+    const second = createClient();
+    streamService.addClient(first.req, first.res);
+    streamService.addClient(second.req, second.res);
+
+    mockOnuService.emit('status_change', { unique_external_id: 'onu1', new_status: 'LOS' });
+
+    [first.res, second.res].forEach(res => {
+      const last = res.chunks[res.chunks.length - 1];
+      expect(last).toBe('event: status_change\ndata: {"unique_external_id":"onu1","new_status":"LOS"}\n\n');
+    });
+  });
+
+  test('should forward statistics deltas', () => {
+    const { req, res } = createClient();
+    streamService.addClient(req, res);
+
+    mockOnuService.emit('statistics', { los: 3, delta: { los: 2 } });
+
+    expect(res.chunks[res.chunks.length - 1]).toMatch(/^event: statistics\n/);
+  });
+
+  test('should drop clients when the connection closes', () => {
+    const { req, res } = createClient();
+    streamService.addClient(req, res);
+
+    req.emit('close');
+    streamService.publish('status_change', {});
+
+    expect(streamService.getStats().clients).toBe(0);
+    expect(res.chunks).toHaveLength(1);
+  });
+});
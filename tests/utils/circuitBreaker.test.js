@@ -0,0 +1,74 @@
+const CircuitBreaker = require('../../src/utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  const error = new Error('timeout');
+  let breaker;
+
+  beforeEach(() => {
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 10 });
+  });
+
+  test('opens after consecutive failures', () => {
+    breaker.onFailure(error, 1000);
+    breaker.onFailure(error, 2000);
+    expect(breaker.allowRequest(2000)).toBe(true);
+
+    breaker.onFailure(error, 3000);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest(4000)).toBe(false);
+    expect(breaker.getStatus()).toMatchObject({ failures: 3, last_error: 'timeout', retry_at: new Date(13000).toISOString() });
+  });
+
+  test('a success resets the failure count', () => {
+    breaker.onFailure(error);
+    breaker.onFailure(error);
+    breaker.onSuccess();
+    breaker.onFailure(error);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('lets a single trial through once the reset timeout has passed', () => {
+    [1, 2, 3].forEach(() => breaker.onFailure(error, 0));
+
+    expect(breaker.allowRequest(10000)).toBe(true);
+    expect(breaker.state).toBe('half_open');
+    expect(breaker.allowRequest(10000)).toBe(false);
+
+    breaker.onSuccess(10500);
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.isDegraded()).toBe(false);
+  });
+
+  test('a failed trial opens the circuit again', () => {
+    [1, 2, 3].forEach(() => breaker.onFailure(error, 0));
+    breaker.allowRequest(10000);
+
+    breaker.onFailure(error, 10500);
+
+    expect(breaker.state).toBe('open');
+    expect(breaker.allowRequest(15000)).toBe(false);
+    expect(breaker.timesOpened).toBe(2);
+  });
+
+  test('release gives back an unused trial slot', () => {
+    [1, 2, 3].forEach(() => breaker.onFailure(error, 0));
+    breaker.allowRequest(10000);
+    breaker.release();
+
+    expect(breaker.allowRequest(10000)).toBe(true);
+  });
+
+  test('is degraded while the latest call failed', () => {
+    expect(breaker.isDegraded()).toBe(false);
+
+    breaker.onFailure(error, 1000);
+    expect(breaker.isDegraded()).toBe(true);
+
+    breaker.onSuccess(2000);
+    expect(breaker.isDegraded()).toBe(false);
+  });
+});
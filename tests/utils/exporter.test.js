@@ -0,0 +1,66 @@
+const ExcelJS = require('exceljs');
+const { escapeCsv, toCsv, toXlsx } = require('../../src/utils/exporter');
+
+describe('exporter', () => {
+  const columns = [
+    { header: 'Name', key: 'name' },
+    { header: 'RX', key: 'rx_power' },
+    { header: 'Position', value: row => `${row.board}/${row.port}` }
+  ];
+
+  const rows = [
+    { name: 'Toko "Maju", Blok A', rx_power: -23.5, board: 1, port: 2 },
+    { name: '=HYPERLINK("http://evil")', rx_power: null, board: 1, port: 3 }
+  ];
+
+  describe('escapeCsv', () => {
+    test('should quote fields with commas, quotes and newlines', () => {
+      expect(escapeCsv('a,b')).toBe('"a,b"');
+      expect(escapeCsv('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsv('line\nbreak')).toBe('"line\nbreak"');
+    });
+
+    test('should neutralize formulas but keep negative numbers', () => {
+      expect(escapeCsv('=1+1')).toBe("'=1+1");
+      expect(escapeCsv('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsv(-23.5)).toBe('-23.5');
+    });
+
+    test('should render null and undefined as empty', () => {
+      expect(escapeCsv(null)).toBe('');
+      expect(escapeCsv(undefined)).toBe('');
+    });
+  });
+
+  describe('toCsv', () => {
+    test('should render a header row and one line per row', () => {
+      const csv = toCsv(columns, rows);
+      const lines = csv.replace('\uFEFF', '').trim().split('\r\n');
+
+      expect(csv.startsWith('\uFEFF')).toBe(true);
+      expect(lines).toEqual([
+        'Name,RX,Position',
+        '"Toko ""Maju"", Blok A",-23.5,1/2',
+        '"\'=HYPERLINK(""http://evil"")",,1/3'
+      ]);
+    });
+  });
+
+  describe('toXlsx', () => {
+    test('should write one worksheet per sheet', async () => {
+      const buffer = await toXlsx([
+        { name: 'ONUs', columns, rows },
+        { name: 'Empty', columns, rows: [] }
+      ]);
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(buffer);
+
+      const sheet = workbook.getWorksheet('ONUs');
+      expect(workbook.worksheets.map(ws => ws.name)).toEqual(['ONUs', 'Empty']);
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Name', 'RX', 'Position']);
+      expect(sheet.getRow(2).getCell(2).value).toBe(-23.5);
+      expect(sheet.getRow(3).getCell(3).value).toBe('1/3');
+    });
+  });
+});
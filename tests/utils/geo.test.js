@@ -0,0 +1,75 @@
+const { isValidCoordinate, distanceMeters, kmlColor, toKml, parseKmlPlacemarks } = require('../../src/utils/geo');
+
+describe('geo', () => {
+  test('should validate coordinates', () => {
+    expect(isValidCoordinate(-6.2, 106.8)).toBe(true);
+    expect(isValidCoordinate(0, 0)).toBe(false);
+    expect(isValidCoordinate(91, 106.8)).toBe(false);
+    expect(isValidCoordinate(NaN, 106.8)).toBe(false);
+  });
+
+  test('should measure distances in meters', () => {
+    expect(distanceMeters(-7.55, 112.23, -7.55, 112.23)).toBe(0);
+    expect(distanceMeters(-7.55, 112.23, -7.56, 112.23)).toBeCloseTo(1112, 0);
+  });
+
+  test('should convert hex colors to KML aabbggrr', () => {
+    expect(kmlColor('#28a745')).toBe('ff45a728');
+    expect(kmlColor('#dc3545', '80')).toBe('804535dc');
+  });
+
+  test('should round-trip placemarks through toKml and parseKmlPlacemarks', () => {
+    const kml = toKml({
+      name: 'Test',
+      styles: [{ id: 'online', color: '#28a745' }],
+      folders: [{
+        name: 'ONUs',
+        placemarks: [
+          { name: 'Toko <A&B>', styleUrl: 'online', data: { unique_external_id: 'onu1', rx_power: -21.5, sn: null }, point: [106.8, -6.2] },
+          { name: 'Link', data: { feature_type: 'link' }, line: [[106.8, -6.2], [106.81, -6.21]] }
+        ]
+      }]
+    });
+
+    expect(kml).toContain('<styleUrl>#online</styleUrl>');
+    expect(kml).not.toContain('name="sn"');
+
+    const placemarks = parseKmlPlacemarks(kml);
+
+    expect(placemarks).toHaveLength(2);
+    expect(placemarks[0]).toEqual({
+      name: 'Toko <A&B>',
+      data: { unique_external_id: 'onu1', rx_power: '-21.5' },
+      geometry: 'Point',
+      coordinates: [[106.8, -6.2]]
+    });
+    expect(placemarks[1].geometry).toBe('LineString');
+    expect(placemarks[1].coordinates).toHaveLength(2);
+  });
+
+  test('should read SimpleData, CDATA and prefixed tags', () => {
+    const kml = `<?xml version="1.0"?>
+      <kml:kml xmlns:kml="http://www.opengis.net/kml/2.2"><kml:Document>
+        <kml:Placemark>
+          <kml:name><![CDATA[ODB-01]]></kml:name>
+          <kml:ExtendedData><kml:SchemaData schemaUrl="#s">
+            <kml:SimpleData name="feature_type">odb</kml:SimpleData>
+          </kml:SchemaData></kml:ExtendedData>
+          <kml:Point><kml:coordinates>
+            106.9,-6.3,12
+          </kml:coordinates></kml:Point>
+        </kml:Placemark>
+      </kml:Document></kml:kml>`;
+
+    expect(parseKmlPlacemarks(kml)).toEqual([{
+      name: 'ODB-01',
+      data: { feature_type: 'odb' },
+      geometry: 'Point',
+      coordinates: [[106.9, -6.3]]
+    }]);
+  });
+
+  test('should reject documents that are not KML', () => {
+    expect(() => parseKmlPlacemarks('{"type":"FeatureCollection"}')).toThrow('Not a KML document');
+  });
+});
@@ -0,0 +1,128 @@
+const RateLimiter = require('../../src/utils/rateLimiter');
+
+describe('RateLimiter policies and queue', () => {
+  const baseConfig = { apiDelay: 0, gpsLimit: 3, detailsLimit: 3 };
+
+  test('matches policies by name or endpoint prefix', () => {
+    const limiter = new RateLimiter({
+      ...baseConfig,
+      policies: { status: { endpoints: ['/onu/get_onu_status'], per_minute: 30 } }
+    });
+
+    expect(limiter.policyFor('/onu/get_all_onus_details').name).toBe('details');
+    expect(limiter.policyFor('/test', 'gps').name).toBe('gps');
+    expect(limiter.policyFor('/onu/get_onu_status/abc').name).toBe('status');
+    expect(limiter.policyFor('/system/get_olts').name).toBe('default');
+  });
+
+  test('rejects invalid limits', () => {
+    expect(() => new RateLimiter({ ...baseConfig, policies: { bad: { per_hour: 0 } } }))
+      .toThrow("Rate limit policy 'bad': per_hour must be a positive integer");
+  });
+
+  test('derives the details pace from whichever windows the policy defines', () => {
+    const perDay = new RateLimiter({ ...baseConfig, policies: { details: { per_day: 24 } } });
+    const perMinute = new RateLimiter({ ...baseConfig, policies: { details: { per_minute: 2 } } });
+    const both = new RateLimiter({ ...baseConfig, policies: { details: { per_hour: 3, per_day: 12 } } });
+
+    expect(perDay.minInterval('details')).toBe(60 * 60 * 1000);
+    expect(perDay.detailsLimit).toBe(1);
+    expect(perMinute.minInterval('details')).toBe(30 * 1000);
+    expect(perMinute.detailsLimit).toBe(120);
+    expect(both.minInterval('details')).toBe(2 * 60 * 60 * 1000);
+    expect(both.detailsLimit).toBe(3);
+    expect(new RateLimiter(baseConfig).minInterval('default')).toBe(0);
+  });
+
+  test('rejects a details policy without any window', () => {
+    expect(() => new RateLimiter({ ...baseConfig, policies: { details: { endpoints: ['/onu/get_all_onus_details'] } } }))
+      .toThrow("Rate limit policy 'details': define at least one of per_minute, per_hour, per_day");
+  });
+
+  test('enforces every window of a policy', async () => {
+    const limiter = new RateLimiter({
+      ...baseConfig,
+      policies: { status: { endpoints: ['/onu/get_onu_status'], per_minute: 2, per_day: 100 } }
+    });
+
+    await limiter.acquire('/onu/get_onu_status/a');
+    await limiter.acquire('/onu/get_onu_status/b');
+
+    await expect(limiter.acquire('/onu/get_onu_status/c')).rejects.toThrow('Rate limit exceeded for status. Please wait 1 minutes.');
+
+    const status = limiter.getStatus().policies.status;
+    expect(status.used).toEqual({ minute: 2, day: 2 });
+    expect(status.remaining).toBe(0);
+    expect(status.rejected).toBe(1);
+  });
+
+  test('counts calls against the limit when they are released', async () => {
+    const limiter = new RateLimiter(baseConfig);
+
+    await limiter.acquire('/onu/get_all_onus_details', 'details');
+    expect(limiter.getRemainingCalls('details')).toBe(2);
+  });
+
+  test('reports when the next call of a policy is allowed', async () => {
+    const limiter = new RateLimiter({ ...baseConfig, detailsLimit: 1 });
+    const before = Date.now();
+
+    expect(limiter.nextCallTime('details').getTime()).toBeGreaterThanOrEqual(before);
+
+    await limiter.acquire('/onu/get_all_onus_details', 'details');
+
+    expect(limiter.nextCallTime('details').getTime()).toBeGreaterThanOrEqual(before + 3600000);
+    expect(limiter.nextCallTime('unknown').getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('releases interactive calls before queued background work', async () => {
+    const limiter = new RateLimiter({ ...baseConfig, apiDelay: 30 });
+    const order = [];
+
+    // Occupies the current slot so the rest has to queue
+    await limiter.acquire('/system/get_olts');
+
+    const calls = [
+      limiter.acquire('/onu/get_onu_status/1', 'normal', { priority: 'background' }).then(() => order.push('background')),
+      limiter.acquire('/onu/get_onu_status/2').then(() => order.push('normal')),
+      limiter.acquire('/onu/get_onu_details/3', 'normal', { priority: 'interactive' }).then(() => order.push('interactive'))
+    ];
+
+    expect(limiter.getStatus().queue.by_priority).toEqual({ interactive: 1, normal: 1, background: 1 });
+
+    await Promise.all(calls);
+
+    expect(order).toEqual(['interactive', 'normal', 'background']);
+    expect(limiter.getStatus().queue.depth).toBe(0);
+    expect(limiter.getStatus().queue.waits.background.count).toBe(1);
+  });
+
+  test('drops background calls that would use the reserve', async () => {
+    const limiter = new RateLimiter({
+      ...baseConfig,
+      policies: { details: { endpoints: ['/onu/get_all_onus_details'], per_hour: 3, reserve: 1 } }
+    });
+
+    await limiter.acquire('/onu/get_all_onus_details', 'details', { priority: 'background' });
+    await limiter.acquire('/onu/get_all_onus_details', 'details', { priority: 'background' });
+
+    await expect(limiter.acquire('/onu/get_all_onus_details', 'details', { priority: 'background' }))
+      .rejects.toThrow('Dropped background details request');
+    expect(limiter.canCallEndpoint('details', 'background').allowed).toBe(false);
+
+    // The reserved call is still available to an operator
+    await expect(limiter.acquire('/onu/get_all_onus_details', 'details', { priority: 'interactive' })).resolves.toMatchObject({ policy: 'details' });
+    expect(limiter.getStatus().policies.details).toMatchObject({ dropped: 1, granted: 3, remaining: 0 });
+  });
+
+  test('drops background calls when the queue is full', async () => {
+    const limiter = new RateLimiter({ ...baseConfig, apiDelay: 20, maxQueue: 1 });
+
+    await limiter.acquire('/system/get_olts');
+    const queued = limiter.acquire('/system/get_odbs');
+
+    await expect(limiter.acquire('/system/get_olts', 'normal', { priority: 'background' }))
+      .rejects.toThrow('1 requests already queued');
+    await queued;
+  });
+});